@@ -0,0 +1,102 @@
+// ------------------------------------------------------
+// GOLDEN SCENARIO RUNNER
+//   npm run scenarios -- [ids...] [--mode replay|record|fake]
+//                        [--update] [--verbose]
+//
+// replay (default) — serve model calls from
+//   scenarios/recordings/<id>.json; the fake provider stands in
+//   for scenarios with no recording. A call missing from a
+//   recording fails the scenario (never a silent fallback).
+// record — call the configured provider (LLM_PROVIDER) and
+//   overwrite each scenario's recording.
+// fake — deterministic fake provider for every scenario.
+// --update rewrites each scenario's expectations from this run.
+// Exits 1 when any scenario fails.
+// ------------------------------------------------------
+
+import dotenv from "dotenv";
+import { existsSync, readdirSync, readFileSync, writeFileSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+dotenv.config();
+
+// Scenario sessions always live in memory; the Supabase client is
+// constructed on import but never called.
+process.env.SESSION_STORE = "memory";
+process.env.SUPABASE_URL ||= "http://localhost";
+process.env.SUPABASE_SERVICE_ROLE_KEY ||= "scenario-runner";
+
+const SCENARIO_DIR = join(dirname(fileURLToPath(import.meta.url)), "..", "scenarios");
+const RECORDING_DIR = join(SCENARIO_DIR, "recordings");
+const MODES = ["replay", "record", "fake"];
+
+function parseArgs(argv) {
+  const args = { ids: [], mode: "replay", update: false, verbose: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--mode") args.mode = argv[++i];
+    else if (arg === "--update") args.update = true;
+    else if (arg === "--verbose") args.verbose = true;
+    else args.ids.push(arg);
+  }
+
+  if (!MODES.includes(args.mode)) {
+    throw new Error(`Unknown --mode "${args.mode}" (expected ${MODES.join(" | ")})`);
+  }
+  return args;
+}
+
+function loadScenarios(ids) {
+  return readdirSync(SCENARIO_DIR)
+    .filter((name) => name.endsWith(".json"))
+    .sort()
+    .map((name) => ({ file: join(SCENARIO_DIR, name), scenario: JSON.parse(readFileSync(join(SCENARIO_DIR, name), "utf8")) }))
+    .filter(({ scenario }) => !ids.length || ids.includes(scenario.id));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  const { runScenario, updateExpectations, formatScenarioReport } = await import("../src/services/scenario.service.js");
+  const { setProvider, createBaseProvider, resetBreaker } = await import("../src/services/llm.service.js");
+  const { createFakeProvider } = await import("../src/services/fake.service.js");
+  const { createRecordingProvider, createReplayProvider } = await import("../src/services/cassette.service.js");
+
+  const scenarios = loadScenarios(args.ids);
+  if (!scenarios.length) {
+    console.error(`No scenarios found in ${SCENARIO_DIR}${args.ids.length ? ` for ${args.ids.join(", ")}` : ""}`);
+    process.exit(1);
+  }
+
+  const runs = [];
+  for (const { file, scenario } of scenarios) {
+    const recording = join(RECORDING_DIR, scenario.recording || `${scenario.id}.json`);
+
+    let provider;
+    if (args.mode === "record") provider = createRecordingProvider(createBaseProvider(), recording);
+    else if (args.mode === "replay" && existsSync(recording)) provider = createReplayProvider(recording);
+    else provider = createFakeProvider();
+    setProvider(provider);
+    resetBreaker();
+
+    const run = await runScenario(scenario, { provider });
+    const misses = provider.misses?.length || 0;
+    runs.push({ ...run, passed: run.passed && !misses, provider: provider.name, misses });
+
+    if (args.update && !misses && run.turns.length === scenario.turns.length && run.turns.every((t) => !t.error)) {
+      writeFileSync(file, `${JSON.stringify(updateExpectations(scenario, run), null, 2)}\n`);
+    }
+  }
+
+  console.log(formatScenarioReport(runs, { verbose: args.verbose }));
+  if (args.update) console.log("Expectations updated from this run.");
+
+  process.exit(!args.update && runs.some((r) => !r.passed) ? 1 : 0);
+}
+
+main().catch((err) => {
+  console.error("Scenario runner error:", err);
+  process.exit(1);
+});
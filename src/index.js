@@ -4,14 +4,24 @@ import chatRoutes from "./routes/chat.routes.js";
 import vinRoutes from "./routes/vin.routes.js";
 import feedbackRoutes from "./routes/feedback.routes.js";
 import diagnosticRoutes from "./routes/diagnostic.routes.js";
+import sessionRoutes from "./routes/session.routes.js";
+import dtcRoutes from "./routes/dtc.routes.js";
+import vehicleRoutes from "./routes/vehicle.routes.js";
+import { GRIT_RULESET_VERSION } from "./rules/grit.ruleset.js";
+import { authenticate } from "./middleware/auth.middleware.js";
 
-app.use("/chat", chatRoutes);
-app.use("/decode-vin", vinRoutes);
-app.use("/send-feedback", feedbackRoutes);
-app.use("/diagnostic-tree", diagnosticRoutes);
+// Every API route needs a shop (or operator) identity; "/" stays open
+app.use("/chat", authenticate, chatRoutes);
+app.use("/decode-vin", authenticate, vinRoutes);
+app.use("/feedback", authenticate, feedbackRoutes);
+app.use("/send-feedback", authenticate, feedbackRoutes); // legacy path
+app.use("/diagnostic-tree", authenticate, diagnosticRoutes);
+app.use("/sessions", authenticate, sessionRoutes);
+app.use("/dtc", authenticate, dtcRoutes);
+app.use("/vehicles", authenticate, vehicleRoutes);
 
 app.get("/", (req, res) => {
-  res.send("AutoBrain / GRIT backend running (Ruleset v2)");
+  res.send(`AutoBrain / GRIT backend running (Ruleset ${GRIT_RULESET_VERSION})`);
 });
 
 const PORT = process.env.PORT || 3001;
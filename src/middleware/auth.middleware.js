@@ -0,0 +1,125 @@
+// ------------------------------------------------------
+// AUTH MIDDLEWARE — which shop is calling
+// One of (checked in this order):
+//   x-admin-key: ADMIN_API_KEY   operator — sees every shop
+//   x-api-key: <shop API key>    shop integration
+//   Authorization: Bearer <JWT>  Supabase user; the shop comes
+//                                from app_metadata.shop_id
+// Sets req.shop ({ shopId, name, corsOrigins } or null for
+// the operator) and req.auth ({ method, userId? }).
+// AUTH_MODE=off skips all of it (local dev only).
+// ------------------------------------------------------
+
+import { supabase } from "../services/supabase.service.js";
+import { findShopByApiKey, getShop, listShopOrigins } from "../state/shop.store.js";
+import {
+  AuthError,
+  secretsMatch,
+  looksLikeJwt,
+  verifySupabaseJwt,
+  shopIdFromClaims,
+  parseOrigins,
+  isOriginAllowed
+} from "../utils/auth.util.js";
+
+export function isAuthDisabled() {
+  return process.env.AUTH_MODE === "off";
+}
+
+// CORS_ORIGINS (comma-separated) are allowed for every shop
+function globalOrigins() {
+  return parseOrigins(process.env.CORS_ORIGINS);
+}
+
+// ------------------------------------------------------
+// IDENTIFY
+// ------------------------------------------------------
+// With SUPABASE_JWT_SECRET the token is checked locally;
+// otherwise Supabase Auth verifies it.
+async function claimsFromJwt(token) {
+  const secret = process.env.SUPABASE_JWT_SECRET;
+  if (secret) return verifySupabaseJwt(token, secret);
+
+  const { data, error } = await supabase.auth.getUser(token);
+  if (error || !data?.user) throw new AuthError("Invalid token");
+  return { sub: data.user.id, app_metadata: data.user.app_metadata };
+}
+
+async function identify(req) {
+  const adminKey = req.get("x-admin-key");
+  if (adminKey) {
+    if (!secretsMatch(adminKey, process.env.ADMIN_API_KEY)) throw new AuthError("Unauthorized");
+    return { shop: null, auth: { method: "admin" } };
+  }
+
+  const apiKey = req.get("x-api-key");
+  if (apiKey) {
+    const shop = await findShopByApiKey(apiKey);
+    if (!shop) throw new AuthError("Invalid API key");
+    return { shop, auth: { method: "api_key" } };
+  }
+
+  const token = req.get("authorization")?.match(/^Bearer\s+(\S+)$/i)?.[1];
+  if (token) {
+    if (!looksLikeJwt(token)) throw new AuthError("Malformed token");
+
+    const claims = await claimsFromJwt(token);
+    const shop = await getShop(shopIdFromClaims(claims));
+    if (!shop) throw new AuthError("User is not assigned to an active shop", 403);
+    return { shop, auth: { method: "jwt", userId: claims.sub || null } };
+  }
+
+  throw new AuthError("Authentication required");
+}
+
+// ------------------------------------------------------
+// MIDDLEWARE
+// ------------------------------------------------------
+export async function authenticate(req, res, next) {
+  if (isAuthDisabled()) {
+    req.shop = null;
+    req.auth = { method: "none" };
+    return next();
+  }
+
+  try {
+    const { shop, auth } = await identify(req);
+
+    // Browser calls must come from one of this shop's origins
+    if (shop && !isOriginAllowed(req.get("origin"), [...shop.corsOrigins, ...globalOrigins()])) {
+      return res.status(403).json({ error: "Origin not allowed for this shop" });
+    }
+
+    req.shop = shop;
+    req.auth = auth;
+    next();
+  } catch (err) {
+    if (err instanceof AuthError) return res.status(err.status).json({ error: err.message });
+
+    console.error("Auth error:", err);
+    res.status(500).json({ error: "Auth error" });
+  }
+}
+
+// The caller's shop, or null (operator / auth off) for no scoping
+export function shopScope(req) {
+  return req.shop?.shopId || null;
+}
+
+// ------------------------------------------------------
+// CORS — preflight carries no credentials, so it allows any
+// active shop's origin; authenticate() then holds each
+// request to its own shop's list.
+// ------------------------------------------------------
+export const corsOptions = {
+  origin(origin, callback) {
+    if (isAuthDisabled() || !origin) return callback(null, true);
+
+    listShopOrigins()
+      .then((origins) => callback(null, isOriginAllowed(origin, [...origins, ...globalOrigins()])))
+      .catch((err) => {
+        console.error("CORS origin lookup failed:", err);
+        callback(null, false);
+      });
+  }
+};
@@ -1,11 +1,67 @@
 import express from "express";
 import { runGrit } from "../services/grit.service.js";
+import { openEventStream } from "../utils/sse.util.js";
+import { shopScope } from "../middleware/auth.middleware.js";
 
 const router = express.Router();
 
 router.post("/", async (req, res) => {
-  const result = await runGrit(req.body);
-  res.json(result);
+  try {
+    const sessionId = req.body.sessionId || req.get("x-session-id");
+    const result = await runGrit({ ...req.body, sessionId, shopId: shopScope(req) });
+    res.json(result);
+  } catch (err) {
+    console.error("Chat error:", err);
+    res.status(500).json({ error: "Chat error" });
+  }
+});
+
+// ------------------------------------------------------
+// POST /chat/stream — same body as /chat, answered as SSE:
+//   token        { text }  model text as it arrives (preview)
+//   safety_stop  { id, source }  discard any streamed text
+//   reset        { reason }  the model failed after streaming some
+//                text and GRIT fell back — discard it
+//   meta         reply metadata (type, intent, tier, answer)
+//   result       the full /chat response — reply is authoritative
+//   error        { error }
+// Closing the connection cancels the model call; the turn is
+// not saved.
+// ------------------------------------------------------
+router.post("/stream", async (req, res) => {
+  const sessionId = req.body.sessionId || req.get("x-session-id");
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const events = openEventStream(res);
+  let streamed = false;
+
+  try {
+    const result = await runGrit({
+      ...req.body,
+      sessionId,
+      shopId: shopScope(req),
+      signal: controller.signal,
+      onToken: (text) => {
+        streamed = true;
+        events.send("token", { text });
+      }
+    });
+
+    if (result.safetyStop) events.send("safety_stop", result.safetyStop);
+    else if (result.degraded && streamed) events.send("reset", { reason: result.degradedReason });
+    events.send("meta", result.meta);
+    events.send("result", result);
+  } catch (err) {
+    if (controller.signal.aborted) return; // client left — nothing to send
+
+    console.error("Chat stream error:", err);
+    events.send("error", { error: "Chat error" });
+  } finally {
+    events.close();
+  }
 });
 
 export default router;
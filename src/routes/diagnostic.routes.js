@@ -1,68 +1,256 @@
 import express from "express";
-import { getOpenAI } from "../services/openai.service.js";
 import {
   mergeVehicleContexts,
-  inferEngineStringFromYMM
+  inferEngineFromYMM
 } from "../utils/vehicle.util.js";
+import {
+  findSafetyHardStop,
+  checkModelHardStop,
+  collectSafetyWarnings
+} from "../utils/safety.util.js";
+import { extractDTCs, prioritizeDTCs } from "../utils/dtc.util.js";
+import {
+  TREE_TEMPLATE,
+  TREE_END,
+  pruneBranches,
+  findTestNode,
+  TreeValidationError
+} from "../utils/tree.util.js";
+import {
+  generateDiagnosticTree,
+  saveGeneratedTree,
+  reportNodeResult,
+  describeTreeRecord
+} from "../services/tree.service.js";
+import { getTree } from "../state/tree.store.js";
+import { LLMError } from "../services/llm.service.js";
+import { detectDomain } from "../services/grit.service.js";
+import { buildFallbackTree } from "../utils/fallback.util.js";
+import { getFixRankings } from "../services/fix.service.js";
+import { shopScope } from "../middleware/auth.middleware.js";
+import { describeFixRankings } from "../utils/fix.util.js";
+import {
+  hasNetworkCodes,
+  analyzeNetworkCodes,
+  describeNetworkAnalysis
+} from "../utils/network.util.js";
 
 const router = express.Router();
 
+// ------------------------------------------------------
+// SAFETY — drop any test that instructs a hard-stop action,
+// surface the stop as a red flag, collect contextual warnings.
+// ------------------------------------------------------
+function applyTreeSafety(tree, message) {
+  const safetyStops = [];
+
+  const tests = (tree.tests || []).filter((t) => {
+    const stop = checkModelHardStop(
+      [t.test, t.why, t.how, t.tools].filter(Boolean).join(". ")
+    );
+    if (!stop) return true;
+
+    safetyStops.push({ id: stop.id, source: "model", test: t.test, reply: stop.reply });
+    return false;
+  });
+
+  const redFlags = [
+    ...new Set([...(tree.red_flags || []), ...safetyStops.map((s) => s.reply)])
+  ];
+
+  return {
+    tree: pruneBranches({ ...tree, tests, red_flags: redFlags }),
+    safetyStops,
+    safetyWarnings: collectSafetyWarnings([message, JSON.stringify(tree)])
+  };
+}
+
 // ------------------------------------------------------
 // POST /diagnostic-tree
 // ------------------------------------------------------
 router.post("/", async (req, res) => {
   try {
     const { message, vehicleContext } = req.body;
+    const shopId = shopScope(req);
+
+    const hardStop = findSafetyHardStop(message || "");
+    if (hardStop) {
+      return res.json({
+        hardStop: { id: hardStop.id, source: "user", reply: hardStop.reply },
+        safetyWarnings: collectSafetyWarnings([message])
+      });
+    }
 
     let mergedVehicle = mergeVehicleContexts(vehicleContext, {});
-    mergedVehicle.engine = inferEngineStringFromYMM(mergedVehicle);
+    const inference = inferEngineFromYMM(mergedVehicle);
+    mergedVehicle.engine = inference.engine;
+    const engineCandidates = inference.status === "ambiguous" ? inference.candidates : [];
+
+    // U-codes: topology analysis is authoritative, the model builds around it
+    const dtcs = extractDTCs(message);
+    const networkAnalysis = hasNetworkCodes(dtcs)
+      ? analyzeNetworkCodes(dtcs, { make: mergedVehicle.make })
+      : null;
+
+    // Shop history ranks causes; a store failure only leaves it out
+    const confirmedFixes = await getFixRankings({
+      vehicle: mergedVehicle,
+      dtcs: prioritizeDTCs(dtcs).ordered,
+      shopId
+    }).catch((err) => {
+      console.error("Confirmed fix lookup failed:", err);
+      return [];
+    });
 
     const systemPrompt = `
-Return ONLY valid JSON:
-{
-  "symptom_summary": "",
-  "likely_causes": [
-    { "cause": "", "confidence": 0.0, "notes": "" }
-  ],
-  "tests": [
-    { "test": "", "why": "", "how": "", "tools": "" }
-  ],
-  "branching_logic": [
-    { "if": "", "next": "" }
-  ],
-  "red_flags": [],
-  "recommended_next_steps": []
-}`;
-
-    const openai = getOpenAI();
-    const ai = await openai.chat.completions.create({
-      model: "gpt-4.1",
-      temperature: 0.2,
+Return ONLY valid JSON (no markdown fences):
+${TREE_TEMPLATE}
+
+Rules:
+- confidence is 0.0–1.0; causes compete, so they should not add up past 1
+- every test needs id, test, why, how, tools
+- branching_logic "from" and "next" must be test ids ("next" may be "${TREE_END}")`;
+
+    const generation = await generateDiagnosticTree({
       messages: [
         { role: "system", content: systemPrompt },
         {
           role: "system",
           content: `Vehicle: ${JSON.stringify(mergedVehicle)}`
         },
+        ...(networkAnalysis?.lead
+          ? [{
+              role: "system",
+              content: `${describeNetworkAnalysis(networkAnalysis)}\nBuild the tree from this common point — do NOT contradict it.`
+            }]
+          : []),
+        ...(confirmedFixes.length
+          ? [{ role: "system", content: describeFixRankings(confirmedFixes) }]
+          : []),
         { role: "user", content: message }
       ]
+    }).catch((err) => {
+      if (!(err instanceof LLMError)) throw err;
+
+      // Model down: the domain ladder still gives the tech a next step
+      console.error("Diagnostic tree degraded:", err.message);
+      const ordered = prioritizeDTCs(dtcs).ordered;
+      return {
+        tree: buildFallbackTree({
+          message,
+          domain: detectDomain({ message: message || "", dtcs: ordered }),
+          dtcs: ordered,
+          vehicle: mergedVehicle
+        }),
+        repaired: false,
+        degradedReason: err.circuitOpen ? "circuit_open" : "model_error"
+      };
     });
+    const { tree: generated, repaired, degradedReason } = generation;
+
+    const draft = networkAnalysis?.lead
+      ? { ...generated, tests: [{ id: "NET1", ...networkAnalysis.lead.test }, ...generated.tests] }
+      : generated;
 
-    let json;
-    try {
-      json = JSON.parse(ai.choices[0].message.content);
-    } catch {
-      return res.status(500).json({
-        error: "Invalid JSON from model",
-        raw: ai.choices[0].message.content
+    const { tree, safetyStops, safetyWarnings } = applyTreeSafety(draft, message);
+    const record = await saveGeneratedTree({
+      request: { message, vehicle: mergedVehicle },
+      tree,
+      shopId
+    });
+
+    res.json({
+      treeId: record.treeId,
+      vehicle: mergedVehicle,
+      engineCandidates,
+      networkAnalysis,
+      confirmedFixes,
+      tree,
+      currentNode: findTestNode(tree, record.traversal.currentNode),
+      repaired,
+      safetyStops,
+      safetyWarnings,
+      ...(degradedReason ? { degraded: true, degradedReason } : {})
+    });
+  } catch (err) {
+    if (err instanceof TreeValidationError) {
+      console.error("Diagnostic tree invalid after repair:", err.errors);
+      return res.status(err.status).json({
+        error: "Invalid diagnostic tree from model",
+        details: err.errors,
+        raw: err.raw
       });
     }
 
-    res.json({ vehicle: mergedVehicle, tree: json });
-  } catch (err) {
     console.error("Diagnostic tree error:", err);
     res.status(500).json({ error: "Diagnostic tree error" });
   }
 });
 
+// ------------------------------------------------------
+// GET /diagnostic-tree/:treeId — tree, checklist, log (resume)
+// ------------------------------------------------------
+router.get("/:treeId", async (req, res) => {
+  try {
+    const record = await getTree(req.params.treeId, { shopId: shopScope(req) });
+    if (!record) return res.status(404).json({ error: "Tree not found" });
+
+    res.json(describeTreeRecord(record));
+  } catch (err) {
+    console.error("Tree fetch error:", err);
+    res.status(500).json({ error: "Tree fetch error" });
+  }
+});
+
+// ------------------------------------------------------
+// POST /diagnostic-tree/:treeId/nodes/:nodeId/result
+// body: { result, note?, branchId? }
+// 409 when the result picks no single branch, or the tree
+// is already completed.
+// ------------------------------------------------------
+router.post("/:treeId/nodes/:nodeId/result", async (req, res) => {
+  try {
+    const { result, note, branchId } = req.body || {};
+    if (!result && !branchId) {
+      return res.status(400).json({ error: "result or branchId is required" });
+    }
+
+    const record = await getTree(req.params.treeId, { shopId: shopScope(req) });
+    if (!record) return res.status(404).json({ error: "Tree not found" });
+
+    const { nodeId } = req.params;
+    if (!findTestNode(record.tree, nodeId)) {
+      return res.status(404).json({ error: "Node not found" });
+    }
+
+    // A finished checklist is a record of what was done — start a new tree instead
+    if (record.traversal.status === "completed") {
+      return res.status(409).json({ error: "Tree already completed", log: record.traversal.log });
+    }
+
+    const { record: saved, outcome } = await reportNodeResult(record, nodeId, {
+      result,
+      note,
+      branchId
+    });
+
+    // Result didn't pick a branch — the tech chooses one and reports again
+    if (outcome.ambiguous) {
+      return res.status(409).json({
+        error: "Result matches no single branch — resend with branchId",
+        options: outcome.options
+      });
+    }
+
+    res.json({
+      ...describeTreeRecord(saved),
+      reportedNode: nodeId,
+      branch: outcome.branch
+    });
+  } catch (err) {
+    console.error("Tree result error:", err);
+    res.status(500).json({ error: "Tree result error" });
+  }
+});
+
 export default router;
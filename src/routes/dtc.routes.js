@@ -0,0 +1,23 @@
+import express from "express";
+import { isValidDtc, lookupDTC } from "../utils/dtc.util.js";
+
+const router = express.Router();
+
+// ------------------------------------------------------
+// GET /dtc/:code?make= — local definition, no GPT call
+// ------------------------------------------------------
+router.get("/:code", (req, res) => {
+  const { code } = req.params;
+
+  if (!isValidDtc(code)) {
+    return res.status(400).json({
+      error: "Invalid DTC",
+      details: ["Expected a letter (P, B, C, U) followed by 4 characters, e.g. P0301"]
+    });
+  }
+
+  const dtc = lookupDTC(code, { make: req.query.make });
+  res.json({ dtc });
+});
+
+export default router;
@@ -1,33 +1,49 @@
 import express from "express";
-import { resend } from "../services/resend.service.js";
+import { submitFeedback, getFeedbackSummary } from "../services/feedback.service.js";
+import { FeedbackValidationError } from "../utils/feedback.util.js";
+import { shopScope } from "../middleware/auth.middleware.js";
 
 const router = express.Router();
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 // ------------------------------------------------------
-// POST /send-feedback
+// POST /feedback  (also /send-feedback)
+// body: { sessionId?, replyId?, rating?: "up" | "down",
+//         category?: "wrong_info" | "unsafe" | "unhelpful" | "other",
+//         comment?, correction?, vehicleContext? }
+// Legacy { feedback: "text" } is accepted as a comment.
 // ------------------------------------------------------
 router.post("/", async (req, res) => {
   try {
-    const { feedback } = req.body;
-
-    if (!feedback || !feedback.trim()) {
-      return res.status(400).json({ error: "Feedback required" });
+    const { feedback, emailed, emailError } = await submitFeedback(req.body || {}, { shopId: shopScope(req) });
+    res.json({ status: "ok", feedbackId: feedback.feedbackId, emailed, ...(emailError && { emailError }) });
+  } catch (err) {
+    if (err instanceof FeedbackValidationError) {
+      return res.status(err.status).json({ error: "Invalid feedback", details: err.errors });
     }
 
-    await resend.emails.send({
-      from: "AutoBrain Feedback <support@autobrain-ai.com>",
-      to: ["support@autobrain-ai.com"],
-      subject: "New AutoBrain GRIT Feedback",
-      html: `
-        <h2>Technician Feedback Submitted</h2>
-        <p>${feedback.replace(/\n/g, "<br>")}</p>
-      `
-    });
+    console.error("Feedback error:", err);
+    res.status(500).json({ error: "Feedback error" });
+  }
+});
+
+// ------------------------------------------------------
+// GET /feedback/summary?days=30
+// Counts by DTC, domain and ruleset version for the caller's
+// shop. The operator (x-admin-key) sees every shop, or one
+// with ?shopId=.
+// ------------------------------------------------------
+router.get("/summary", async (req, res) => {
+  try {
+    const days = Number(req.query.days);
+    const since = Number.isFinite(days) && days > 0 ? Date.now() - days * DAY_MS : null;
+    const shopId = req.auth?.method === "admin" ? req.query.shopId || null : shopScope(req);
 
-    res.json({ status: "ok" });
+    res.json(await getFeedbackSummary({ since, shopId }));
   } catch (err) {
-    console.error("Feedback email failed:", err);
-    res.status(500).json({ error: "Email send failed" });
+    console.error("Feedback summary error:", err);
+    res.status(500).json({ error: "Feedback summary error" });
   }
 });
 
@@ -0,0 +1,182 @@
+import express from "express";
+import {
+  getSession,
+  listSessions,
+  resetSession,
+  updateSession
+} from "../state/session.store.js";
+import { lockDomain } from "../services/grit.service.js";
+import { closeOutSession, updateCloseOut } from "../services/fix.service.js";
+import { FixValidationError } from "../utils/fix.util.js";
+import { shopScope } from "../middleware/auth.middleware.js";
+import { isKnownDomain } from "../rules/domain.catalogs.js";
+import {
+  confirmInterlockPrecondition,
+  getInterlockStatus
+} from "../utils/safety.util.js";
+
+const router = express.Router();
+
+// ------------------------------------------------------
+// GET /sessions — the shop's active (non-expired) sessions
+// Every /sessions route only sees the caller's shop; another
+// shop's session is a 404.
+// ------------------------------------------------------
+router.get("/", async (req, res) => {
+  try {
+    const sessions = await listSessions({ shopId: shopScope(req) });
+    res.json({ sessions });
+  } catch (err) {
+    console.error("Session list error:", err);
+    res.status(500).json({ error: "Session list error" });
+  }
+});
+
+// ------------------------------------------------------
+// GET /sessions/:id — full diagnostic state
+// ------------------------------------------------------
+router.get("/:id", async (req, res) => {
+  try {
+    const session = await getSession(req.params.id, { shopId: shopScope(req) });
+    if (!session) return res.status(404).json({ error: "Session not found" });
+
+    res.json({ session });
+  } catch (err) {
+    console.error("Session fetch error:", err);
+    res.status(500).json({ error: "Session fetch error" });
+  }
+});
+
+// ------------------------------------------------------
+// POST /sessions/:id/reset — authoritative reset
+// ------------------------------------------------------
+router.post("/:id/reset", async (req, res) => {
+  try {
+    const session = await resetSession(req.params.id, { shopId: shopScope(req) });
+    if (!session) return res.status(404).json({ error: "Session not found" });
+
+    res.json({ session });
+  } catch (err) {
+    console.error("Session reset error:", err);
+    res.status(500).json({ error: "Session reset error" });
+  }
+});
+
+// ------------------------------------------------------
+// POST /sessions/:id/domain — explicit domain change
+// ------------------------------------------------------
+router.post("/:id/domain", async (req, res) => {
+  try {
+    const { domain } = req.body;
+
+    if (!isKnownDomain(domain)) {
+      return res.status(400).json({ error: "Unknown domain" });
+    }
+
+    const session = await updateSession(
+      req.params.id,
+      (state) => lockDomain(state, domain, "manual"),
+      { shopId: shopScope(req) }
+    );
+    if (!session) return res.status(404).json({ error: "Session not found" });
+
+    res.json({ session });
+  } catch (err) {
+    console.error("Session domain error:", err);
+    res.status(500).json({ error: "Session domain error" });
+  }
+});
+
+// ------------------------------------------------------
+// POST /sessions/:id/close — the confirmed fix
+// body: { rootCause, partReplaced?, codeReturned?: boolean,
+//         notes?, recommendations?: [], dtc?, vehicleContext? }
+// dtc / vehicleContext default to the session's own.
+// recommendations = advised work the customer deferred.
+// ------------------------------------------------------
+router.post("/:id/close", async (req, res) => {
+  try {
+    const closed = await closeOutSession(req.params.id, req.body || {}, { shopId: shopScope(req) });
+    if (!closed) return res.status(404).json({ error: "Session not found" });
+
+    if (closed.alreadyClosed) {
+      return res.status(409).json({
+        error: "Session already closed out",
+        closeOut: closed.session.state.closeOut
+      });
+    }
+
+    res.json({ fix: closed.fix, session: closed.session });
+  } catch (err) {
+    if (err instanceof FixValidationError) {
+      return res.status(err.status).json({ error: "Invalid close-out", details: err.errors });
+    }
+
+    console.error("Session close error:", err);
+    res.status(500).json({ error: "Session close error" });
+  }
+});
+
+// ------------------------------------------------------
+// PATCH /sessions/:id/close — settle the comeback window
+// body: { codeReturned: boolean }
+// A comeback on the same VIN sets it to true on its own.
+// ------------------------------------------------------
+router.patch("/:id/close", async (req, res) => {
+  try {
+    const updated = await updateCloseOut(req.params.id, req.body || {}, { shopId: shopScope(req) });
+    if (!updated) return res.status(404).json({ error: "Session not found" });
+
+    if (updated.notClosed) {
+      return res.status(409).json({ error: "Session not closed out" });
+    }
+
+    res.json({ fix: updated.fix, session: updated.session });
+  } catch (err) {
+    if (err instanceof FixValidationError) {
+      return res.status(err.status).json({ error: "Invalid close-out update", details: err.errors });
+    }
+
+    console.error("Session close update error:", err);
+    res.status(500).json({ error: "Session close update error" });
+  }
+});
+
+// ------------------------------------------------------
+// POST /sessions/:id/interlocks/:interlockId/confirm
+// Body: { precondition, note }
+// ------------------------------------------------------
+router.post("/:id/interlocks/:interlockId/confirm", async (req, res) => {
+  try {
+    const { precondition, note } = req.body;
+    let confirmation = null;
+
+    const session = await updateSession(
+      req.params.id,
+      (state) => {
+        confirmation = confirmInterlockPrecondition(
+          state,
+          req.params.interlockId,
+          precondition,
+          { via: "api", text: note }
+        );
+      },
+      { shopId: shopScope(req) }
+    );
+    if (!session) return res.status(404).json({ error: "Session not found" });
+
+    if (!confirmation) {
+      return res.status(400).json({ error: "Interlock not engaged or unknown precondition" });
+    }
+
+    res.json({
+      confirmation,
+      safetyInterlocks: getInterlockStatus(session.state)
+    });
+  } catch (err) {
+    console.error("Interlock confirm error:", err);
+    res.status(500).json({ error: "Interlock confirm error" });
+  }
+});
+
+export default router;
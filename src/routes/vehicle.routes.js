@@ -0,0 +1,27 @@
+import express from "express";
+import { getVehicleHistory } from "../services/history.service.js";
+import { VinValidationError } from "../utils/vin.util.js";
+import { shopScope } from "../middleware/auth.middleware.js";
+
+const router = express.Router();
+
+// ------------------------------------------------------
+// GET /vehicles/:vin/history — the shop's visits for the VIN
+// { vin, vehicle, summary, visits, timeline } — timeline
+// events (visit | fix_confirmed | recommendation) newest first.
+// An unseen VIN returns empty visits, not 404.
+// ------------------------------------------------------
+router.get("/:vin/history", async (req, res) => {
+  try {
+    res.json(await getVehicleHistory(req.params.vin, { shopId: shopScope(req) }));
+  } catch (err) {
+    if (err instanceof VinValidationError) {
+      return res.status(400).json({ error: "Invalid VIN", details: err.errors });
+    }
+
+    console.error("Vehicle history error:", err);
+    res.status(500).json({ error: "Vehicle history error" });
+  }
+});
+
+export default router;
@@ -1,16 +1,110 @@
 import express from "express";
-import { decodeVinWithCache } from "../services/vin.service.js";
+import {
+  decodeVinWithCache,
+  decodeVinBatch,
+  MAX_BATCH_VINS
+} from "../services/vin.service.js";
+import { getHistorySummary } from "../services/history.service.js";
+import { VinValidationError } from "../utils/vin.util.js";
+import { shopScope } from "../middleware/auth.middleware.js";
+import { parseCsv, toCsv } from "../utils/csv.util.js";
 
 const router = express.Router();
 
+// ------------------------------------------------------
+// POST /decode-vin — { vehicle, history }
+// history summarizes this shop's earlier visits (null for a
+// VIN it hasn't seen); full timeline at GET /vehicles/:vin/history.
+// ------------------------------------------------------
 router.post("/", async (req, res) => {
   try {
     const vehicle = await decodeVinWithCache(req.body.vin);
-    res.json({ vehicle });
+    const history = await getHistorySummary(vehicle.vin, { shopId: shopScope(req) }).catch((err) => {
+      console.error("Vehicle history lookup failed:", err);
+      return null;
+    });
+
+    res.json({ vehicle, history });
   } catch (err) {
+    if (err instanceof VinValidationError) {
+      return res.status(400).json({ error: "Invalid VIN", details: err.errors });
+    }
+
     console.error("VIN decode error:", err);
     res.status(500).json({ error: "VIN decode error" });
   }
 });
 
+// ------------------------------------------------------
+// BATCH — JSON { vins: [] } or a CSV upload (text/csv)
+// Up to MAX_BATCH_VINS; VINs the time budget didn't reach
+// come back "deferred" to resubmit.
+// ------------------------------------------------------
+function vinsFromCsv(text) {
+  const rows = parseCsv(text);
+  if (!rows.length) return [];
+
+  const header = rows[0].map((h) => h.trim().toLowerCase());
+  const col = header.indexOf("vin");
+
+  // No "vin" header -> first column, and the first row is data
+  if (col === -1) return rows.map((r) => r[0]);
+  return rows.slice(1).map((r) => r[col]);
+}
+
+function vinsFromRequest(req) {
+  if (typeof req.body === "string") return vinsFromCsv(req.body);
+  if (Array.isArray(req.body)) return req.body;
+  if (Array.isArray(req.body?.vins)) return req.body.vins;
+  if (typeof req.body?.csv === "string") return vinsFromCsv(req.body.csv);
+  return null;
+}
+
+const CSV_COLUMNS = [
+  { key: "vin", label: "vin" },
+  { key: "status", label: "status" },
+  { label: "year", get: (r) => r.vehicle?.year },
+  { label: "make", get: (r) => r.vehicle?.make },
+  { label: "model", get: (r) => r.vehicle?.model },
+  { label: "engine", get: (r) => r.vehicle?.engine },
+  { label: "engine_code", get: (r) => r.vehicle?.engineDetails?.code },
+  { label: "engine_family", get: (r) => r.vehicle?.engineDetails?.family },
+  { label: "cylinder_deactivation", get: (r) => r.vehicle?.engineDetails?.cylinder_deactivation },
+  { label: "direct_injected", get: (r) => r.vehicle?.engineDetails?.is_direct_injected },
+  { label: "turbo", get: (r) => r.vehicle?.engineDetails?.is_turbo },
+  { label: "diesel", get: (r) => r.vehicle?.engineDetails?.is_diesel },
+  { label: "engine_notes", get: (r) => r.vehicle?.engineDetails?.notes },
+  { label: "error", get: (r) => r.error || (r.errors || []).join("; ") }
+];
+
+router.post(
+  "/batch",
+  express.text({ type: ["text/csv", "text/plain"], limit: "1mb" }),
+  async (req, res) => {
+    try {
+      const vins = vinsFromRequest(req);
+
+      if (!vins || !vins.length) {
+        return res.status(400).json({ error: "Provide vins[] or a CSV with a vin column" });
+      }
+      if (vins.length > MAX_BATCH_VINS) {
+        return res.status(400).json({ error: `Batch limit is ${MAX_BATCH_VINS} VINs` });
+      }
+
+      const batch = await decodeVinBatch(vins);
+
+      if (req.query.format === "csv" || req.accepts(["json", "text/csv"]) === "text/csv") {
+        res.type("text/csv");
+        res.attachment("vin-decode-results.csv");
+        return res.send(toCsv(CSV_COLUMNS, batch.results));
+      }
+
+      res.json(batch);
+    } catch (err) {
+      console.error("Batch VIN decode error:", err);
+      res.status(500).json({ error: "Batch VIN decode error" });
+    }
+  }
+);
+
 export default router;
@@ -0,0 +1,444 @@
+// ===========================================================
+// AUTO BRAIN — LOCKED DIAGNOSTIC FLOWS
+// Code controls truth. Each flow is an ordered set of phases;
+// answers are classified into buckets and the bucket picks the
+// next phase or a terminal conclusion. GPT is never consulted.
+//
+// Phase shape:
+//   question   — asked verbatim
+//   expects    — "yes_no" | "choice"
+//   options    — (choice only) bucket -> matchers
+//   records    — optional state.classification key to store bucket in
+//   measures   — optional { kinds, pass, fail, deviation }: a parsed
+//                measurement of one of `kinds` answers the phase by its
+//                pass/fail status; with `deviation` ("high" | "low") only
+//                a reading off spec in that direction counts as a fail
+//   next       — bucket -> phase id | { conclusion }
+//                or (bucket, state) -> same
+// ===========================================================
+
+const conclude = (id, summary, nextStep) => ({
+  conclusion: { id, summary, nextStep }
+});
+
+export const DIAGNOSTIC_FLOWS = {
+  /* ======================================================
+     MISFIRE
+  ====================================================== */
+  misfire: {
+    intent: "classify_misfire",
+    start: "pattern",
+    phases: {
+      pattern: {
+        question:
+          "Check the misfire counters in scan data / Mode $06. Is the misfire on ONE cylinder, SEVERAL cylinders, or RANDOM across all?",
+        expects: "choice",
+        options: {
+          single: [/\bone\b/i, /single/i, /\bcyl(inder)?\s*#?\d\b/i, /^#?\d$/],
+          multiple: [/several/i, /multiple/i, /\btwo\b/i, /couple/i, /same bank/i],
+          random: [/random/i, /\ball\b/i, /p0300/i]
+        },
+        records: "misfire",
+        next: { single: "load", multiple: "load", random: "load" }
+      },
+
+      load: {
+        question:
+          "Does the misfire happen at IDLE, under LOAD (acceleration / cruise), or BOTH?",
+        expects: "choice",
+        options: {
+          idle: [/idle/i],
+          load: [/load/i, /accel/i, /cruise/i, /highway/i, /throttle/i],
+          both: [/both/i, /all the time/i, /always/i]
+        },
+        records: "misfireLoad",
+        next: (bucket, state) => {
+          const single = state.classification.misfire === "single";
+          if (bucket === "idle") return "idle_trims";
+          if (bucket === "load") return single ? "coil_swap" : "fuel_pressure_load";
+          return single ? "coil_swap" : "idle_trims";
+        }
+      },
+
+      idle_trims: {
+        question:
+          "At idle, are total fuel trims (STFT + LTFT) above +10%, and do they drop toward 0% at 2500 RPM?",
+        expects: "yes_no",
+        // Rich (negative) trims are off spec too, but they don't answer "above +10%"
+        measures: { kinds: ["ltft", "stft", "fuel_trim"], pass: "no", fail: "yes", deviation: "high" },
+        next: {
+          yes: conclude(
+            "vacuum_leak",
+            "Lean at idle that cleans up off idle points to an unmetered air (vacuum) leak.",
+            "Smoke test the intake, PCV system and brake booster line."
+          ),
+          no: "compression"
+        }
+      },
+
+      coil_swap: {
+        question:
+          "Swap the ignition coil on the misfiring cylinder with a neighboring cylinder and clear counters. Did the misfire MOVE with the coil?",
+        expects: "yes_no",
+        next: {
+          yes: conclude(
+            "ignition_coil",
+            "Misfire followed the coil — the coil is the failed component.",
+            "Replace the coil (OEM recommended) and verify counters stay at zero under the same conditions."
+          ),
+          no: "plug_check"
+        }
+      },
+
+      plug_check: {
+        question:
+          "Pull the spark plug on the misfiring cylinder. Is it fouled, cracked, oil-soaked, or gapped wide?",
+        expects: "yes_no",
+        next: {
+          yes: conclude(
+            "spark_plug",
+            "Spark plug condition explains the misfire.",
+            "Replace the plug set, and find out WHY it fouled (oil, coolant, rich condition) before returning the vehicle."
+          ),
+          no: "injector_balance"
+        }
+      },
+
+      injector_balance: {
+        question:
+          "Run an injector balance / contribution test (or swap the injector if accessible). Does the misfiring cylinder's injector fail?",
+        expects: "yes_no",
+        next: {
+          yes: conclude(
+            "injector",
+            "The injector on the misfiring cylinder is not delivering fuel correctly.",
+            "Check injector circuit and connector first, then replace the injector."
+          ),
+          no: "compression"
+        }
+      },
+
+      compression: {
+        question:
+          "Run relative compression, then a cranking compression test on the suspect cylinder. Is it more than 10% below the others?",
+        expects: "yes_no",
+        measures: { kinds: ["compression"], pass: "no", fail: "yes" },
+        next: {
+          yes: "exhaust_smoke",
+          no: conclude(
+            "valvetrain",
+            "Ignition, fuel and compression check out — suspect valvetrain (lifter / cam lobe / AFM-DOD lifter) or intake runner issue.",
+            "Check valve lift with a scope or remove the valve cover on the suspect cylinder."
+          )
+        }
+      },
+
+      exhaust_smoke: {
+        question:
+          "Any smoke from the exhaust? WHITE (sweet), BLUE, BLACK, or NONE?",
+        expects: "choice",
+        options: {
+          white: [/white/i, /sweet/i, /steam/i],
+          blue: [/blue/i, /oil/i],
+          black: [/black/i],
+          none: [/none/i, /^no\b/i, /clean/i]
+        },
+        records: "smoke",
+        next: {
+          white: conclude(
+            "coolant_intrusion",
+            "Low compression with white smoke points to coolant entering the cylinder (head gasket / cracked head).",
+            "Run a combustion-leak (block) test and a cylinder leak-down."
+          ),
+          blue: conclude(
+            "oil_control",
+            "Low compression with blue smoke points to rings or valve seals.",
+            "Run a cylinder leak-down and wet compression test to separate rings from valves."
+          ),
+          black: conclude(
+            "mechanical_compression",
+            "Low compression confirmed; black smoke is a rich by-product of the dead cylinder.",
+            "Run a cylinder leak-down to locate where the compression is escaping."
+          ),
+          none: conclude(
+            "mechanical_compression",
+            "Low compression confirmed on the suspect cylinder.",
+            "Run a cylinder leak-down to locate where the compression is escaping."
+          )
+        }
+      },
+
+      fuel_pressure_load: {
+        question:
+          "Under load, does fuel pressure (or commanded vs. actual rail pressure) drop below spec?",
+        expects: "yes_no",
+        measures: { kinds: ["fuel_pressure"], pass: "no", fail: "yes" },
+        next: {
+          yes: conclude(
+            "fuel_delivery",
+            "Multiple-cylinder misfire under load with falling fuel pressure points to fuel delivery.",
+            "Check pump supply voltage/ground, filter, and the pump itself."
+          ),
+          no: conclude(
+            "ignition_under_load",
+            "Fuel pressure holds — suspect secondary ignition breaking down under cylinder pressure.",
+            "Scope secondary ignition under load, or inspect plugs and boots for carbon tracking."
+          )
+        }
+      }
+    }
+  },
+
+  /* ======================================================
+     NO START
+  ====================================================== */
+  no_start: {
+    intent: "classify_no_start",
+    start: "crank",
+    phases: {
+      crank: {
+        question: "Does the engine CRANK normally, crank SLOWLY, or NOT crank at all?",
+        expects: "choice",
+        options: {
+          slow: [/slow/i, /weak/i, /lazy/i],
+          no_crank: [/no crank/i, /not crank/i, /doesn'?t crank/i, /won'?t crank/i, /click/i, /nothing/i],
+          cranks: [/crank/i, /normal/i, /turns over/i, /^yes/i]
+        },
+        next: { slow: "battery_voltage", no_crank: "battery_voltage", cranks: "spark_check" }
+      },
+
+      battery_voltage: {
+        question:
+          "Is battery voltage at least 12.4V at rest AND above 9.6V while cranking (or attempting to)?",
+        expects: "yes_no",
+        measures: { kinds: ["voltage"], pass: "yes", fail: "no" },
+        next: {
+          yes: "starter_command",
+          no: conclude(
+            "battery_charging",
+            "Battery voltage is too low to crank reliably.",
+            "Charge and load-test the battery, clean terminals, then check charging output and cable voltage drop."
+          )
+        }
+      },
+
+      starter_command: {
+        question:
+          "With the key in START, is there battery voltage at the starter solenoid S terminal?",
+        expects: "yes_no",
+        next: {
+          yes: conclude(
+            "starter",
+            "The starter is commanded but not turning the engine.",
+            "Voltage-drop the starter main cable and ground while cranking, then replace the starter if they pass."
+          ),
+          no: conclude(
+            "start_circuit",
+            "The starter is not being commanded.",
+            "Check the start relay, neutral safety / clutch switch, and immobilizer / security status in scan data."
+          )
+        }
+      },
+
+      spark_check: {
+        question: "While cranking, is there SPARK (spark tester on at least one coil)?",
+        expects: "yes_no",
+        next: {
+          yes: "fuel_check",
+          no: conclude(
+            "no_spark",
+            "Cranks with no spark.",
+            "Check for crank/cam sensor signal (RPM while cranking), ignition fuse/relay, and immobilizer status."
+          )
+        }
+      },
+
+      fuel_check: {
+        question: "While cranking, is fuel pressure in spec (and are injectors pulsing)?",
+        expects: "yes_no",
+        measures: { kinds: ["fuel_pressure"], pass: "yes", fail: "no" },
+        next: {
+          yes: conclude(
+            "mechanical_or_timing",
+            "Spark and fuel present — suspect mechanical compression or cam timing.",
+            "Run a relative compression test and verify cam/crank correlation."
+          ),
+          no: conclude(
+            "fuel_delivery",
+            "Cranks with spark but no fuel.",
+            "Check pump relay, fuse, pump power/ground at the tank connector, and injector command."
+          )
+        }
+      }
+    }
+  },
+
+  /* ======================================================
+     OVERHEAT
+  ====================================================== */
+  overheat: {
+    intent: "classify_overheat",
+    start: "coolant_level",
+    phases: {
+      coolant_level: {
+        question:
+          "With the engine COLD, is coolant full in both the radiator (or degas bottle) and the overflow?",
+        expects: "yes_no",
+        next: {
+          yes: "fans",
+          no: conclude(
+            "coolant_loss",
+            "The engine is losing coolant.",
+            "Pressure-test the system COLD and check for external leaks, then run a combustion-leak test."
+          )
+        }
+      },
+
+      fans: {
+        question:
+          "At operating temperature (or with A/C on), do the cooling fans run?",
+        expects: "yes_no",
+        next: {
+          yes: "when_hot",
+          no: conclude(
+            "cooling_fan",
+            "Cooling fans are not running.",
+            "Command the fans with the scan tool, then check fan fuse/relay/module and motor power/ground."
+          )
+        }
+      },
+
+      when_hot: {
+        question: "Does it overheat at IDLE, at HIGHWAY speed, or BOTH?",
+        expects: "choice",
+        options: {
+          idle: [/idle/i, /traffic/i, /stopped/i],
+          highway: [/highway/i, /speed/i, /cruise/i, /load/i, /tow/i],
+          both: [/both/i, /always/i, /all the time/i]
+        },
+        next: {
+          idle: conclude(
+            "airflow",
+            "Overheats only at idle with fans running — airflow across the radiator is insufficient.",
+            "Check fan clutch / fan speed, shroud, and debris between the condenser and radiator."
+          ),
+          highway: conclude(
+            "radiator_restriction",
+            "Overheats at speed — suspect an internally restricted radiator or weak water pump.",
+            "Check radiator temperature drop with an IR gun and inspect water pump impeller."
+          ),
+          both: "combustion_leak"
+        }
+      },
+
+      combustion_leak: {
+        question:
+          "Does a combustion-leak (block) test show exhaust gases in the coolant?",
+        expects: "yes_no",
+        next: {
+          yes: conclude(
+            "head_gasket",
+            "Combustion gases in the coolant — head gasket or cracked head.",
+            "Run a cylinder leak-down to find the affected cylinder."
+          ),
+          no: conclude(
+            "thermostat_water_pump",
+            "No combustion leak — suspect thermostat or water pump.",
+            "Compare upper vs. lower hose temperature and verify thermostat opening temperature."
+          )
+        }
+      }
+    }
+  },
+
+  /* ======================================================
+     LEAN (P0171 / P0174)
+  ====================================================== */
+  lean: {
+    intent: "classify_lean",
+    start: "banks",
+    phases: {
+      banks: {
+        question: "Is the lean condition on ONE bank or BOTH banks?",
+        expects: "choice",
+        options: {
+          one: [/\bone\b/i, /single/i, /bank\s*[12]\b(?!.*bank)/i, /only/i],
+          both: [/both/i, /two banks/i, /p0171.*p0174|p0174.*p0171/i, /inline/i, /4.?cyl/i]
+        },
+        next: { one: "bank_smoke", both: "idle_vs_load" }
+      },
+
+      idle_vs_load: {
+        question:
+          "Are fuel trims high mostly at IDLE (improving off idle), or mostly under LOAD?",
+        expects: "choice",
+        options: {
+          idle: [/idle/i],
+          load: [/load/i, /accel/i, /cruise/i, /highway/i, /rpm/i]
+        },
+        next: {
+          idle: conclude(
+            "vacuum_leak",
+            "Lean at idle that improves with airflow — unmetered air.",
+            "Smoke test the intake, PCV, and brake booster hose."
+          ),
+          load: "fuel_pressure"
+        }
+      },
+
+      fuel_pressure: {
+        question: "Under load, does fuel pressure stay in spec?",
+        expects: "yes_no",
+        measures: { kinds: ["fuel_pressure"], pass: "yes", fail: "no" },
+        next: {
+          yes: "maf_check",
+          no: conclude(
+            "fuel_delivery",
+            "Fuel pressure falls under load — fuel delivery is short.",
+            "Check pump voltage drop, filter, and regulator."
+          )
+        }
+      },
+
+      maf_check: {
+        question:
+          "At warm idle, is MAF roughly equal to engine displacement in g/s (e.g. 5.3L ≈ 5 g/s)?",
+        expects: "yes_no",
+        next: {
+          yes: conclude(
+            "exhaust_leak_o2",
+            "Airflow and fuel check out — suspect an exhaust leak ahead of the upstream O2/AF sensor or a biased sensor.",
+            "Inspect for exhaust leaks at the manifold, then check the upstream sensor response."
+          ),
+          no: conclude(
+            "maf_sensor",
+            "MAF is under-reporting airflow.",
+            "Inspect for a torn intake boot after the MAF, then clean or replace the MAF."
+          )
+        }
+      },
+
+      bank_smoke: {
+        question:
+          "Smoke test the intake. Is there a leak on the lean bank (intake gasket, injector O-ring, runner)?",
+        expects: "yes_no",
+        next: {
+          yes: conclude(
+            "intake_leak_bank",
+            "Intake leak found on the lean bank.",
+            "Repair the leak and verify trims return within ±5%."
+          ),
+          no: conclude(
+            "injector_bank",
+            "No leak on the lean bank — suspect restricted injectors or an exhaust leak on that bank.",
+            "Run an injector balance test on the lean bank and inspect the exhaust manifold."
+          )
+        }
+      }
+    }
+  }
+};
+
+export const FLOW_BY_INTENT = Object.fromEntries(
+  Object.entries(DIAGNOSTIC_FLOWS).map(([path, flow]) => [flow.intent, path])
+);
@@ -0,0 +1,215 @@
+// ===========================================================
+// AUTO BRAIN — DOMAIN INTENT CATALOGS
+// Each domain has its own ordered ladder of intents.
+// Order inside a catalog IS the escalation order:
+// lowest effort first, labor last.
+//
+// tier_0 = no labor (scan data, freeze frame)
+// tier_1 = easy access (engine bay, visible connectors)
+// tier_2 = moderate access (wheel off, shields)
+// tier_3 = labor required (intake, tank, teardown)
+// ===========================================================
+
+export const DIAGNOSTIC_TIERS = ["tier_0", "tier_1", "tier_2", "tier_3"];
+
+export const DOMAINS = {
+  engine_drivability: "engine_drivability",
+  starting_charging: "starting_charging",
+  cooling: "cooling",
+  evap: "evap",
+  network: "network",
+  brakes_abs: "brakes_abs",
+  transmission: "transmission",
+  hvac: "hvac",
+  diesel_emissions: "diesel_emissions",
+  steering_suspension: "steering_suspension",
+  hybrid_ev: "hybrid_ev",
+  body_electrical: "body_electrical",
+  srs_airbag: "srs_airbag",
+  tpms: "tpms",
+  adas: "adas",
+  unknown: "unknown"
+};
+
+/* ======================================================
+   GENERIC LADDER (unknown domain / fallback)
+====================================================== */
+const GENERIC_CATALOG = {
+  scan_data_review: { tier: "tier_0", focus: "Review live scan data relevant to the complaint." },
+  freeze_frame_review: { tier: "tier_0", focus: "Review freeze frame conditions when the fault set." },
+
+  visual_connector_check: { tier: "tier_1", focus: "Inspect visible connectors and harness routing." },
+  underhood_visual_check: { tier: "tier_1", focus: "Underhood visual inspection for obvious damage or leaks." },
+
+  underbody_access_check: { tier: "tier_2", focus: "Underbody inspection with the vehicle raised." },
+  wheel_off_inspection: { tier: "tier_2", focus: "Wheel-off inspection of components behind the wheel." },
+
+  labor_required_access: { tier: "tier_3", focus: "Component access that requires disassembly." }
+};
+
+/* ======================================================
+   DOMAIN LADDERS
+====================================================== */
+export const DOMAIN_CATALOGS = {
+  engine_drivability: {
+    scan_data_review: { tier: "tier_0", focus: "Fuel trims, misfire counters, MAF, O2 activity." },
+    freeze_frame_review: { tier: "tier_0", focus: "Load, RPM, ECT and trims when the code set." },
+    mode06_review: { tier: "tier_0", focus: "Mode $06 misfire and catalyst test results." },
+    underhood_visual_check: { tier: "tier_1", focus: "Vacuum hoses, intake boot, coil connectors." },
+    spark_plug_inspection: { tier: "tier_1", focus: "Pull and read spark plugs where accessible." },
+    compression_test: { tier: "tier_2", focus: "Relative then cranking compression." },
+    intake_removal_inspection: { tier: "tier_3", focus: "Intake removal for injectors / lifters / gaskets." }
+  },
+
+  starting_charging: {
+    battery_state_review: { tier: "tier_0", focus: "Resting voltage, charging voltage in scan data." },
+    battery_load_test: { tier: "tier_1", focus: "Battery load / conductance test." },
+    terminal_ground_check: { tier: "tier_1", focus: "Terminals, main grounds, engine-to-body strap." },
+    cranking_voltage_drop: { tier: "tier_1", focus: "Voltage drop on positive and ground cables while cranking." },
+    starter_command_check: { tier: "tier_2", focus: "Starter S-terminal voltage with key in START." },
+    starter_removal: { tier: "tier_3", focus: "Starter removal / bench test." }
+  },
+
+  cooling: {
+    ect_scan_review: { tier: "tier_0", focus: "ECT vs. gauge reading, fan command status." },
+    coolant_level_check: { tier: "tier_1", focus: "Coolant level with the engine COLD." },
+    fan_operation_check: { tier: "tier_1", focus: "Fan operation commanded and at temperature." },
+    cold_pressure_test: { tier: "tier_1", focus: "Cooling system pressure test with the engine COLD." },
+    combustion_leak_test: { tier: "tier_2", focus: "Block test for exhaust gases in coolant." },
+    water_pump_thermostat_access: { tier: "tier_3", focus: "Thermostat / water pump removal and inspection." }
+  },
+
+  evap: {
+    evap_monitor_status: { tier: "tier_0", focus: "EVAP monitor status, fuel level, tank pressure PID." },
+    purge_command_test: { tier: "tier_0", focus: "Command purge and watch tank pressure / trims respond." },
+    vent_command_test: { tier: "tier_0", focus: "Command vent closed and watch tank pressure hold." },
+    gas_cap_filler_check: { tier: "tier_1", focus: "Gas cap seal and filler neck condition." },
+    purge_valve_check: { tier: "tier_1", focus: "Purge valve for vacuum leak-through with the engine off." },
+    evap_smoke_test: { tier: "tier_2", focus: "Smoke test the EVAP system at the service port." },
+    vent_canister_check: { tier: "tier_2", focus: "Vent valve and canister under the vehicle." },
+    tank_sensor_access: { tier: "tier_3", focus: "Tank pressure sensor / tank-mounted components." }
+  },
+
+  network: {
+    module_presence_scan: { tier: "tier_0", focus: "Full network scan — which modules respond / are missing." },
+    network_dtc_review: { tier: "tier_0", focus: "Which modules set U-codes and against whom." },
+    dlc_resistance_check: { tier: "tier_1", focus: "CAN-H to CAN-L resistance at the DLC (key off)." },
+    module_power_ground_check: { tier: "tier_1", focus: "Power and ground at the silent module." },
+    bus_voltage_check: { tier: "tier_1", focus: "CAN-H / CAN-L voltage at the DLC (key on)." },
+    splice_pack_isolation: { tier: "tier_2", focus: "Isolate modules at splice packs / star connectors." },
+    harness_trace: { tier: "tier_3", focus: "Trace bus wiring through panels and harness runs." }
+  },
+
+  brakes_abs: {
+    abs_data_review: { tier: "tier_0", focus: "Wheel speed sensor data while driving." },
+    abs_self_test: { tier: "tier_0", focus: "ABS pump / valve self-test with the scan tool." },
+    wss_connector_check: { tier: "tier_1", focus: "Wheel speed sensor connectors and harness." },
+    wheel_off_inspection: { tier: "tier_2", focus: "Tone ring, sensor gap, hub condition." },
+    hub_bearing_replacement_check: { tier: "tier_3", focus: "Hub / bearing removal for tone ring inspection." }
+  },
+
+  transmission: {
+    trans_data_review: { tier: "tier_0", focus: "Commanded vs. actual gear, slip RPM, TFT, line pressure." },
+    adaptive_review: { tier: "tier_0", focus: "Shift adapts / relearn status." },
+    fluid_level_condition: { tier: "tier_1", focus: "Fluid level at temperature and fluid condition." },
+    external_connector_check: { tier: "tier_1", focus: "Transmission harness and TCM connectors." },
+    line_pressure_test: { tier: "tier_2", focus: "Mechanical line pressure test." },
+    pan_drop_inspection: { tier: "tier_3", focus: "Drop the pan and inspect debris / valve body." }
+  },
+
+  hvac: {
+    hvac_data_review: { tier: "tier_0", focus: "Pressure transducer, door positions, compressor command." },
+    actuator_self_test: { tier: "tier_0", focus: "Blend / mode door actuator calibration." },
+    blower_circuit_check: { tier: "tier_1", focus: "Blower motor power, ground and resistor / module." },
+    static_pressure_check: { tier: "tier_1", focus: "Static and running refrigerant pressures." },
+    dash_access: { tier: "tier_3", focus: "Under-dash / heater box access." }
+  },
+
+  diesel_emissions: {
+    dpf_data_review: { tier: "tier_0", focus: "Soot load, DPF delta pressure, regen history." },
+    def_data_review: { tier: "tier_0", focus: "DEF quality, NOx sensor readings, dosing command." },
+    def_dosing_test: { tier: "tier_0", focus: "Commanded DEF dosing / purge test." },
+    sensor_line_check: { tier: "tier_1", focus: "DPF pressure sensor lines and connectors." },
+    def_heater_circuit: { tier: "tier_2", focus: "DEF tank / line heater circuits." },
+    aftertreatment_removal: { tier: "tier_3", focus: "Aftertreatment removal for inspection." }
+  },
+
+  steering_suspension: {
+    road_test_verify: { tier: "tier_0", focus: "Verify the complaint and conditions on a road test." },
+    dry_park_check: { tier: "tier_1", focus: "On the ground, wheel turned rapidly — watch track bar and linkage." },
+    tire_wheel_check: { tier: "tier_1", focus: "Tire condition, balance, bent wheels." },
+    alignment_check: { tier: "tier_2", focus: "Alignment readings." },
+    gearbox_evaluation: { tier: "tier_3", focus: "Steering gear play evaluation (last)." }
+  },
+
+  hybrid_ev: {
+    hv_data_review: { tier: "tier_0", focus: "HV battery block voltages, isolation resistance, contactor status." },
+    hv_dtc_review: { tier: "tier_0", focus: "Hybrid control / inverter DTCs and freeze frame." },
+    lv_battery_check: { tier: "tier_1", focus: "12V auxiliary battery state — common root cause." },
+    cooling_fan_inlet_check: { tier: "tier_1", focus: "HV battery cooling intake / fan (no HV contact)." },
+    hv_isolation_test: { tier: "tier_3", focus: "Insulation testing — ONLY after HV disable and zero-volt verify." }
+  },
+
+  body_electrical: {
+    body_data_review: { tier: "tier_0", focus: "Switch inputs and output commands in BCM data." },
+    output_command_test: { tier: "tier_0", focus: "Command the output with the scan tool." },
+    fuse_relay_check: { tier: "tier_1", focus: "Fuses and relays for the affected circuit." },
+    connector_ground_check: { tier: "tier_1", focus: "Accessible connectors and body grounds." },
+    panel_removal: { tier: "tier_3", focus: "Door / trim panel removal for circuit access." }
+  },
+
+  srs_airbag: {
+    srs_dtc_review: { tier: "tier_0", focus: "SRS DTCs, history vs. current, resistance PIDs." },
+    srs_data_review: { tier: "tier_0", focus: "Seat belt / occupant sensor status in scan data." },
+    under_seat_connector_check: { tier: "tier_1", focus: "Visual check of under-seat connectors (no probing)." },
+    clock_spring_check: { tier: "tier_3", focus: "Clock spring access — scan-tool verification only." }
+  },
+
+  tpms: {
+    tpms_sensor_scan: { tier: "tier_0", focus: "Trigger each sensor and read ID / pressure / battery." },
+    tpms_relearn_status: { tier: "tier_0", focus: "Sensor IDs programmed vs. installed." },
+    tire_pressure_set: { tier: "tier_1", focus: "Set all tires to placard pressure." },
+    sensor_replacement_check: { tier: "tier_2", focus: "Dismount for sensor inspection / replacement." }
+  },
+
+  adas: {
+    adas_dtc_review: { tier: "tier_0", focus: "ADAS DTCs and calibration status." },
+    sensor_view_check: { tier: "tier_1", focus: "Windshield camera view / radar face obstruction or damage." },
+    alignment_thrust_check: { tier: "tier_2", focus: "Thrust angle / alignment before calibration." },
+    static_calibration: { tier: "tier_3", focus: "Static or dynamic calibration per OEM procedure." }
+  },
+
+  unknown: GENERIC_CATALOG
+};
+
+/* ======================================================
+   LOOKUPS
+====================================================== */
+export function isKnownDomain(domain) {
+  return Boolean(domain && DOMAINS[domain]);
+}
+
+export function getIntentCatalog(domain) {
+  return DOMAIN_CATALOGS[domain] || GENERIC_CATALOG;
+}
+
+export function getIntentMeta(domain, intent) {
+  return getIntentCatalog(domain)[intent] || GENERIC_CATALOG[intent] || null;
+}
+
+export function getFirstCatalogIntent(domain) {
+  return Object.keys(getIntentCatalog(domain))[0];
+}
+
+/* ======================================================
+   🔑 LADDER ESCALATION
+   Next intent in the domain's ladder after the current one.
+====================================================== */
+export function getNextIntent(domain, currentIntent) {
+  const intents = Object.keys(getIntentCatalog(domain));
+  const idx = intents.indexOf(currentIntent);
+
+  if (idx === -1) return intents[0]; // domain changed mid-ladder
+  if (idx === intents.length - 1) return null;
+  return intents[idx + 1];
+}
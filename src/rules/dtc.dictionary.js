@@ -0,0 +1,275 @@
+// ===========================================================
+// AUTO BRAIN — LOCAL DTC DICTIONARY
+// SAE J2012 generic definitions + per-make enhanced codes.
+// Code controls the definition; GPT only words the explanation.
+//
+// Entry: [description, system, monitor]
+// monitor: OBD-II readiness monitor that runs the test, or
+//          "comprehensive_component" for circuit/rationality,
+//          "none" for codes not tied to an emissions monitor.
+// ===========================================================
+
+const GENERIC = {
+  // ---------------- Cam timing / VVT ----------------
+  P0010: ["Intake Camshaft Position Actuator Circuit (Bank 1)", "variable_valve_timing", "comprehensive_component"],
+  P0011: ["Intake Camshaft Position Timing Over-Advanced or System Performance (Bank 1)", "variable_valve_timing", "comprehensive_component"],
+  P0012: ["Intake Camshaft Position Timing Over-Retarded (Bank 1)", "variable_valve_timing", "comprehensive_component"],
+  P0013: ["Exhaust Camshaft Position Actuator Circuit (Bank 1)", "variable_valve_timing", "comprehensive_component"],
+  P0014: ["Exhaust Camshaft Position Timing Over-Advanced or System Performance (Bank 1)", "variable_valve_timing", "comprehensive_component"],
+  P0016: ["Crankshaft Position - Camshaft Position Correlation (Bank 1 Sensor A)", "variable_valve_timing", "comprehensive_component"],
+  P0017: ["Crankshaft Position - Camshaft Position Correlation (Bank 1 Sensor B)", "variable_valve_timing", "comprehensive_component"],
+  P0018: ["Crankshaft Position - Camshaft Position Correlation (Bank 2 Sensor A)", "variable_valve_timing", "comprehensive_component"],
+  P0021: ["Intake Camshaft Position Timing Over-Advanced or System Performance (Bank 2)", "variable_valve_timing", "comprehensive_component"],
+
+  // ---------------- O2 heaters ----------------
+  P0030: ["HO2S Heater Control Circuit (Bank 1 Sensor 1)", "oxygen_sensor", "o2_heater"],
+  P0036: ["HO2S Heater Control Circuit (Bank 1 Sensor 2)", "oxygen_sensor", "o2_heater"],
+  P0050: ["HO2S Heater Control Circuit (Bank 2 Sensor 1)", "oxygen_sensor", "o2_heater"],
+  P0135: ["O2 Sensor Heater Circuit (Bank 1 Sensor 1)", "oxygen_sensor", "o2_heater"],
+  P0141: ["O2 Sensor Heater Circuit (Bank 1 Sensor 2)", "oxygen_sensor", "o2_heater"],
+  P0155: ["O2 Sensor Heater Circuit (Bank 2 Sensor 1)", "oxygen_sensor", "o2_heater"],
+  P0161: ["O2 Sensor Heater Circuit (Bank 2 Sensor 2)", "oxygen_sensor", "o2_heater"],
+
+  // ---------------- Fuel / air metering ----------------
+  P0068: ["MAP/MAF - Throttle Position Correlation", "air_metering", "comprehensive_component"],
+  P0087: ["Fuel Rail/System Pressure - Too Low", "fuel_delivery", "fuel_system"],
+  P0088: ["Fuel Rail/System Pressure - Too High", "fuel_delivery", "fuel_system"],
+  P0100: ["Mass or Volume Air Flow Circuit", "air_metering", "comprehensive_component"],
+  P0101: ["Mass or Volume Air Flow Circuit Range/Performance", "air_metering", "comprehensive_component"],
+  P0102: ["Mass or Volume Air Flow Circuit Low Input", "air_metering", "comprehensive_component"],
+  P0103: ["Mass or Volume Air Flow Circuit High Input", "air_metering", "comprehensive_component"],
+  P0106: ["Manifold Absolute Pressure/Barometric Pressure Circuit Range/Performance", "air_metering", "comprehensive_component"],
+  P0107: ["Manifold Absolute Pressure/Barometric Pressure Circuit Low Input", "air_metering", "comprehensive_component"],
+  P0108: ["Manifold Absolute Pressure/Barometric Pressure Circuit High Input", "air_metering", "comprehensive_component"],
+  P0112: ["Intake Air Temperature Sensor 1 Circuit Low", "air_metering", "comprehensive_component"],
+  P0113: ["Intake Air Temperature Sensor 1 Circuit High", "air_metering", "comprehensive_component"],
+  P0116: ["Engine Coolant Temperature Circuit Range/Performance", "cooling", "comprehensive_component"],
+  P0117: ["Engine Coolant Temperature Circuit Low", "cooling", "comprehensive_component"],
+  P0118: ["Engine Coolant Temperature Circuit High", "cooling", "comprehensive_component"],
+  P0121: ["Throttle/Pedal Position Sensor/Switch A Circuit Range/Performance", "throttle_control", "comprehensive_component"],
+  P0122: ["Throttle/Pedal Position Sensor/Switch A Circuit Low", "throttle_control", "comprehensive_component"],
+  P0123: ["Throttle/Pedal Position Sensor/Switch A Circuit High", "throttle_control", "comprehensive_component"],
+  P0125: ["Insufficient Coolant Temperature for Closed Loop Fuel Control", "cooling", "comprehensive_component"],
+  P0128: ["Coolant Thermostat (Coolant Temperature Below Thermostat Regulating Temperature)", "cooling", "thermostat"],
+  P0131: ["O2 Sensor Circuit Low Voltage (Bank 1 Sensor 1)", "oxygen_sensor", "o2_sensor"],
+  P0132: ["O2 Sensor Circuit High Voltage (Bank 1 Sensor 1)", "oxygen_sensor", "o2_sensor"],
+  P0133: ["O2 Sensor Circuit Slow Response (Bank 1 Sensor 1)", "oxygen_sensor", "o2_sensor"],
+  P0134: ["O2 Sensor Circuit No Activity Detected (Bank 1 Sensor 1)", "oxygen_sensor", "o2_sensor"],
+  P0137: ["O2 Sensor Circuit Low Voltage (Bank 1 Sensor 2)", "oxygen_sensor", "o2_sensor"],
+  P0138: ["O2 Sensor Circuit High Voltage (Bank 1 Sensor 2)", "oxygen_sensor", "o2_sensor"],
+  P0140: ["O2 Sensor Circuit No Activity Detected (Bank 1 Sensor 2)", "oxygen_sensor", "o2_sensor"],
+  P0151: ["O2 Sensor Circuit Low Voltage (Bank 2 Sensor 1)", "oxygen_sensor", "o2_sensor"],
+  P0153: ["O2 Sensor Circuit Slow Response (Bank 2 Sensor 1)", "oxygen_sensor", "o2_sensor"],
+  P0171: ["System Too Lean (Bank 1)", "fuel_trim", "fuel_system"],
+  P0172: ["System Too Rich (Bank 1)", "fuel_trim", "fuel_system"],
+  P0174: ["System Too Lean (Bank 2)", "fuel_trim", "fuel_system"],
+  P0175: ["System Too Rich (Bank 2)", "fuel_trim", "fuel_system"],
+  P0191: ["Fuel Rail Pressure Sensor A Circuit Range/Performance", "fuel_delivery", "comprehensive_component"],
+  P0192: ["Fuel Rail Pressure Sensor A Circuit Low", "fuel_delivery", "comprehensive_component"],
+  P0193: ["Fuel Rail Pressure Sensor A Circuit High", "fuel_delivery", "comprehensive_component"],
+  P0200: ["Injector Circuit/Open", "fuel_injection", "comprehensive_component"],
+  P0217: ["Engine Coolant Over Temperature Condition", "cooling", "none"],
+  P0219: ["Engine Overspeed Condition", "engine_control", "none"],
+  P0234: ["Turbocharger/Supercharger A Overboost Condition", "boost_control", "boost_pressure"],
+  P0299: ["Turbocharger/Supercharger A Underboost Condition", "boost_control", "boost_pressure"],
+
+  // ---------------- Ignition / misfire ----------------
+  P0300: ["Random/Multiple Cylinder Misfire Detected", "ignition_misfire", "misfire"],
+  P0313: ["Misfire Detected with Low Fuel", "ignition_misfire", "misfire"],
+  P0316: ["Engine Misfire Detected on Startup (First 1000 Revolutions)", "ignition_misfire", "misfire"],
+  P0325: ["Knock Sensor 1 Circuit (Bank 1 or Single Sensor)", "ignition_misfire", "comprehensive_component"],
+  P0327: ["Knock Sensor 1 Circuit Low (Bank 1 or Single Sensor)", "ignition_misfire", "comprehensive_component"],
+  P0332: ["Knock Sensor 2 Circuit Low (Bank 2)", "ignition_misfire", "comprehensive_component"],
+  P0335: ["Crankshaft Position Sensor A Circuit", "engine_position", "comprehensive_component"],
+  P0336: ["Crankshaft Position Sensor A Circuit Range/Performance", "engine_position", "comprehensive_component"],
+  P0340: ["Camshaft Position Sensor A Circuit (Bank 1 or Single Sensor)", "engine_position", "comprehensive_component"],
+  P0341: ["Camshaft Position Sensor A Circuit Range/Performance (Bank 1 or Single Sensor)", "engine_position", "comprehensive_component"],
+
+  // ---------------- Auxiliary emissions ----------------
+  P0400: ["Exhaust Gas Recirculation Flow", "egr", "egr"],
+  P0401: ["Exhaust Gas Recirculation Flow Insufficient Detected", "egr", "egr"],
+  P0402: ["Exhaust Gas Recirculation Flow Excessive Detected", "egr", "egr"],
+  P0403: ["Exhaust Gas Recirculation Control Circuit", "egr", "comprehensive_component"],
+  P0404: ["Exhaust Gas Recirculation Control Circuit Range/Performance", "egr", "egr"],
+  P0410: ["Secondary Air Injection System", "secondary_air", "secondary_air"],
+  P0411: ["Secondary Air Injection System Incorrect Flow Detected", "secondary_air", "secondary_air"],
+  P0420: ["Catalyst System Efficiency Below Threshold (Bank 1)", "catalyst", "catalyst"],
+  P0430: ["Catalyst System Efficiency Below Threshold (Bank 2)", "catalyst", "catalyst"],
+  P0440: ["Evaporative Emission System", "evap", "evap"],
+  P0441: ["Evaporative Emission System Incorrect Purge Flow", "evap", "evap"],
+  P0442: ["Evaporative Emission System Leak Detected (Small Leak)", "evap", "evap"],
+  P0443: ["Evaporative Emission System Purge Control Valve Circuit", "evap", "comprehensive_component"],
+  P0446: ["Evaporative Emission System Vent Control Circuit", "evap", "evap"],
+  P0449: ["Evaporative Emission System Vent Valve/Solenoid Circuit", "evap", "comprehensive_component"],
+  P0451: ["Evaporative Emission System Pressure Sensor/Switch Range/Performance", "evap", "comprehensive_component"],
+  P0452: ["Evaporative Emission System Pressure Sensor/Switch Low", "evap", "comprehensive_component"],
+  P0453: ["Evaporative Emission System Pressure Sensor/Switch High", "evap", "comprehensive_component"],
+  P0455: ["Evaporative Emission System Leak Detected (Large Leak)", "evap", "evap"],
+  P0456: ["Evaporative Emission System Leak Detected (Very Small Leak)", "evap", "evap"],
+  P0457: ["Evaporative Emission System Leak Detected (Fuel Cap Loose/Off)", "evap", "evap"],
+  P0496: ["Evaporative Emission System High Purge Flow", "evap", "evap"],
+  P0497: ["Evaporative Emission System Low Purge Flow", "evap", "evap"],
+
+  // ---------------- Speed / idle / electrical ----------------
+  P0500: ["Vehicle Speed Sensor A", "vehicle_speed", "comprehensive_component"],
+  P0505: ["Idle Air Control System", "idle_control", "comprehensive_component"],
+  P0506: ["Idle Control System RPM Lower Than Expected", "idle_control", "comprehensive_component"],
+  P0507: ["Idle Control System RPM Higher Than Expected", "idle_control", "comprehensive_component"],
+  P0521: ["Engine Oil Pressure Sensor/Switch A Range/Performance", "lubrication", "comprehensive_component"],
+  P0522: ["Engine Oil Pressure Sensor/Switch A Low Voltage", "lubrication", "comprehensive_component"],
+  P0523: ["Engine Oil Pressure Sensor/Switch A High Voltage", "lubrication", "comprehensive_component"],
+  P0561: ["System Voltage Unstable", "charging", "comprehensive_component"],
+  P0562: ["System Voltage Low", "charging", "comprehensive_component"],
+  P0563: ["System Voltage High", "charging", "comprehensive_component"],
+  P0571: ["Brake Switch A Circuit", "brake_switch", "comprehensive_component"],
+  P0600: ["Serial Communication Link", "control_module", "comprehensive_component"],
+  P0601: ["Internal Control Module Memory Check Sum Error", "control_module", "comprehensive_component"],
+  P0603: ["Internal Control Module Keep Alive Memory (KAM) Error", "control_module", "comprehensive_component"],
+  P0606: ["Control Module Processor", "control_module", "comprehensive_component"],
+  P0641: ["Sensor Reference Voltage A Circuit/Open", "control_module", "comprehensive_component"],
+  P0651: ["Sensor Reference Voltage B Circuit/Open", "control_module", "comprehensive_component"],
+  P0697: ["Sensor Reference Voltage C Circuit/Open", "control_module", "comprehensive_component"],
+
+  // ---------------- Transmission ----------------
+  P0700: ["Transmission Control System (MIL Request)", "transmission", "comprehensive_component"],
+  P0705: ["Transmission Range Sensor A Circuit (PRNDL Input)", "transmission", "comprehensive_component"],
+  P0715: ["Input/Turbine Speed Sensor A Circuit", "transmission", "comprehensive_component"],
+  P0720: ["Output Speed Sensor Circuit", "transmission", "comprehensive_component"],
+  P0730: ["Incorrect Gear Ratio", "transmission", "comprehensive_component"],
+  P0740: ["Torque Converter Clutch Solenoid Circuit/Open", "transmission", "comprehensive_component"],
+  P0741: ["Torque Converter Clutch Solenoid Circuit Performance/Stuck Off", "transmission", "comprehensive_component"],
+
+  // ---------------- P2xxx ----------------
+  P2096: ["Post Catalyst Fuel Trim System Too Lean (Bank 1)", "fuel_trim", "fuel_system"],
+  P2097: ["Post Catalyst Fuel Trim System Too Rich (Bank 1)", "fuel_trim", "fuel_system"],
+  P2098: ["Post Catalyst Fuel Trim System Too Lean (Bank 2)", "fuel_trim", "fuel_system"],
+  P2099: ["Post Catalyst Fuel Trim System Too Rich (Bank 2)", "fuel_trim", "fuel_system"],
+  P2135: ["Throttle/Pedal Position Sensor/Switch A/B Voltage Correlation", "throttle_control", "comprehensive_component"],
+  P2138: ["Throttle/Pedal Position Sensor/Switch D/E Voltage Correlation", "throttle_control", "comprehensive_component"],
+  P2187: ["System Too Lean at Idle (Bank 1)", "fuel_trim", "fuel_system"],
+  P2188: ["System Too Rich at Idle (Bank 1)", "fuel_trim", "fuel_system"],
+  P2195: ["O2 Sensor Signal Biased/Stuck Lean (Bank 1 Sensor 1)", "oxygen_sensor", "o2_sensor"],
+  P2196: ["O2 Sensor Signal Biased/Stuck Rich (Bank 1 Sensor 1)", "oxygen_sensor", "o2_sensor"],
+  P2270: ["O2 Sensor Signal Biased/Stuck Lean (Bank 1 Sensor 2)", "oxygen_sensor", "o2_sensor"],
+  P2271: ["O2 Sensor Signal Biased/Stuck Rich (Bank 1 Sensor 2)", "oxygen_sensor", "o2_sensor"],
+  P2279: ["Intake Air System Leak", "air_metering", "fuel_system"],
+  P2440: ["Secondary Air Injection System Switching Valve Stuck Open (Bank 1)", "secondary_air", "secondary_air"],
+  P2442: ["Secondary Air Injection System Switching Valve Stuck Closed (Bank 1)", "secondary_air", "secondary_air"],
+  P2002: ["Diesel Particulate Filter Efficiency Below Threshold (Bank 1)", "diesel_aftertreatment", "pm_filter"],
+  P242F: ["Diesel Particulate Filter Restriction - Ash Accumulation", "diesel_aftertreatment", "pm_filter"],
+  P20EE: ["SCR NOx Catalyst Efficiency Below Threshold (Bank 1)", "diesel_aftertreatment", "nox_aftertreatment"],
+  P3400: ["Cylinder Deactivation System (Bank 1)", "cylinder_deactivation", "comprehensive_component"],
+  P0A80: ["Replace Hybrid Battery Pack", "hybrid_ev", "comprehensive_component"],
+  P0AA6: ["Hybrid Battery Voltage System Isolation Fault", "hybrid_ev", "comprehensive_component"],
+
+  // ---------------- Chassis ----------------
+  C0035: ["Left Front Wheel Speed Sensor Circuit", "brakes_abs", "none"],
+  C0040: ["Right Front Wheel Speed Sensor Circuit", "brakes_abs", "none"],
+  C0045: ["Left Rear Wheel Speed Sensor Circuit", "brakes_abs", "none"],
+  C0050: ["Right Rear Wheel Speed Sensor Circuit", "brakes_abs", "none"],
+
+  // ---------------- Body ----------------
+  B0001: ["Driver Frontal Stage 1 Deployment Control", "srs_airbag", "none"],
+  B0002: ["Driver Frontal Stage 2 Deployment Control", "srs_airbag", "none"],
+  B0012: ["Passenger Frontal Stage 1 Deployment Control", "srs_airbag", "none"],
+
+  // ---------------- Network ----------------
+  U0001: ["High Speed CAN Communication Bus", "network", "none"],
+  U0073: ["Control Module Communication Bus A Off", "network", "none"],
+  U0100: ["Lost Communication With ECM/PCM A", "network", "none"],
+  U0101: ["Lost Communication With TCM", "network", "none"],
+  U0121: ["Lost Communication With Anti-Lock Brake System (ABS) Control Module", "network", "none"],
+  U0140: ["Lost Communication With Body Control Module", "network", "none"],
+  U0151: ["Lost Communication With Restraints Control Module", "network", "none"],
+  U0155: ["Lost Communication With Instrument Panel Cluster (IPC) Control Module", "network", "none"],
+  U0164: ["Lost Communication With HVAC Control Module", "network", "none"],
+  U0401: ["Invalid Data Received From ECM/PCM A", "network", "none"]
+};
+
+/* ======================================================
+   MANUFACTURER-ENHANCED DEFINITIONS (by make group)
+====================================================== */
+const ENHANCED = {
+  gm: {
+    P1101: ["Intake Air Flow System Performance", "air_metering", "comprehensive_component"],
+    P1516: ["Throttle Actuator Control Module Throttle Actuator Position Performance", "throttle_control", "comprehensive_component"],
+    P1631: ["Theft Deterrent Fuel Enable Signal Not Correct", "immobilizer", "none"],
+    P1682: ["Ignition 1 Switch Circuit 2", "control_module", "comprehensive_component"],
+    C0265: ["EBCM Motor Relay Circuit Open When Activated", "brakes_abs", "none"]
+  },
+  ford: {
+    P1000: ["OBD-II Monitor Testing Not Complete (informational)", "readiness", "none"],
+    P1131: ["Lack of Upstream HO2S Switch - Sensor Indicates Lean (Bank 1)", "oxygen_sensor", "fuel_system"],
+    P1151: ["Lack of Upstream HO2S Switch - Sensor Indicates Lean (Bank 2)", "oxygen_sensor", "fuel_system"],
+    P1260: ["Theft Detected - Vehicle Immobilized", "immobilizer", "none"],
+    P1299: ["Cylinder Head Overtemperature Protection Active", "cooling", "none"],
+    P1400: ["DPFE Sensor Circuit Low Voltage Detected", "egr", "comprehensive_component"],
+    P1450: ["Unable to Bleed Up Fuel Tank Vacuum", "evap", "evap"],
+    P1633: ["Keep Alive Power Voltage Too Low", "control_module", "comprehensive_component"]
+  },
+  chrysler: {
+    P1128: ["Closed Loop Fueling Not Achieved (Bank 1)", "fuel_trim", "fuel_system"],
+    P1282: ["Fuel Pump Relay Control Circuit", "fuel_delivery", "comprehensive_component"],
+    P1391: ["Intermittent Loss of CMP or CKP", "engine_position", "comprehensive_component"],
+    P1494: ["Leak Detection Pump Switch or Mechanical Fault", "evap", "evap"],
+    P1495: ["Leak Detection Pump Solenoid Circuit", "evap", "comprehensive_component"],
+    P1521: ["Incorrect Engine Oil Type (MDS)", "cylinder_deactivation", "comprehensive_component"],
+    P1684: ["Battery Disconnected Within Last 50 Starts (informational)", "control_module", "none"]
+  },
+  toyota: {
+    P1135: ["Air/Fuel Ratio Sensor Heater Circuit (Bank 1 Sensor 1)", "oxygen_sensor", "o2_heater"],
+    P1300: ["Igniter Circuit Malfunction (No. 1)", "ignition_misfire", "comprehensive_component"],
+    P1349: ["VVT System Malfunction (Bank 1)", "variable_valve_timing", "comprehensive_component"],
+    P1604: ["Startability Malfunction", "starting_charging", "none"]
+  },
+  honda: {
+    P1009: ["Variable Valve Timing Control (VTC) Advance Malfunction", "variable_valve_timing", "comprehensive_component"],
+    P1259: ["VTEC System Malfunction", "variable_valve_timing", "comprehensive_component"],
+    P1361: ["TDC Sensor Intermittent Interruption", "engine_position", "comprehensive_component"],
+    P1399: ["Random Cylinder Misfire Detected", "ignition_misfire", "misfire"],
+    P1456: ["EVAP Emission Control System Leakage (Fuel Tank System)", "evap", "evap"],
+    P1457: ["EVAP Emission Control System Leakage (EVAP Canister System)", "evap", "evap"]
+  }
+};
+
+export const MAKE_GROUPS = {
+  chevrolet: "gm", gmc: "gm", cadillac: "gm", buick: "gm", pontiac: "gm", saturn: "gm", hummer: "gm",
+  ford: "ford", lincoln: "ford", mercury: "ford",
+  chrysler: "chrysler", dodge: "chrysler", jeep: "chrysler", ram: "chrysler",
+  toyota: "toyota", lexus: "toyota", scion: "toyota",
+  honda: "honda", acura: "honda"
+};
+
+function toEntry([description, system, monitor]) {
+  return { description, system, monitor };
+}
+
+/* ======================================================
+   PATTERN CODES (one rule instead of 12 rows)
+====================================================== */
+const PATTERNS = [
+  {
+    rx: /^P03(0[1-9]|1[0-2])$/,
+    build: (code) => [`Cylinder ${Number(code.slice(3))} Misfire Detected`, "ignition_misfire", "misfire"]
+  },
+  {
+    rx: /^P020([1-9])$/,
+    build: (code) => [`Injector Circuit/Open - Cylinder ${code[4]}`, "fuel_injection", "comprehensive_component"]
+  },
+  {
+    rx: /^P035([1-8])$/,
+    build: (code) => [`Ignition Coil ${"ABCDEFGH"[Number(code[4]) - 1]} Primary/Secondary Circuit`, "ignition_misfire", "comprehensive_component"]
+  }
+];
+
+export function findDefinition(code, makeGroup) {
+  const enhanced = makeGroup && ENHANCED[makeGroup]?.[code];
+  if (enhanced) return { ...toEntry(enhanced), source: `enhanced:${makeGroup}` };
+
+  if (GENERIC[code]) return { ...toEntry(GENERIC[code]), source: "sae" };
+
+  const pattern = PATTERNS.find((p) => p.rx.test(code));
+  if (pattern) return { ...toEntry(pattern.build(code)), source: "sae" };
+
+  return null;
+}
@@ -0,0 +1,152 @@
+// ===========================================================
+// AUTO BRAIN — DTC ROOT-CAUSE RULES
+// Scan reports list codes in module order, not cause order.
+// These rules decide which code to chase first.
+// ===========================================================
+
+/*
+Tiers run top-down: a code in an earlier tier can cause
+codes in later tiers, never the other way round.
+"component" (rx: null) is where every unmatched code lands.
+*/
+export const DTC_TIERS = [
+  { id: "power_supply", rx: /^(P056[0-3]|B1317|B1318)$/ },
+  { id: "network", rx: /^U/ },
+  { id: "sensor_reference", rx: /^(P0641|P0651|P0697|P06A6|P06A7|P06A8)$/ },
+  { id: "engine_position", rx: /^(P033[5-9]|P034[0-9]|P036[5-9])$/ },
+  { id: "fuel_air", rx: /^(P017[1-5]|P0087|P0088|P010[0-3]|P2187|P2188|P2279|P0068)$/ },
+  { id: "component", rx: null },
+  { id: "misfire", rx: /^(P030\d|P031[0-6]|P1399)$/ },
+  { id: "downstream", rx: /^(P0420|P0430|P2096|P2097|P2098|P2099|P0700|P1000|P1684)$/ }
+];
+
+export const TIER_ORDER = DTC_TIERS.map((t) => t.id);
+
+// P0300 alongside this many specific cylinders or fewer -> the
+// cylinder codes lead; more -> a shared cause is more likely.
+export const MISFIRE_SPREAD_LIMIT = 2;
+
+const SAME_CYLINDER = (cause, effect) => cause.slice(-1) === effect.slice(-1);
+
+/*
+Rule: { id, cause, effect, strength, reason, match? }
+cause/effect are regexes on the code; match(cause, effect)
+narrows the pair (e.g. same cylinder number).
+strength: "likely" (chase the cause first) | "possible" (verify the cause first)
+*/
+export const DTC_CAUSE_RULES = [
+  {
+    id: "bus_off",
+    cause: /^(U0001|U0073)$/,
+    effect: /^U0[1-4]\d{2}$/,
+    strength: "likely",
+    reason: "a bus-off fault drops communication with every module on that bus"
+  },
+  {
+    id: "network_defaults",
+    cause: /^U/,
+    effect: /^[PBC]/,
+    strength: "possible",
+    reason: "modules set default-value codes when they stop receiving network data"
+  },
+  {
+    id: "system_voltage",
+    cause: /^(P056[0-3]|B1317|B1318)$/,
+    effect: /^(?!P056[0-3]|B1317|B1318)/,
+    strength: "possible",
+    reason: "low or high system voltage sets false sensor and communication codes"
+  },
+  {
+    id: "reference_voltage",
+    cause: /^(P0641|P0651|P0697|P06A6|P06A7|P06A8)$/,
+    effect: /^(P010[2-8]|P011[2-8]|P012[2-3]|P019[2-3]|P052[2-3]|P045[2-3]|P2122|P2123|P2127|P2128|P2135|P2138|P0222|P0223)$/,
+    strength: "likely",
+    reason: "one shorted 5 V reference pulls down every sensor that shares it"
+  },
+  {
+    id: "crank_cam_signal",
+    cause: /^(P033[5-9]|P034[0-9]|P036[5-9])$/,
+    effect: /^(P030\d|P031[0-6]|P001[6-9])$/,
+    strength: "possible",
+    reason: "a dropped crank/cam signal reads as misfire and timing correlation faults"
+  },
+  {
+    id: "maf_skews_trim",
+    cause: /^P010[0-3]$/,
+    effect: /^(P017[1-5]|P2187|P2188)$/,
+    strength: "likely",
+    reason: "a skewed MAF misreports airflow and drives fuel trim lean or rich"
+  },
+  {
+    id: "intake_leak_trim",
+    cause: /^P2279$/,
+    effect: /^(P0171|P0174|P2187)$/,
+    strength: "likely",
+    reason: "unmetered air from an intake leak is what pushes trims lean"
+  },
+  {
+    id: "fuel_pressure_trim",
+    cause: /^(P0087|P0088)$/,
+    effect: /^(P017[1-5]|P2187|P2188)$/,
+    strength: "likely",
+    reason: "fuel pressure out of range forces the trims to compensate"
+  },
+  {
+    id: "mixture_misfire",
+    cause: /^(P017[1-5]|P0087|P2187|P2188)$/,
+    effect: /^(P030\d|P031[0-6])$/,
+    strength: "likely",
+    reason: "a lean or rich mixture causes misfires — fix the mixture first"
+  },
+  {
+    id: "coil_circuit_misfire",
+    cause: /^P035[1-8]$/,
+    effect: /^P030[1-8]$/,
+    match: SAME_CYLINDER,
+    strength: "likely",
+    reason: "the coil circuit fault on that cylinder explains its misfire"
+  },
+  {
+    id: "injector_circuit_misfire",
+    cause: /^P020[1-8]$/,
+    effect: /^P030[1-8]$/,
+    match: SAME_CYLINDER,
+    strength: "likely",
+    reason: "the injector circuit fault on that cylinder explains its misfire"
+  },
+  {
+    id: "misfire_catalyst",
+    cause: /^(P030\d|P031[0-6])$/,
+    effect: /^(P0420|P0430)$/,
+    strength: "likely",
+    reason: "misfire overheats and contaminates the catalyst — the catalyst code is downstream"
+  },
+  {
+    id: "mixture_catalyst",
+    cause: /^(P017[1-5])$/,
+    effect: /^(P0420|P0430|P2096|P2097|P2098|P2099)$/,
+    strength: "likely",
+    reason: "a mixture fault shows up again at the post-cat sensor"
+  },
+  {
+    id: "ect_closed_loop",
+    cause: /^(P011[5-9])$/,
+    effect: /^(P0125|P0128)$/,
+    strength: "possible",
+    reason: "a bad coolant temperature signal can set closed-loop and thermostat codes"
+  },
+  {
+    id: "vvt_circuit",
+    cause: /^(P0010|P0013|P0020|P0023)$/,
+    effect: /^(P001[1-2]|P001[4-9]|P002[1-2]|P002[4-5])$/,
+    strength: "likely",
+    reason: "the actuator circuit fault stops the cam from reaching its target"
+  },
+  {
+    id: "tcm_mil_request",
+    cause: /^(P07\d{2}|P08\d{2}|P09\d{2}|U0101)$/,
+    effect: /^P0700$/,
+    strength: "likely",
+    reason: "P0700 is only the TCM's MIL request — the TCM code is the real fault"
+  }
+];
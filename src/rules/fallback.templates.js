@@ -0,0 +1,64 @@
+// ===========================================================
+// AUTO BRAIN — DEGRADED-MODE TEMPLATES
+// Fixed wording GRIT uses when the model is unavailable.
+// Per-intent questions where a generic one would be vague,
+// otherwise the intent's focus framed by its tier.
+// ===========================================================
+
+export const DEGRADED_NOTICE =
+  "⚠️ Limited mode: the AI model is unavailable, so this step comes from Auto Brain's built-in checklist.";
+
+/* ======================================================
+   TIER FRAMING — how much work the step asks for
+====================================================== */
+export const TIER_TEMPLATES = {
+  tier_0: { lead: "Scan tool only, no labor:", close: "What do you see?" },
+  tier_1: { lead: "Quick check:", close: "Only if easily accessible. If not, say so." },
+  tier_2: { lead: "Moderate access:", close: "Only if the vehicle is already up or the wheel is off. If not, say so." },
+  tier_3: { lead: "Labor required:", close: "Only with approval for the teardown. If not, say so." }
+};
+
+export const TIER_TOOLS = {
+  tier_0: "Scan tool",
+  tier_1: "Flashlight, DMM",
+  tier_2: "Lift, hand tools, DMM",
+  tier_3: "Service information, hand tools"
+};
+
+/* ======================================================
+   INTENT QUESTIONS
+   Keyed "domain.intent" first, then bare intent.
+====================================================== */
+export const INTENT_QUESTIONS = {
+  "engine_drivability.scan_data_review":
+    "Scan tool only, no labor: at warm idle, what are short and long term fuel trims for each bank, the misfire counters, and MAF reading? Do the numbers change at 2500 RPM?",
+  "engine_drivability.freeze_frame_review":
+    "Scan tool only, no labor: in freeze frame, what were load, RPM, coolant temp and fuel trims when the code set?",
+  "engine_drivability.mode06_review":
+    "Scan tool only, no labor: what do Mode $06 misfire counts per cylinder and the catalyst test results show?",
+  "evap.evap_monitor_status":
+    "Scan tool only, no labor: what is the EVAP monitor status, fuel level, and tank pressure reading with the engine off?",
+  "evap.purge_valve_check":
+    "Quick check: with the engine running, unplug the purge valve and block its tank-side port. Any vacuum at the port? Only if easily accessible. If not, say so.",
+  "network.module_presence_scan":
+    "Scan tool only, no labor: run a full network scan. Which modules respond and which are missing?",
+  "network.dlc_resistance_check":
+    "Quick check: key off, battery settled — what is the resistance between DLC pins 6 and 14? Only if easily accessible. If not, say so.",
+  "network.bus_voltage_check":
+    "Quick check: key on — what are CAN-H (pin 6) and CAN-L (pin 14) voltages to ground at the DLC? Only if easily accessible. If not, say so.",
+  "starting_charging.battery_state_review":
+    "Scan tool only, no labor: what is resting battery voltage, and charging voltage at 2000 RPM?",
+  "cooling.coolant_level_check":
+    "Quick check: with the engine COLD, what is the coolant level in the reservoir and radiator? Only if easily accessible. If not, say so.",
+  "steering_suspension.road_test_verify":
+    "Road test: does the shake or wander repeat, at what speed, and does it start after a bump? Is it violent enough that you have to slow down to stop it?",
+  "steering_suspension.dry_park_check":
+    "Quick check: vehicle on the ground, helper turning the wheel rapidly left and right — any movement at the track bar ends, tie rod ends or steering box mount? Only if easily accessible. If not, say so.",
+  scan_data_review:
+    "Scan tool only, no labor: what do the live data PIDs for the affected system show compared to known-good values?",
+  freeze_frame_review:
+    "Scan tool only, no labor: what were the freeze frame conditions when the code set?"
+};
+
+export const FALLBACK_QUESTION =
+  "Describe what the vehicle is doing, when it happens, and what you have already checked.";
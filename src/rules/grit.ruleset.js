@@ -1,3 +1,6 @@
+// Bump when the ruleset text changes — feedback is summarized per version
+export const GRIT_RULESET_VERSION = "v2";
+
 export const GRIT_RULESET = `
 When the user does not know the code / only sees "check engine light":
 - Explain they must get an actual code before meaningful diagnostics.
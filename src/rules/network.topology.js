@@ -0,0 +1,125 @@
+// ===========================================================
+// AUTO BRAIN — NETWORK TOPOLOGY (U-codes)
+// Which module a U-code points at, and which modules share
+// a bus, a gateway or a power feed on each make.
+// Bus maps are typical layouts — confirm in the wiring
+// diagram for the exact vehicle before cutting into a harness.
+// ===========================================================
+
+// Lost communication (U01xx-U02xx) / invalid data (U04xx) -> module
+export const U_CODE_MODULES = {
+  U0100: "ECM", U0101: "TCM", U0102: "TCCM", U0121: "ABS", U0131: "EPS",
+  U0140: "BCM", U0146: "GATEWAY", U0151: "SRS", U0155: "IPC", U0159: "PAM",
+  U0164: "HVAC", U0168: "SECURITY", U0184: "RADIO", U0198: "TELEMATICS",
+  U0401: "ECM", U0402: "TCM", U0415: "ABS", U0422: "BCM", U0423: "IPC", U0452: "SRS"
+};
+
+// Bus-level faults (U00xx) -> bus id in the make's map
+export const U_CODE_BUSES = {
+  U0001: "hs_can", U0002: "hs_can", U0003: "hs_can", U0004: "hs_can",
+  U0010: "ms_can", U0011: "ms_can",
+  U0019: "ls_can", U0020: "ls_can",
+  U0073: "hs_can", U0074: "ms_can", U0075: "ls_can"
+};
+
+export const MODULE_LABELS = {
+  ECM: "engine control module (ECM/PCM)",
+  TCM: "transmission control module",
+  TCCM: "transfer case control module",
+  ABS: "ABS / brake control module",
+  EPS: "power steering control module",
+  BCM: "body control module",
+  GATEWAY: "gateway module",
+  SRS: "airbag / restraints module",
+  IPC: "instrument cluster",
+  PAM: "parking assist module",
+  HVAC: "HVAC control module",
+  SECURITY: "vehicle security module",
+  RADIO: "radio / infotainment",
+  TELEMATICS: "telematics module"
+};
+
+/*
+Bus map:
+{
+  gateway: module that bridges buses,
+  buses: { [busId]: { label, modules, dlcPins } },
+  power: { [feedId]: { label, modules } }   // shared feeds / grounds
+}
+dlcPins: [high, low] on the J1962 connector, null if not on the DLC.
+*/
+const GENERIC_MAP = {
+  gateway: "BCM",
+  buses: {
+    hs_can: { label: "high-speed CAN", modules: ["ECM", "TCM", "ABS", "SRS", "EPS", "BCM"], dlcPins: [6, 14] },
+    ms_can: { label: "body CAN", modules: ["BCM", "IPC", "HVAC", "RADIO", "PAM", "SECURITY"], dlcPins: null }
+  },
+  power: {
+    ign_run: { label: "ignition-run feed", modules: ["ECM", "TCM", "ABS", "SRS", "IPC"] },
+    battery: { label: "battery feed / body ground", modules: ["BCM", "HVAC", "RADIO", "SECURITY"] }
+  }
+};
+
+export const NETWORK_BUS_MAPS = {
+  generic: GENERIC_MAP,
+
+  gm: {
+    gateway: "BCM",
+    buses: {
+      hs_can: { label: "high-speed GMLAN", modules: ["ECM", "TCM", "ABS", "EPS", "TCCM", "BCM"], dlcPins: [6, 14] },
+      ls_can: { label: "low-speed GMLAN (single wire)", modules: ["BCM", "IPC", "SRS", "HVAC", "RADIO", "PAM", "TELEMATICS"], dlcPins: [1, null] }
+    },
+    power: {
+      ign_run: { label: "ignition-run relay feed", modules: ["ECM", "TCM", "ABS", "TCCM"] },
+      battery: { label: "BCM / body ground", modules: ["BCM", "IPC", "HVAC", "RADIO"] }
+    }
+  },
+
+  ford: {
+    gateway: "IPC",
+    buses: {
+      hs_can: { label: "HS-CAN", modules: ["ECM", "TCM", "ABS", "SRS", "EPS", "IPC"], dlcPins: [6, 14] },
+      ms_can: { label: "MS-CAN", modules: ["IPC", "BCM", "HVAC", "RADIO", "PAM", "SECURITY"], dlcPins: [3, 11] }
+    },
+    power: {
+      ign_run: { label: "PCM power relay / RUN-START feed", modules: ["ECM", "TCM", "ABS", "EPS"] },
+      battery: { label: "BJB battery feed / body ground", modules: ["BCM", "IPC", "HVAC", "RADIO"] }
+    }
+  },
+
+  chrysler: {
+    gateway: "BCM",
+    buses: {
+      hs_can: { label: "CAN-C", modules: ["ECM", "TCM", "ABS", "SRS", "EPS", "TCCM", "BCM"], dlcPins: [6, 14] },
+      ms_can: { label: "CAN-IHS (interior)", modules: ["BCM", "IPC", "HVAC", "RADIO", "PAM", "SECURITY"], dlcPins: [3, 11] }
+    },
+    power: {
+      ign_run: { label: "TIPM/PDC ignition-run feed", modules: ["ECM", "TCM", "ABS", "SRS"] },
+      battery: { label: "PDC battery feed / body ground", modules: ["BCM", "IPC", "RADIO", "HVAC"] }
+    }
+  },
+
+  toyota: {
+    gateway: "GATEWAY",
+    buses: {
+      hs_can: { label: "CAN (V bus)", modules: ["ECM", "TCM", "ABS", "EPS", "SRS", "GATEWAY"], dlcPins: [6, 14] },
+      ms_can: { label: "body bus (MS-CAN)", modules: ["GATEWAY", "BCM", "IPC", "HVAC", "RADIO", "SECURITY"], dlcPins: null }
+    },
+    power: {
+      ign_run: { label: "IG1 / IG2 feed", modules: ["ECM", "ABS", "EPS", "SRS"] },
+      battery: { label: "ECU-B feed / body ground", modules: ["BCM", "GATEWAY", "IPC"] }
+    }
+  },
+
+  honda: {
+    gateway: "IPC",
+    buses: {
+      hs_can: { label: "F-CAN", modules: ["ECM", "TCM", "ABS", "EPS", "SRS", "IPC"], dlcPins: [6, 14] },
+      ms_can: { label: "B-CAN", modules: ["IPC", "BCM", "HVAC", "RADIO", "SECURITY"], dlcPins: [3, 11] }
+    },
+    power: {
+      ign_run: { label: "IG1 feed (under-hood fuse box)", modules: ["ECM", "ABS", "EPS", "SRS"] },
+      battery: { label: "MICU / under-dash fuse box", modules: ["BCM", "IPC", "HVAC", "RADIO"] }
+    }
+  }
+};
@@ -0,0 +1,80 @@
+// ===========================================================
+// AUTO BRAIN — KNOWN-GOOD RANGES
+// Generic shop specs. Intent and vehicle overrides win over
+// the generic table. OEM spec always beats these numbers.
+//
+// Range shape: { min, max } (either may be omitted)
+// Keyed by measurement kind, then condition ("any" = fallback)
+// ===========================================================
+
+export const SPEC_RANGES = {
+  ltft: { any: { min: -10, max: 10 } },
+  stft: { any: { min: -10, max: 10 } },
+  fuel_trim: { any: { min: -10, max: 10 } },
+
+  voltage: {
+    resting: { min: 12.4, max: 13.0 },
+    koeo: { min: 12.2, max: 13.0 },
+    cranking: { min: 9.6 },
+    running: { min: 13.5, max: 14.8 },
+    idle: { min: 13.5, max: 14.8 },
+    any: { min: 12.2, max: 14.8 }
+  },
+
+  voltage_drop: {
+    ground: { max: 0.2 },
+    positive: { max: 0.5 },
+    any: { max: 0.3 }
+  },
+
+  // Port injection / GDI low side, returnless typical
+  fuel_pressure: { any: { min: 35, max: 65 } },
+
+  vacuum: {
+    idle: { min: 17, max: 22 },
+    any: { min: 17, max: 22 }
+  },
+
+  compression: { any: { min: 120 } }
+};
+
+/* ======================================================
+   INTENT OVERRIDES
+   When the current question makes a value mean something
+   specific (e.g. DLC resistance = two 120Ω terminators).
+====================================================== */
+export const INTENT_RANGE_OVERRIDES = {
+  dlc_resistance_check: {
+    resistance: { any: { min: 55, max: 65 } }
+  },
+  cranking_voltage_drop: {
+    voltage_drop: { any: { max: 0.5 }, ground: { max: 0.3 } }
+  },
+  battery_state_review: {
+    voltage: { any: { min: 12.4, max: 14.8 } }
+  }
+};
+
+/* ======================================================
+   VEHICLE OVERRIDES
+   Make-level fuel pressure windows (KOEO / idle).
+====================================================== */
+export const MAKE_FUEL_PRESSURE = {
+  chevrolet: { min: 55, max: 62 },
+  gmc: { min: 55, max: 62 },
+  cadillac: { min: 55, max: 62 },
+  buick: { min: 55, max: 62 },
+  ford: { min: 35, max: 65 },
+  lincoln: { min: 35, max: 65 },
+  toyota: { min: 44, max: 50 },
+  lexus: { min: 44, max: 50 },
+  honda: { min: 41, max: 55 },
+  acura: { min: 41, max: 55 },
+  dodge: { min: 56, max: 62 },
+  ram: { min: 56, max: 62 },
+  jeep: { min: 56, max: 62 },
+  chrysler: { min: 56, max: 62 }
+};
+
+// Warm idle MAF ≈ displacement (L) in g/s
+export const MAF_IDLE_FACTOR = { min: 0.8, max: 1.5 };
@@ -0,0 +1,285 @@
+// ===========================================================
+// AUTO BRAIN — YEAR / MAKE / MODEL -> ENGINE OPTIONS
+// Used when the tech gives YMM without an engine (no VIN).
+// One option for the year -> GRIT fills it in.
+// Several options        -> GRIT asks which one.
+// ===========================================================
+
+export const MAKE_ALIASES = {
+  chevy: "chevrolet",
+  chev: "chevrolet",
+  vw: "volkswagen",
+  volkswagon: "volkswagen",
+  mercedes: "mercedes-benz",
+  benz: "mercedes-benz",
+  mb: "mercedes-benz",
+  toyata: "toyota",
+  landrover: "land rover"
+};
+
+// Shared option lists
+const GM_SILVERADO_2007 = [
+  { label: "4.3L V6", code: "LU3", displacement: "4.3" },
+  { label: "4.8L V8", code: "LY5", displacement: "4.8" },
+  { label: "5.3L V8", code: "LMG", displacement: "5.3" },
+  { label: "6.2L V8", code: "L9H", displacement: "6.2" }
+];
+
+const GM_SILVERADO_2014 = [
+  { label: "4.3L V6", code: "LV3", displacement: "4.3" },
+  { label: "5.3L V8", code: "L83", displacement: "5.3" },
+  { label: "6.2L V8", code: "L86", displacement: "6.2" }
+];
+
+const GM_SILVERADO_2019 = [
+  { label: "2.7L I4 Turbo", code: "L3B", displacement: "2.7" },
+  { label: "4.3L V6", code: "LV3", displacement: "4.3" },
+  { label: "5.3L V8", code: "L84", displacement: "5.3" },
+  { label: "6.2L V8", code: "L87", displacement: "6.2" },
+  { label: "3.0L Duramax diesel", code: "LM2", displacement: "3.0" }
+];
+
+/*
+Entry: { make, model, years: [from, to], engines: [{ label, code, displacement }] }
+make/model are stored normalized (see normalizeModel in vehicle.util.js).
+*/
+export const YMM_ENGINES = [
+  // ---------------- GM ----------------
+  { make: "chevrolet", model: "silverado1500", years: [2007, 2013], engines: GM_SILVERADO_2007 },
+  { make: "chevrolet", model: "silverado1500", years: [2014, 2018], engines: GM_SILVERADO_2014 },
+  { make: "chevrolet", model: "silverado1500", years: [2019, 2024], engines: GM_SILVERADO_2019 },
+  { make: "gmc", model: "sierra1500", years: [2007, 2013], engines: GM_SILVERADO_2007 },
+  { make: "gmc", model: "sierra1500", years: [2014, 2018], engines: GM_SILVERADO_2014 },
+  { make: "gmc", model: "sierra1500", years: [2019, 2024], engines: GM_SILVERADO_2019 },
+  {
+    make: "chevrolet", model: "tahoe", years: [2007, 2009],
+    engines: [
+      { label: "4.8L V8", code: "LY5", displacement: "4.8" },
+      { label: "5.3L V8", code: "LMG", displacement: "5.3" }
+    ]
+  },
+  {
+    make: "chevrolet", model: "tahoe", years: [2010, 2014],
+    engines: [{ label: "5.3L V8", code: "LMG", displacement: "5.3" }]
+  },
+  {
+    make: "chevrolet", model: "tahoe", years: [2015, 2017],
+    engines: [{ label: "5.3L V8", code: "L83", displacement: "5.3" }]
+  },
+  {
+    make: "chevrolet", model: "tahoe", years: [2018, 2020],
+    engines: [
+      { label: "5.3L V8", code: "L83", displacement: "5.3" },
+      { label: "6.2L V8", code: "L86", displacement: "6.2" }
+    ]
+  },
+  {
+    make: "chevrolet", model: "equinox", years: [2013, 2017],
+    engines: [
+      { label: "2.4L I4", code: "LEA", displacement: "2.4" },
+      { label: "3.6L V6", code: "LFX", displacement: "3.6" }
+    ]
+  },
+  {
+    make: "chevrolet", model: "malibu", years: [2016, 2023],
+    engines: [
+      { label: "1.5L I4 Turbo", code: "LFV", displacement: "1.5" },
+      { label: "2.0L I4 Turbo", code: "LTG", displacement: "2.0" }
+    ]
+  },
+
+  // ---------------- FORD ----------------
+  {
+    make: "ford", model: "f150", years: [2004, 2010],
+    engines: [
+      { label: "4.2L V6", code: "", displacement: "4.2" },
+      { label: "4.6L V8", code: "", displacement: "4.6" },
+      { label: "5.4L V8 Triton", code: "", displacement: "5.4" }
+    ]
+  },
+  {
+    make: "ford", model: "f150", years: [2011, 2014],
+    engines: [
+      { label: "3.7L V6", code: "", displacement: "3.7" },
+      { label: "3.5L EcoBoost V6", code: "", displacement: "3.5" },
+      { label: "5.0L V8 Coyote", code: "", displacement: "5.0" },
+      { label: "6.2L V8", code: "", displacement: "6.2" }
+    ]
+  },
+  {
+    make: "ford", model: "f150", years: [2015, 2017],
+    engines: [
+      { label: "3.5L V6", code: "", displacement: "3.5" },
+      { label: "2.7L EcoBoost V6", code: "", displacement: "2.7" },
+      { label: "3.5L EcoBoost V6", code: "", displacement: "3.5" },
+      { label: "5.0L V8 Coyote", code: "", displacement: "5.0" }
+    ]
+  },
+  {
+    make: "ford", model: "f150", years: [2018, 2020],
+    engines: [
+      { label: "3.3L V6", code: "", displacement: "3.3" },
+      { label: "2.7L EcoBoost V6", code: "", displacement: "2.7" },
+      { label: "3.5L EcoBoost V6", code: "", displacement: "3.5" },
+      { label: "5.0L V8 Coyote", code: "", displacement: "5.0" },
+      { label: "3.0L Power Stroke diesel", code: "", displacement: "3.0" }
+    ]
+  },
+  {
+    make: "ford", model: "escape", years: [2013, 2016],
+    engines: [
+      { label: "2.5L I4", code: "", displacement: "2.5" },
+      { label: "1.6L EcoBoost I4", code: "", displacement: "1.6" },
+      { label: "2.0L EcoBoost I4", code: "", displacement: "2.0" }
+    ]
+  },
+  {
+    make: "ford", model: "escape", years: [2017, 2019],
+    engines: [
+      { label: "2.5L I4", code: "", displacement: "2.5" },
+      { label: "1.5L EcoBoost I4", code: "", displacement: "1.5" },
+      { label: "2.0L EcoBoost I4", code: "", displacement: "2.0" }
+    ]
+  },
+  {
+    make: "ford", model: "f250superduty", years: [2011, 2016],
+    engines: [
+      { label: "6.2L V8", code: "", displacement: "6.2" },
+      { label: "6.7L Power Stroke diesel", code: "", displacement: "6.7" }
+    ]
+  },
+
+  // ---------------- STELLANTIS ----------------
+  {
+    make: "ram", model: "1500", years: [2013, 2018],
+    engines: [
+      { label: "3.6L V6 Pentastar", code: "ERB", displacement: "3.6" },
+      { label: "5.7L V8 Hemi", code: "EZH", displacement: "5.7" },
+      { label: "3.0L EcoDiesel", code: "EXF", displacement: "3.0" }
+    ]
+  },
+  {
+    make: "ram", model: "2500", years: [2014, 2018],
+    engines: [
+      { label: "5.7L V8 Hemi", code: "EZH", displacement: "5.7" },
+      { label: "6.4L V8 Hemi", code: "ESG", displacement: "6.4" },
+      { label: "6.7L Cummins diesel", code: "ETJ", displacement: "6.7" }
+    ]
+  },
+  {
+    make: "jeep", model: "wrangler", years: [2012, 2017],
+    engines: [{ label: "3.6L V6 Pentastar", code: "ERB", displacement: "3.6" }]
+  },
+  {
+    make: "jeep", model: "wrangler", years: [2018, 2023],
+    engines: [
+      { label: "3.6L V6 Pentastar", code: "ERB", displacement: "3.6" },
+      { label: "2.0L I4 Turbo", code: "EC1", displacement: "2.0" },
+      { label: "3.0L EcoDiesel", code: "EXJ", displacement: "3.0" }
+    ]
+  },
+  {
+    make: "jeep", model: "grandcherokee", years: [2011, 2021],
+    engines: [
+      { label: "3.6L V6 Pentastar", code: "ERB", displacement: "3.6" },
+      { label: "5.7L V8 Hemi", code: "EZH", displacement: "5.7" },
+      { label: "6.4L V8 Hemi", code: "ESG", displacement: "6.4" },
+      { label: "3.0L EcoDiesel", code: "EXF", displacement: "3.0" }
+    ]
+  },
+
+  // ---------------- TOYOTA ----------------
+  {
+    make: "toyota", model: "camry", years: [2012, 2017],
+    engines: [
+      { label: "2.5L I4", code: "2AR-FE", displacement: "2.5" },
+      { label: "3.5L V6", code: "2GR-FE", displacement: "3.5" }
+    ]
+  },
+  {
+    make: "toyota", model: "camry", years: [2018, 2024],
+    engines: [
+      { label: "2.5L I4", code: "A25A-FKS", displacement: "2.5" },
+      { label: "3.5L V6", code: "2GR-FKS", displacement: "3.5" }
+    ]
+  },
+  {
+    make: "toyota", model: "corolla", years: [2014, 2019],
+    engines: [{ label: "1.8L I4", code: "2ZR-FE", displacement: "1.8" }]
+  },
+  {
+    make: "toyota", model: "tacoma", years: [2016, 2023],
+    engines: [
+      { label: "2.7L I4", code: "2TR-FE", displacement: "2.7" },
+      { label: "3.5L V6", code: "2GR-FDS", displacement: "3.5" }
+    ]
+  },
+  {
+    make: "toyota", model: "tundra", years: [2014, 2021],
+    engines: [
+      { label: "4.6L V8", code: "1UR-FE", displacement: "4.6" },
+      { label: "5.7L V8", code: "3UR-FE", displacement: "5.7" }
+    ]
+  },
+  {
+    make: "toyota", model: "tundra", years: [2022, 2024],
+    engines: [{ label: "3.4L V6 Twin Turbo", code: "V35A-FTS", displacement: "3.4" }]
+  },
+
+  // ---------------- HONDA ----------------
+  {
+    make: "honda", model: "accord", years: [2013, 2017],
+    engines: [
+      { label: "2.4L I4", code: "K24W", displacement: "2.4" },
+      { label: "3.5L V6", code: "J35Y1", displacement: "3.5" }
+    ]
+  },
+  {
+    make: "honda", model: "accord", years: [2018, 2022],
+    engines: [
+      { label: "1.5L I4 Turbo", code: "L15BE", displacement: "1.5" },
+      { label: "2.0L I4 Turbo", code: "K20C4", displacement: "2.0" }
+    ]
+  },
+  {
+    make: "honda", model: "civic", years: [2016, 2021],
+    engines: [
+      { label: "2.0L I4", code: "K20C2", displacement: "2.0" },
+      { label: "1.5L I4 Turbo", code: "L15B7", displacement: "1.5" }
+    ]
+  },
+  {
+    make: "honda", model: "crv", years: [2017, 2022],
+    engines: [
+      { label: "2.4L I4", code: "K24V", displacement: "2.4" },
+      { label: "1.5L I4 Turbo", code: "L15B7", displacement: "1.5" }
+    ]
+  },
+  {
+    make: "honda", model: "pilot", years: [2016, 2022],
+    engines: [{ label: "3.5L V6", code: "J35Y6", displacement: "3.5" }]
+  },
+
+  // ---------------- EUROPEAN ----------------
+  {
+    make: "volkswagen", model: "jetta", years: [2011, 2018],
+    engines: [
+      { label: "2.0L I4", code: "CBPA", displacement: "2.0" },
+      { label: "2.5L I5", code: "CBTA", displacement: "2.5" },
+      { label: "1.8L TSI", code: "CPKA", displacement: "1.8" },
+      { label: "2.0L TDI diesel", code: "CJAA", displacement: "2.0" }
+    ]
+  },
+  {
+    make: "volkswagen", model: "gti", years: [2015, 2021],
+    engines: [{ label: "2.0L TSI", code: "EA888", displacement: "2.0" }]
+  },
+  {
+    make: "bmw", model: "335i", years: [2007, 2010],
+    engines: [{ label: "3.0L I6 Twin Turbo", code: "N54", displacement: "3.0" }]
+  },
+  {
+    make: "bmw", model: "335i", years: [2011, 2015],
+    engines: [{ label: "3.0L I6 Turbo", code: "N55", displacement: "3.0" }]
+  }
+];
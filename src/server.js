@@ -1,12 +1,13 @@
-import dotenv from "dotenv";
-dotenv.config();
+// Loads .env before any module that reads it on import (Supabase client)
+import "dotenv/config";
 
 import express from "express";
 import cors from "cors";
+import { corsOptions } from "./middleware/auth.middleware.js";
 
 const app = express();
 
-app.use(cors());
+app.use(cors(corsOptions));
 app.use(express.json());
 
 export default app;
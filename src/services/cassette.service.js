@@ -0,0 +1,127 @@
+// ===========================================================
+// AUTO BRAIN — LLM CASSETTES (RECORD / REPLAY)
+// Record wraps a real provider and writes every request and
+// response to a JSON cassette. Replay serves them back by
+// request key, offline, without a provider behind it.
+//   LLM_RECORD=path  -> record (real provider still called)
+//   LLM_REPLAY=path  -> replay (a miss is an error, never a call)
+// ===========================================================
+
+import { createHash } from "node:crypto";
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { dirname } from "node:path";
+
+const CASSETTE_VERSION = 1;
+
+export class CassetteMissError extends Error {
+  constructor(key, task, file) {
+    super(`No recorded response for ${task} request ${key.slice(0, 12)} in ${file}`);
+    this.name = "CassetteMissError";
+    this.key = key;
+    this.task = task;
+    this.file = file;
+  }
+}
+
+// Same task + same messages -> same key. The model is left out so a
+// model override still replays; a prompt change does not.
+export function cassetteKey({ task, messages }) {
+  return createHash("sha256")
+    .update(JSON.stringify({ task, messages: messages.map(({ role, content }) => ({ role, content })) }))
+    .digest("hex");
+}
+
+export function loadCassette(file) {
+  if (!existsSync(file)) return { version: CASSETTE_VERSION, entries: [] };
+
+  const data = JSON.parse(readFileSync(file, "utf8"));
+  return { version: data.version || CASSETTE_VERSION, entries: data.entries || [] };
+}
+
+function writeCassette(file, cassette) {
+  mkdirSync(dirname(file), { recursive: true });
+  writeFileSync(file, `${JSON.stringify(cassette, null, 2)}\n`);
+}
+
+/* ======================================================
+   RECORD
+   Starts empty (overwrites) unless append is set, so a
+   re-record never mixes old prompts with new ones.
+====================================================== */
+export function createRecordingProvider(inner, file, { append = false } = {}) {
+  const cassette = append ? loadCassette(file) : { version: CASSETTE_VERSION, entries: [] };
+
+  function record(request, res) {
+    const { task, model, messages } = request;
+
+    cassette.entries.push({
+      key: cassetteKey(request),
+      task,
+      model,
+      messages,
+      response: { text: res.text, model: res.model, usage: res.usage ?? null }
+    });
+    writeCassette(file, cassette);
+
+    return res;
+  }
+
+  return {
+    name: `${inner.name}+record`,
+
+    async complete(request) {
+      return record(request, await inner.complete(request));
+    },
+
+    async stream(request) {
+      if (inner.stream) return record(request, await inner.stream(request));
+
+      const res = await inner.complete(request);
+      request.onToken(res.text);
+      return record(request, res);
+    }
+  };
+}
+
+/* ======================================================
+   REPLAY
+   Identical requests recorded more than once are served in
+   recorded order; the last one repeats after that.
+====================================================== */
+export function createReplayProvider(file) {
+  const { entries } = loadCassette(file);
+  const byKey = new Map();
+  for (const entry of entries) {
+    if (!byKey.has(entry.key)) byKey.set(entry.key, []);
+    byKey.get(entry.key).push(entry);
+  }
+
+  const served = new Map();
+
+  return {
+    name: "replay",
+    misses: [],
+
+    async complete(request) {
+      const key = cassetteKey(request);
+      const recorded = byKey.get(key);
+
+      if (!recorded) {
+        this.misses.push({ key, task: request.task });
+        throw new CassetteMissError(key, request.task, file);
+      }
+
+      const index = Math.min(served.get(key) || 0, recorded.length - 1);
+      served.set(key, index + 1);
+
+      return { ...recorded[index].response };
+    },
+
+    // Recorded text goes out as one chunk
+    async stream(request) {
+      const res = await this.complete(request);
+      request.onToken(res.text);
+      return res;
+    }
+  };
+}
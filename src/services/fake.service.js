@@ -0,0 +1,101 @@
+// ===========================================================
+// AUTO BRAIN — FAKE LLM PROVIDER
+// Deterministic, offline. Same messages -> same text, so the
+// whole backend runs (and can be tested) without network.
+// Output is built from the prompt the real model would get.
+// ===========================================================
+
+function allText(messages = []) {
+  return messages.map((m) => m.content || "").join("\n");
+}
+
+function lastUser(messages = []) {
+  return [...messages].reverse().find((m) => m.role === "user")?.content || "";
+}
+
+function pick(text, rx) {
+  return text.match(rx)?.[1]?.trim() || null;
+}
+
+const RESPONDERS = {
+  dtc_explain(messages) {
+    const text = allText(messages);
+    const code = pick(text, /trouble code (\S+)/i) || "This code";
+    const definition = pick(text, /Definition[^:]*:\s*(.+)/i);
+    const vehicle = pick(text, /Vehicle:\s*(.+)/i);
+
+    return [
+      `${code}${definition ? ` means ${definition}` : " has no local definition on file — confirm it in OEM service info"}.`,
+      vehicle ? `Applies to the ${vehicle}.` : null,
+      "[fake provider]"
+    ]
+      .filter(Boolean)
+      .join(" ");
+  },
+
+  question(messages) {
+    const text = allText(messages);
+    const step = pick(text, /Current step:\s*(.+)/i);
+    const focus = pick(text, /Focus:\s*(.+)/i);
+
+    return `[fake provider] ${focus || "Describe what the vehicle is doing."}${
+      step ? ` (${step})` : ""
+    } What do you find?`;
+  },
+
+  diagnostic_tree(messages) {
+    const summary = String(lastUser(messages)).slice(0, 120) || "No symptom given";
+
+    return JSON.stringify({
+      symptom_summary: `[fake provider] ${summary}`,
+      likely_causes: [
+        { cause: "Wiring or connector fault", confidence: 0.5, notes: "" },
+        { cause: "Failed component", confidence: 0.3, notes: "" }
+      ],
+      tests: [
+        { id: "T1", test: "Visual inspection", why: "Cheapest check first", how: "Inspect harness and connectors", tools: "Flashlight" },
+        { id: "T2", test: "Circuit check", why: "Confirms power and ground", how: "Voltage-drop the feed and ground", tools: "DMM" }
+      ],
+      branching_logic: [
+        { from: "T1", if: "Damage found", next: "end" },
+        { from: "T1", if: "No damage found", next: "T2" },
+        { from: "T2", if: "Circuit good", next: "end" }
+      ],
+      red_flags: [],
+      recommended_next_steps: ["Verify the repair and clear codes"]
+    });
+  }
+};
+
+// script(text) makes every call return `text` until script(null) —
+// scenarios use it to put exact model wording in front of the gates.
+export function createFakeProvider() {
+  let scripted = null;
+
+  return {
+    name: "fake",
+
+    script(text) {
+      scripted = text ?? null;
+    },
+
+    async complete({ task, model, messages }) {
+      const respond = RESPONDERS[task];
+      return {
+        text: scripted ?? (respond ? respond(messages) : "[fake provider] ok"),
+        model: `fake:${model}`,
+        usage: null
+      };
+    },
+
+    // Word-sized chunks, like a real stream
+    async stream(request) {
+      const res = await this.complete(request);
+      for (const token of res.text.match(/\S+\s*/g) || []) {
+        if (request.signal?.aborted) throw Object.assign(new Error("Request was aborted."), { name: "AbortError" });
+        request.onToken(token);
+      }
+      return res;
+    }
+  };
+}
@@ -0,0 +1,112 @@
+// ===========================================================
+// AUTO BRAIN — TECHNICIAN FEEDBACK
+// Feedback is stored with the context of the reply it rates
+// (vehicle, DTCs, domain / step, ruleset version) under the
+// calling shop, and sent to support as an escaped email digest.
+// ===========================================================
+
+import { resend } from "./resend.service.js";
+import { getSession } from "../state/session.store.js";
+import { createFeedback, listFeedback } from "../state/feedback.store.js";
+import { getIntentMeta } from "../rules/domain.catalogs.js";
+import { GRIT_RULESET_VERSION } from "../rules/grit.ruleset.js";
+import { findReply } from "../utils/reply.util.js";
+import { validateFeedback, buildFeedbackEmail, summarizeFeedback } from "../utils/feedback.util.js";
+
+/* ======================================================
+   CONTEXT
+   The rated reply's log entry when it's still on the
+   session, else the session as it stands, else whatever
+   vehicle the client sent.
+====================================================== */
+function emptyContext(source, vehicle = null) {
+  return { source, vehicle, dtcs: [], primaryDTC: null, domain: null, intent: null, tier: null, replyType: null, excerpt: null };
+}
+
+async function resolveContext({ sessionId, replyId, vehicle, shopId }) {
+  const session = sessionId ? await getSession(sessionId, { shopId }) : null;
+  if (!session) return emptyContext(vehicle ? "client" : "none", vehicle);
+
+  const entry = replyId ? findReply(session.state, replyId) : null;
+  if (entry) {
+    return {
+      source: "reply",
+      vehicle: entry.vehicle,
+      dtcs: entry.dtcs,
+      primaryDTC: entry.primaryDTC,
+      domain: entry.domain,
+      intent: entry.intent,
+      tier: entry.tier,
+      replyType: entry.type,
+      excerpt: entry.excerpt,
+      rulesetVersion: entry.rulesetVersion
+    };
+  }
+
+  const { state } = session;
+  const { year, make, model, engine, vin } = state.vehicleContext;
+  return {
+    ...emptyContext("session", { year, make, model, engine, vin }),
+    dtcs: state.activeDTCs,
+    primaryDTC: state.primaryDTC,
+    domain: state.domain,
+    intent: state.lastQuestion,
+    tier: getIntentMeta(state.domain, state.lastQuestion)?.tier || null
+  };
+}
+
+/* ======================================================
+   PUBLIC API
+====================================================== */
+// Resend reports API failures as { error } rather than throwing;
+// network failures still throw. Either way -> { emailed: false, emailError }.
+async function sendFeedbackEmail(record) {
+  const { subject, html, text } = buildFeedbackEmail(record);
+
+  try {
+    const { error } = await resend.emails.send({
+      from: "AutoBrain Feedback <support@autobrain-ai.com>",
+      to: ["support@autobrain-ai.com"],
+      subject,
+      html,
+      text
+    });
+    if (error) {
+      console.error("Feedback email rejected:", error);
+      return { emailed: false, emailError: error.message || error.name || "Email rejected" };
+    }
+    return { emailed: true, emailError: null };
+  } catch (err) {
+    console.error("Feedback email failed:", err);
+    return { emailed: false, emailError: err.message };
+  }
+}
+
+/*
+Returns { feedback, emailed, emailError }. Throws FeedbackValidationError.
+The stored record is the source of truth — a failed email
+doesn't fail the submission. Another shop's session gives no
+context (as if it had expired).
+*/
+export async function submitFeedback(body, { shopId = null } = {}) {
+  const { vehicle, ...input } = validateFeedback(body);
+  const { rulesetVersion, ...context } = await resolveContext({ ...input, vehicle, shopId });
+
+  const feedback = await createFeedback({
+    ...input,
+    shopId,
+    context,
+    rulesetVersion: rulesetVersion || GRIT_RULESET_VERSION
+  });
+
+  return { feedback, ...(await sendFeedbackEmail(feedback)) };
+}
+
+export async function getFeedbackSummary({ since = null, shopId = null } = {}) {
+  const records = await listFeedback({ since, shopId });
+  return {
+    shopId,
+    since: since ? new Date(since).toISOString() : null,
+    ...summarizeFeedback(records)
+  };
+}
@@ -0,0 +1,202 @@
+// ===========================================================
+// AUTO BRAIN — CONFIRMED FIXES
+// The tech closes a session out with the confirmed root
+// cause, the part replaced and whether the code came back —
+// usually not known yet, so that's settled later (by the tech,
+// or by the same DTC coming back on the VIN).
+// Later sessions on the same platform + DTC get those fixes,
+// ranked, as context.
+// ===========================================================
+
+import { getSession, updateSession } from "../state/session.store.js";
+import { createFix, listFixes, setFixCodeReturned } from "../state/fix.store.js";
+import { recordVisit, updateVisitCloseOut } from "./history.service.js";
+import { mergeVehicleContexts } from "../utils/vehicle.util.js";
+import { normalizeDtc } from "../utils/dtc.util.js";
+import {
+  FixValidationError,
+  FIX_RANKING_DTC_LIMIT,
+  validateFix,
+  validateCloseOutUpdate,
+  getPlatform,
+  matchesPlatform,
+  rankFixes
+} from "../utils/fix.util.js";
+
+/* ======================================================
+   CLOSE-OUT CONTEXT
+   Vehicle: what the client sends, else the vehicle of the
+   last reply, else the session's remembered vehicle.
+   DTCs: the session's codes plus the one the tech names.
+====================================================== */
+function resolveVehicle(state, clientVehicle) {
+  const last = state.replyLog?.[state.replyLog.length - 1]?.vehicle || {};
+  const saved = state.vehicleContext || {};
+  const base = last.make ? last : saved;
+
+  const vehicle = mergeVehicleContexts(base, clientVehicle || {});
+  const engineCode =
+    vehicle.engineDetails?.code ||
+    last.engineCode ||
+    (saved.engine && saved.engine === vehicle.engine ? saved.engineCode : null) ||
+    null;
+
+  return { ...vehicle, engineCode };
+}
+
+function resolveDtcs(state, dtc) {
+  const last = state.replyLog?.[state.replyLog.length - 1];
+  const session = state.activeDTCs?.length ? state.activeDTCs : last?.dtcs || [];
+  const primaryDTC = dtc || state.primaryDTC || last?.primaryDTC || session[0] || null;
+
+  return {
+    dtcs: [...new Set([primaryDTC, ...session].filter(Boolean).map(normalizeDtc))],
+    primaryDTC
+  };
+}
+
+/* ======================================================
+   COMEBACK WINDOW
+   codeReturned lives on the fix, the session's closeOut and
+   the VIN visit; all three move together. The session may
+   have expired by then — the fix and visit still update.
+====================================================== */
+async function settleFix(sessionId, fixId, codeReturned, { shopId = null } = {}) {
+  const fix = await setFixCodeReturned(fixId, codeReturned);
+
+  const session = await updateSession(
+    sessionId,
+    (state) => {
+      if (state.closeOut?.fixId === fixId) state.closeOut.codeReturned = codeReturned;
+    },
+    { shopId }
+  );
+
+  await updateVisitCloseOut(sessionId, { codeReturned }).catch((err) =>
+    console.error("Visit close-out update failed:", err)
+  );
+
+  return { fix, session };
+}
+
+/* ======================================================
+   PUBLIC API
+====================================================== */
+/*
+Returns { fix, session, alreadyClosed } or null when the session
+doesn't exist (or belongs to another shop). A session closes out
+once — a second close-out returns the original closeOut with
+alreadyClosed. Fixes are recorded under the session's shop.
+Throws FixValidationError.
+*/
+export async function closeOutSession(sessionId, body, { shopId = null } = {}) {
+  const input = validateFix(body);
+
+  const existing = await getSession(sessionId, { shopId });
+  if (!existing) return null;
+  if (existing.state.closeOut) {
+    return { fix: null, session: existing, alreadyClosed: true };
+  }
+
+  const vehicle = resolveVehicle(existing.state, input.vehicle);
+  const platform = getPlatform(vehicle);
+  const { dtcs, primaryDTC } = resolveDtcs(existing.state, input.dtc);
+
+  const errors = [];
+  if (!platform) errors.push("vehicle make and model are unknown — send vehicleContext");
+  if (!dtcs.length) errors.push("no DTC on the session — send dtc");
+  if (errors.length) throw new FixValidationError(errors);
+
+  const fix = await createFix({
+    sessionId,
+    shopId: existing.shopId || null,
+    platformKey: platform.key,
+    make: platform.make,
+    model: platform.model,
+    engineCode: platform.engineCode,
+    year: vehicle.year ? String(vehicle.year) : null,
+    vin: vehicle.vin || null,
+    dtcs,
+    primaryDTC,
+    rootCause: input.rootCause,
+    partReplaced: input.partReplaced,
+    codeReturned: input.codeReturned,
+    notes: input.notes
+  });
+
+  const session = await updateSession(
+    sessionId,
+    (state) => {
+      state.closeOut = {
+        fixId: fix.fixId,
+        at: new Date().toISOString(),
+        rootCause: fix.rootCause,
+        partReplaced: fix.partReplaced,
+        codeReturned: fix.codeReturned,
+        recommendations: input.recommendations
+      };
+    },
+    { shopId }
+  );
+
+  // The VIN's visit history picks up the fix and anything left open
+  await recordVisit(sessionId, session.state, vehicle, { shopId: fix.shopId }).catch((err) =>
+    console.error("Visit record failed:", err)
+  );
+
+  return { fix, session, alreadyClosed: false };
+}
+
+/*
+Returns { fix, session, notClosed } or null when the session
+doesn't exist (or belongs to another shop). Only codeReturned
+can change after close-out. Throws FixValidationError.
+*/
+export async function updateCloseOut(sessionId, body, { shopId = null } = {}) {
+  const { codeReturned } = validateCloseOutUpdate(body);
+
+  const existing = await getSession(sessionId, { shopId });
+  if (!existing) return null;
+  if (!existing.state.closeOut?.fixId) {
+    return { fix: null, session: existing, notClosed: true };
+  }
+
+  const settled = await settleFix(sessionId, existing.state.closeOut.fixId, codeReturned, { shopId });
+  return { ...settled, notClosed: false };
+}
+
+/*
+A comeback (same DTC, same VIN, later visit) means the fix
+recorded on the earlier visit didn't hold. Store failures are
+logged and never block the turn.
+*/
+export async function markComebackFixes(comebacks = [], { shopId = null } = {}) {
+  for (const comeback of comebacks) {
+    const fixId = comeback.fix?.fixId;
+    if (!fixId || comeback.fix.codeReturned === true) continue;
+
+    await settleFix(comeback.sessionId, fixId, true, { shopId }).catch((err) =>
+      console.error("Comeback fix update failed:", err)
+    );
+    comeback.fix.codeReturned = true;
+  }
+}
+
+/*
+Returns [{ dtc, platform, causes }] — only DTCs with at least one
+confirmed fix on this platform in this shop (every shop when
+shopId is null). Empty when the platform is unknown.
+*/
+export async function getFixRankings({ vehicle = {}, dtcs = [], shopId = null }) {
+  const platform = getPlatform(vehicle);
+  if (!platform) return [];
+
+  const rankings = [];
+  for (const dtc of dtcs.slice(0, FIX_RANKING_DTC_LIMIT)) {
+    const fixes = await listFixes({ make: platform.make, model: platform.model, dtc, shopId });
+    const causes = rankFixes(fixes.filter((f) => matchesPlatform(f, platform)));
+    if (causes.length) rankings.push({ dtc, platform, causes });
+  }
+
+  return rankings;
+}
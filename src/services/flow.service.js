@@ -0,0 +1,154 @@
+// ===========================================================
+// AUTO BRAIN — LOCKED FLOW ENGINE
+// Walks DIAGNOSTIC_FLOWS against one session's state.
+// Deterministic: same answers -> same path -> same conclusion.
+// ===========================================================
+
+import { DIAGNOSTIC_FLOWS, FLOW_BY_INTENT } from "../rules/diagnostic.flows.js";
+
+/* ======================================================
+   ANSWER CLASSIFICATION
+====================================================== */
+function classifyYesNo(answer) {
+  const m = String(answer || "").trim().toLowerCase();
+
+  if (/^(y|yes|yep|yeah|correct|it did|it does|true)\b/.test(m)) return "yes";
+  if (/^(n|no|nope|nah|negative|it didn'?t|it doesn'?t|false)\b/.test(m)) return "no";
+
+  return null;
+}
+
+function classifyChoice(answer, options = {}) {
+  const m = String(answer || "").trim();
+
+  for (const [bucket, matchers] of Object.entries(options)) {
+    if (matchers.some((rx) => rx.test(m))) return bucket;
+  }
+
+  return null;
+}
+
+// Measured values answer a phase by spec, not by wording.
+function classifyByMeasurement(phase, results = []) {
+  if (!phase.measures) return null;
+
+  const relevant = results.filter(
+    (r) => phase.measures.kinds.includes(r.kind) && r.status !== "unknown"
+  );
+  if (!relevant.length) return null;
+
+  const { deviation } = phase.measures;
+  return relevant.some((r) => r.status === "fail" && (!deviation || r.deviation === deviation))
+    ? phase.measures.fail
+    : phase.measures.pass;
+}
+
+function classifyAnswer(phase, answer) {
+  if (phase.expects === "yes_no") return classifyYesNo(answer);
+  if (phase.expects === "choice") return classifyChoice(answer, phase.options);
+  return null;
+}
+
+function describeExpected(phase) {
+  if (phase.expects === "yes_no") return "yes or no";
+  return Object.keys(phase.options || {})
+    .map((b) => b.replace(/_/g, " "))
+    .join(", ");
+}
+
+/* ======================================================
+   STATE HELPERS
+====================================================== */
+function getPhase(state) {
+  const flow = DIAGNOSTIC_FLOWS[state.activePath];
+  return flow?.phases?.[state.phase] || null;
+}
+
+function enterPhase(state, phaseId) {
+  const phase = DIAGNOSTIC_FLOWS[state.activePath].phases[phaseId];
+
+  state.phase = phaseId;
+  state.nextExpected = phase.expects;
+  state.lastQuestion = `${state.activePath}:${phaseId}`;
+  state.awaitingResponse = true;
+
+  return phase;
+}
+
+function formatConclusion(conclusion) {
+  return [
+    `Conclusion: ${conclusion.summary}`,
+    `Next step: ${conclusion.nextStep}`
+  ].join("\n\n");
+}
+
+function concludeFlow(state, conclusion) {
+  state.phase = "concluded";
+  state.nextExpected = null;
+  state.awaitingResponse = false;
+  state.flowConclusion = { path: state.activePath, ...conclusion };
+
+  return formatConclusion(conclusion);
+}
+
+/* ======================================================
+   PUBLIC API
+====================================================== */
+export function isFlowIntent(intent) {
+  return Boolean(FLOW_BY_INTENT[intent]);
+}
+
+export function isFlowActive(state) {
+  return Boolean(state.activePath && state.phase && state.phase !== "concluded");
+}
+
+// A concluded flow holds until new DTCs (which clear activePath) or a
+// session reset — follow-up chatter must not restart it.
+export function isFlowConcluded(state) {
+  return Boolean(state.activePath && state.phase === "concluded" && state.flowConclusion);
+}
+
+export function restateConclusion(state) {
+  return [
+    formatConclusion(state.flowConclusion),
+    "This diagnosis is complete. Send new codes to start another, or reset the session."
+  ].join("\n\n");
+}
+
+export function startFlow(state, intent) {
+  const path = FLOW_BY_INTENT[intent];
+  if (!path) return null;
+
+  state.activePath = path;
+  state.flowHistory = [];
+  state.flowConclusion = null;
+
+  const phase = enterPhase(state, DIAGNOSTIC_FLOWS[path].start);
+  return { reply: phase.question, concluded: false };
+}
+
+export function advanceFlow(state, answer, results = []) {
+  const phase = getPhase(state);
+  if (!phase) return null;
+
+  const bucket = classifyByMeasurement(phase, results) || classifyAnswer(phase, answer);
+  if (!bucket) {
+    return {
+      reply: `I need a clear answer to continue (${describeExpected(phase)}).\n\n${phase.question}`,
+      concluded: false
+    };
+  }
+
+  if (phase.records) state.classification[phase.records] = bucket;
+  state.flowHistory.push({ phase: state.phase, answer: String(answer), bucket });
+
+  const target =
+    typeof phase.next === "function" ? phase.next(bucket, state) : phase.next[bucket];
+
+  if (target && typeof target === "object" && target.conclusion) {
+    return { reply: concludeFlow(state, target.conclusion), concluded: true };
+  }
+
+  const nextPhase = enterPhase(state, target);
+  return { reply: nextPhase.question, concluded: false };
+}
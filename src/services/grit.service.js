@@ -3,21 +3,73 @@
 // Code controls truth (gates/state). GPT controls language.
 // ===========================================================
 
-import { getOpenAI } from "./openai.service.js";
-import { supabase } from "./supabase.service.js"; // kept for future use
+import { completeText, LLMError } from "./llm.service.js";
 import { GRIT_RULESET } from "../rules/grit.ruleset.js";
 
 import {
   mergeVehicleContexts,
-  inferEngineStringFromYMM
+  inferEngineFromYMM,
+  pickEngineCandidate,
+  normalizeMake,
+  normalizeModel
 } from "../utils/vehicle.util.js";
 
 import {
-  checkSafetyHardStop,
-  collectSafetyWarnings
+  findSafetyHardStop,
+  checkModelHardStop,
+  collectSafetyWarnings,
+  engageSafetyInterlocks,
+  recordInterlockConfirmations,
+  checkInterlockBlock,
+  getInterlockStatus,
+  describeInterlockConfirmations,
+  createStreamGuard
 } from "../utils/safety.util.js";
 
-import { diagnosticState } from "../state/diagnostic.state.js";
+import { loadSession, saveSession } from "../state/session.store.js";
+import { getFixRankings, markComebackFixes } from "./fix.service.js";
+import { usableVin, loadVehicleHistory, recordVisit } from "./history.service.js";
+import { findComebacks, describeComebacks } from "../utils/history.util.js";
+
+import {
+  parseMeasurements,
+  evaluateMeasurements,
+  describeResult
+} from "../utils/measurement.util.js";
+
+import {
+  DOMAINS,
+  isKnownDomain,
+  getFirstCatalogIntent,
+  getNextIntent
+} from "../rules/domain.catalogs.js";
+
+import {
+  isFlowIntent,
+  isFlowActive,
+  isFlowConcluded,
+  restateConclusion,
+  startFlow,
+  advanceFlow
+} from "./flow.service.js";
+
+import {
+  lookupDTC,
+  extractDTCs,
+  prioritizeDTCs,
+  describeDtcPriority
+} from "../utils/dtc.util.js";
+
+import { buildQuestionMessages } from "../utils/prompt.util.js";
+import { fallbackDTCExplanation, fallbackQuestion } from "../utils/fallback.util.js";
+import { DEGRADED_NOTICE } from "../rules/fallback.templates.js";
+import { REPLY_TYPES, describeTurn, recordReply } from "../utils/reply.util.js";
+
+import {
+  hasNetworkCodes,
+  analyzeNetworkCodes,
+  describeNetworkAnalysis
+} from "../utils/network.util.js";
 
 /* ======================================================
    INTERNAL HELPERS
@@ -30,6 +82,47 @@ function vehicleIsComplete(v = {}) {
   return Boolean(v?.year && v?.make && v?.model && (v?.engine || v?.engineCode));
 }
 
+/* ======================================================
+   🚗 SESSION VEHICLE
+   An engine chosen/inferred earlier in the session sticks
+   as long as the client is still talking about the same YMM.
+====================================================== */
+function isSameYMM(a = {}, b = {}) {
+  return (
+    String(a.year || "") === String(b.year || "") &&
+    normalizeMake(a.make) === normalizeMake(b.make) &&
+    normalizeModel(a.model, normalizeMake(a.make)) === normalizeModel(b.model, normalizeMake(b.make))
+  );
+}
+
+function resolveSessionVehicle(state, vehicleContext) {
+  const merged = mergeVehicleContexts(vehicleContext, {});
+  const saved = state.vehicleContext;
+
+  if (!merged.engine && saved.engine && isSameYMM(saved, merged)) {
+    merged.engine = saved.engine;
+  }
+
+  return merged;
+}
+
+function rememberEngine(state, vehicle, { engine, engineCode }, source) {
+  state.vehicleContext = {
+    ...state.vehicleContext,
+    year: vehicle.year || null,
+    make: vehicle.make || null,
+    model: vehicle.model || null,
+    engine,
+    engineCode: engineCode || null,
+    source
+  };
+}
+
+function formatEngineChoices(vehicle, candidates) {
+  const list = candidates.map((c, i) => `${i + 1}) ${c.label}${c.code ? ` (${c.code})` : ""}`).join("\n");
+  return `Which engine is in this ${vehicle.year} ${vehicle.make} ${vehicle.model}?\n${list}\n\nReply with the number or the engine.`;
+}
+
 /* ======================================================
    🔑 GLOBAL ACCESSIBILITY INTERPRETER (ALL DOMAINS)
 ====================================================== */
@@ -54,41 +147,12 @@ function interpretAccessibility(msg = "") {
     return "requires_labor";
   }
 
-  return "unknown";
-}
-
-/* ======================================================
-   🔑 DIAGNOSTIC TIERS (GLOBAL PRIORITY ENGINE)
-====================================================== */
-const DIAGNOSTIC_TIERS = ["tier_0", "tier_1", "tier_2", "tier_3"];
-
-/*
-tier_0 = no labor (scan data, freeze frame)
-tier_1 = easy access (engine bay, visible connectors)
-tier_2 = moderate access (wheel off, shields)
-tier_3 = labor required (intake, tank, teardown)
-*/
-const INTENT_META = {
-  scan_data_review: { tier: "tier_0" },
-  freeze_frame_review: { tier: "tier_0" },
-
-  visual_connector_check: { tier: "tier_1" },
-  underhood_visual_check: { tier: "tier_1" },
-
-  underbody_access_check: { tier: "tier_2" },
-  wheel_off_inspection: { tier: "tier_2" },
-
-  labor_required_access: { tier: "tier_3" }
-};
-
-function getNextTier(currentIntent) {
-  const currentTier = INTENT_META[currentIntent]?.tier;
-  if (!currentTier) return null;
-
-  const idx = DIAGNOSTIC_TIERS.indexOf(currentTier);
-  if (idx === -1 || idx === DIAGNOSTIC_TIERS.length - 1) return null;
+  // A finding reported back ("confirmed on the road test", "checked, looks fine")
+  if (/\b(done|confirmed|verified|checked|inspected|tested|found|finished|looks? (good|fine|ok))\b/.test(m)) {
+    return "completed";
+  }
 
-  return DIAGNOSTIC_TIERS[idx + 1];
+  return "unknown";
 }
 
 /* ======================================================
@@ -106,48 +170,38 @@ function requiresDTCExplanation(state) {
 }
 
 /* ======================================================
-   DTC EXTRACTION
+   🔬 TEST RESULTS (measured values from answers)
 ====================================================== */
-function extractDTCs(message) {
-  const m = normalize(message);
-  const codes = Array.from(m.matchAll(/\b([PBUC]\d{4})\b/gi)).map((x) =>
-    x[1].toUpperCase()
-  );
-  return [...new Set(codes)];
+function recordTestResults(state, { intent, answer, results }) {
+  state.testResults.push({
+    intent,
+    answer: normalize(answer),
+    results,
+    at: new Date().toISOString()
+  });
+  return results;
+}
+
+function summarizeResults(results = []) {
+  return results.map(describeResult).join("\n");
 }
 
 /* ======================================================
    DOMAIN DETECTION (READ-ONLY)
 ====================================================== */
-const DOMAINS = {
-  engine_drivability: "engine_drivability",
-  starting_charging: "starting_charging",
-  cooling: "cooling",
-  evap: "evap",
-  network: "network",
-  brakes_abs: "brakes_abs",
-  transmission: "transmission",
-  hvac: "hvac",
-  diesel_emissions: "diesel_emissions",
-  steering_suspension: "steering_suspension",
-  hybrid_ev: "hybrid_ev",
-  body_electrical: "body_electrical",
-  srs_airbag: "srs_airbag",
-  tpms: "tpms",
-  adas: "adas",
-  unknown: "unknown"
-};
-
-function detectDomain({ message, dtcs }) {
+export function detectDomain({ message, dtcs }) {
   const m = normalize(message).toLowerCase();
 
-  if (dtcs.some((c) => /^U\d{4}$/i.test(c))) return DOMAINS.network;
-  if (dtcs.some((c) => /^C\d{4}$/i.test(c))) return DOMAINS.brakes_abs;
-  if (dtcs.some((c) => /^B\d{4}$/i.test(c))) return DOMAINS.body_electrical;
+  // dtcs arrive root-cause first — the lead code picks the domain
+  const lead = dtcs[0] || "";
+  if (/^U/i.test(lead)) return DOMAINS.network;
+  if (/^C/i.test(lead)) return DOMAINS.brakes_abs;
+  if (/^B/i.test(lead)) return DOMAINS.body_electrical;
+  if (/^P04(4\d|5\d|9[67])$/i.test(lead)) return DOMAINS.evap;
 
   if (/(srs|airbag|clock spring)/i.test(m)) return DOMAINS.srs_airbag;
-  if (/(hybrid|ev|high voltage|orange cable)/i.test(m)) return DOMAINS.hybrid_ev;
-  if (/(evap|p04\d{2}|purge|vent)/i.test(m)) return DOMAINS.evap;
+  if (/(hybrid|\bev\b|high voltage|orange cable)/i.test(m)) return DOMAINS.hybrid_ev;
+  if (/(evap|purge|vent)/i.test(m)) return DOMAINS.evap;
   if (/(overheat|running hot|temp gauge)/i.test(m)) return DOMAINS.cooling;
   if (/(no crank|no start|starter|battery light|alternator)/i.test(m))
     return DOMAINS.starting_charging;
@@ -155,13 +209,13 @@ function detectDomain({ message, dtcs }) {
   if (/(transmission|slip|harsh shift|no movement)/i.test(m))
     return DOMAINS.transmission;
   if (/(hvac|no heat|no a\/c|blower)/i.test(m)) return DOMAINS.hvac;
-  if (/(def|dpf|regen|soot|scr)/i.test(m)) return DOMAINS.diesel_emissions;
+  if (/(\bdef\b|dpf|regen|soot|\bscr\b)/i.test(m)) return DOMAINS.diesel_emissions;
   if (/(death wobble|track bar|tie rod|wander|clunk)/i.test(m))
     return DOMAINS.steering_suspension;
   if (/(tpms|tire pressure)/i.test(m)) return DOMAINS.tpms;
   if (/(adas|lane keep|radar|camera)/i.test(m)) return DOMAINS.adas;
 
-  if (dtcs.some((c) => /^P\d{4}$/i.test(c))) return DOMAINS.engine_drivability;
+  if (/^P/i.test(lead)) return DOMAINS.engine_drivability;
   if (/(misfire|rough idle|stall|smoke|lean)/i.test(m))
     return DOMAINS.engine_drivability;
 
@@ -171,158 +225,572 @@ function detectDomain({ message, dtcs }) {
 /* ======================================================
    DETERMINISTIC FIRST-QUESTION INTENTS
 ====================================================== */
-function getFirstDiagnosticIntent({ message, dtcs, domain }) {
+// Codes decide the flow; message keywords only when there are none
+const DTC_FLOW_INTENTS = [
+  [/^P03(0\d|1[0-2])$/i, "classify_misfire"],
+  [/^P017[14]$/i, "classify_lean"],
+  [/^P0217$/i, "classify_overheat"]
+];
+
+function getFirstDiagnosticIntent({ message, state }) {
+  const dtcs = [state.primaryDTC, ...(state.activeDTCs || [])].filter(Boolean);
+
+  if (dtcs.length) {
+    for (const dtc of dtcs) {
+      const match = DTC_FLOW_INTENTS.find(([rx]) => rx.test(dtc));
+      if (match) return match[1];
+    }
+    return getFirstCatalogIntent(state.domain); // easiest step on the domain's ladder
+  }
+
   const m = normalize(message).toLowerCase();
 
   if (/no start/i.test(m)) return "classify_no_start";
   if (/overheat|running hot|temp gauge/i.test(m)) return "classify_overheat";
-  if (/misfire|p030[0-8]/i.test(m)) return "classify_misfire";
-  if (/p0171|p0174|lean/i.test(m)) return "classify_lean";
+  if (/misfire/i.test(m)) return "classify_misfire";
+  if (/lean/i.test(m)) return "classify_lean";
 
-  return "scan_data_review"; // default easiest step
+  return getFirstCatalogIntent(state.domain);
+}
+
+/* ======================================================
+   🔒 DOMAIN LOCK
+   Detected once per session; only lockDomain() with an
+   explicit source may change it afterwards.
+====================================================== */
+export function lockDomain(state, domain, source = "manual") {
+  if (!isKnownDomain(domain)) return false;
+
+  const changed = state.domain !== domain;
+  state.domain = domain;
+  state.domainSource = source;
+
+  // A new domain means a new ladder — the pending question no longer applies.
+  if (changed && source === "manual") {
+    state.awaitingResponse = false;
+    state.lastQuestion = null;
+  }
+
+  return true;
 }
 
 /* ======================================================
    GPT HELPERS
 ====================================================== */
-async function gptExplainDTC({ openai, code, mergedVehicle }) {
+function describeVehicle(v = {}) {
+  return [v.year, v.make, v.model, v.engine].filter(Boolean).join(" ") || "unknown vehicle";
+}
+
+/* ======================================================
+   MODEL CALLS — degrade to templates when the model is down
+   `llm` is per turn: { signal, onToken, degradedReason }.
+   runGritTurn marks the reply when a template stood in.
+   A cancelled call (client gone) is not degraded — it throws.
+====================================================== */
+async function completeOrFallback(task, messages, llm, useTemplate) {
+  try {
+    return normalize(await completeText(task, messages, { signal: llm.signal, onToken: llm.onToken }));
+  } catch (err) {
+    if (!(err instanceof LLMError) || llm.signal?.aborted) throw err;
+
+    console.error(`GRIT ${task} degraded:`, err.message);
+    llm.degradedReason = err.circuitOpen ? "circuit_open" : "model_error";
+    return useTemplate();
+  }
+}
+
+// Definition comes from the local dictionary — GPT only words it.
+async function gptExplainDTC({ code, mergedVehicle, llm }) {
+  const entry = lookupDTC(code, { make: mergedVehicle?.make });
+
+  const definitionBlock = entry.known
+    ? `Definition (authoritative, do NOT change it): ${entry.description}
+System: ${entry.system.replace(/_/g, " ")}
+Monitor: ${entry.monitor.replace(/_/g, " ")}`
+    : `No local definition on file (${entry.structure.controlledBy}-defined ${entry.structure.family || "unknown"} code${
+        entry.structure.subsystem ? `, ${entry.structure.subsystem}` : ""
+      }).
+Do NOT guess the exact definition — say it must be confirmed in OEM service info.`;
+
   const explanationPrompt = `
 Explain diagnostic trouble code ${code} briefly.
 
+Vehicle: ${describeVehicle(mergedVehicle)}
+${definitionBlock}
+
 Constraints:
 - Max 4 sentences
 - Technician language
 - No steps, no questions
 `;
 
-  const explanation = await openai.chat.completions.create({
-    model: "gpt-4.1",
-    temperature: 0.3,
-    messages: [
-      { role: "system", content: explanationPrompt }
-    ]
-  });
+  return completeOrFallback(
+    "dtc_explain",
+    [{ role: "system", content: explanationPrompt }],
+    llm,
+    () => fallbackDTCExplanation(code, mergedVehicle)
+  );
+}
+
+// Shop history is context, not a gate — a store failure just leaves it out
+async function loadFixRankings(state, vehicle, shopId) {
+  const saved = state.vehicleContext;
+  const engineCode = saved.engine && saved.engine === vehicle.engine ? saved.engineCode : null;
 
-  return normalize(explanation.choices[0].message.content);
+  try {
+    return await getFixRankings({ vehicle: { ...vehicle, engineCode }, dtcs: state.activeDTCs, shopId });
+  } catch (err) {
+    console.error("Confirmed fix lookup failed:", err);
+    return [];
+  }
 }
 
-async function gptAskOneQuestion({ openai, intent, mergedVehicle, domain, dtc, safetyWarnings }) {
+// Case file (vehicle, codes, step, earlier answers) + recent turns,
+// assembled within the token budget by buildQuestionMessages.
+async function gptAskOneQuestion({ state, intent, mergedVehicle, message, context, testResults = [], llm, shopId }) {
   const prompt = `
 Ask ONE diagnostic question.
 
 Rules:
 - Start with easiest / least intrusive
+- Make it specific to THIS vehicle, engine and code
 - If physical access is required, say:
   "Only if easily accessible. If not, say so."
 - If not accessible, move to next lowest-effort step
 `;
 
-  const ai = await openai.chat.completions.create({
-    model: "gpt-4.1",
-    temperature: 0.3,
-    messages: [
-      { role: "system", content: `${prompt}\n${GRIT_RULESET}` }
-    ]
+  // Failed measurements are authoritative — the next question must chase them.
+  const anyFailed = testResults.some((r) => r.status === "fail");
+  const resultsBlock = testResults.length
+    ? `\nMeasured results (code-evaluated, do NOT re-judge):\n${summarizeResults(testResults)}\n${
+        anyFailed
+          ? "Ask the next question that isolates the FAILED value."
+          : "These passed — do not ask for them again."
+      }\n`
+    : "";
+
+  const { messages } = buildQuestionMessages({
+    instructions: `${prompt}${resultsBlock}`,
+    ruleset: GRIT_RULESET,
+    state,
+    intent,
+    domain: state.domain,
+    dtc: state.primaryDTC,
+    vehicle: mergedVehicle,
+    message,
+    context,
+    safetyWarnings: collectSafetyWarnings([message]),
+    fixRankings: await loadFixRankings(state, mergedVehicle, shopId)
   });
 
-  return normalize(ai.choices[0].message.content);
+  return completeOrFallback("question", messages, llm, () =>
+    fallbackQuestion({ domain: state.domain, intent, testResults })
+  );
 }
 
 /* ======================================================
-   MAIN ENTRY
+   🛡️ SAFETY LAYER (every reply)
+   - Interlocks engaged / confirmed before the turn runs
+   - Model text that INSTRUCTS a hard-stop action is replaced
+   - Locked steps refused until interlock preconditions are met
+   - Contextual warnings returned as structured data
+   Only the turn's own reply is gated; the notes in front of it
+   (vehicle, comeback, interlock log) are GRIT's and go on top.
 ====================================================== */
-export async function runGrit({ message, context = [], vehicleContext = {} }) {
-  const openai = getOpenAI();
+// Returns the interlock confirmations this message recorded
+function prepareSafetyInterlocks(state, message) {
+  engageSafetyInterlocks(state, { domain: state.domain, blocks: [message] });
+  return recordInterlockConfirmations(state, message);
+}
+
+function applySafetyLayer(state, { notes = [], ...result }, message, vehicle = {}) {
+  const diTrigger = vehicle.engineDetails?.is_direct_injected ? "direct injection" : "";
+  const fuelWork = /fuel|injector|rail/i.test(`${message} ${result.reply}`);
+
+  engageSafetyInterlocks(state, {
+    domain: state.domain,
+    blocks: [message, result.reply, fuelWork ? diTrigger : ""]
+  });
 
-  const hardStop = checkSafetyHardStop(message);
-  if (hardStop) return { reply: hardStop, vehicle: vehicleContext };
+  const safetyWarnings = collectSafetyWarnings([message, result.reply]);
+  const stop = result.safetyStop
+    ? null
+    : checkModelHardStop(result.reply) || checkInterlockBlock(state, result.reply);
 
-  let mergedVehicle = mergeVehicleContexts(vehicleContext, {});
-  mergedVehicle.engine = inferEngineStringFromYMM(mergedVehicle);
+  const safetyStop = stop
+    ? { id: stop.id, source: stop.sentence ? "model" : "interlock" }
+    : result.safetyStop;
+
+  return {
+    ...result,
+    reply: [...notes, stop ? stop.reply : result.reply].filter(Boolean).join("\n\n"),
+    ...(safetyStop ? { safetyStop } : {}),
+    safetyWarnings,
+    safetyInterlocks: getInterlockStatus(state)
+  };
+}
+
+/* ======================================================
+   SINGLE TURN (operates on one session's state)
+====================================================== */
+async function runGritTurn(state, { sessionId, shopId, message, context = [], vehicleContext = {}, confirmed = [], signal, onToken }) {
+  const hardStop = findSafetyHardStop(message);
+  if (hardStop) {
+    return {
+      type: REPLY_TYPES.safety_stop,
+      reply: hardStop.reply,
+      vehicle: vehicleContext,
+      safetyStop: { id: hardStop.id, source: "user" }
+    };
+  }
+
+  const { mergedVehicle, inference, vehicleNote } = resolveTurnVehicle(state, {
+    message,
+    vehicleContext
+  });
+  await refreshVehicleHistory(state, mergedVehicle.vin, { sessionId, shopId });
+
+  const llm = { signal, onToken, degradedReason: null };
+  const result = await runDiagnosticTurn(state, {
+    message,
+    context,
+    mergedVehicle,
+    inference,
+    llm,
+    shopId
+  });
+
+  const comebacks = flagComebacks(state);
+  await markComebackFixes(comebacks, { shopId });
+
+  // A confirmation isn't an answer to the open question — it gets its
+  // own reply (vehicle / comeback notes kept) instead of the
+  // "answer the last question" nudge
+  const interlockNote = describeInterlockConfirmations(state, confirmed);
+  const turn =
+    interlockNote && result.type === REPLY_TYPES.awaiting_answer
+      ? { type: REPLY_TYPES.interlock_update, reply: "", vehicle: mergedVehicle }
+      : result;
+
+  const notes = [
+    vehicleNote.trim(),
+    describeComebacks(comebacks),
+    interlockNote,
+    llm.degradedReason ? DEGRADED_NOTICE : ""
+  ].filter(Boolean);
+
+  const flagged = comebacks.length ? { ...turn, notes, comebacks } : { ...turn, notes };
+  return llm.degradedReason
+    ? { ...flagged, degraded: true, degradedReason: llm.degradedReason }
+    : flagged;
+}
+
+/* ======================================================
+   🔁 VEHICLE HISTORY — earlier visits for this VIN
+   Loaded once per VIN; a store failure leaves it out.
+   A comeback is announced once, when its DTC first shows
+   up in the session — and marks the earlier fix as one
+   whose code came back.
+====================================================== */
+async function refreshVehicleHistory(state, vinRaw, { sessionId, shopId }) {
+  const vin = usableVin(vinRaw);
+  if (!vin || state.vehicleHistory?.vin === vin) return;
+
+  try {
+    state.vehicleHistory = await loadVehicleHistory(vin, { excludeSessionId: sessionId, shopId });
+  } catch (err) {
+    console.error("Vehicle history lookup failed:", err);
+  }
+}
+
+function flagComebacks(state) {
+  const comebacks = findComebacks(state.vehicleHistory?.visits, state.activeDTCs);
+  const announced = new Set((state.comebacks || []).map((c) => c.dtc));
+
+  state.comebacks = comebacks;
+  return comebacks.filter((c) => !announced.has(c.dtc));
+}
+
+/* ======================================================
+   🚗 TURN VEHICLE — session engine, tech's pick, YMM inference
+====================================================== */
+function resolveTurnVehicle(state, { message, vehicleContext }) {
+  const mergedVehicle = resolveSessionVehicle(state, vehicleContext);
+  let vehicleNote = "";
+
+  // Answer to "which engine?" from the previous turn
+  if (!mergedVehicle.engine && state.pendingEngineChoice && isSameYMM(state.pendingEngineChoice, mergedVehicle)) {
+    const pick = pickEngineCandidate(message, state.pendingEngineChoice.candidates);
+    if (pick) {
+      rememberEngine(state, mergedVehicle, { engine: pick.label, engineCode: pick.code }, "manual");
+      mergedVehicle.engine = pick.label;
+      state.pendingEngineChoice = null;
+      vehicleNote = `Engine set: ${pick.label}.\n\n`;
+    }
+  }
+
+  const inference = inferEngineFromYMM(mergedVehicle);
+  if (inference.status === "inferred") {
+    rememberEngine(state, mergedVehicle, inference, "inferred");
+    vehicleNote = `Engine: ${inference.engine} (only engine offered for this year/make/model).\n\n`;
+  }
+  mergedVehicle.engine = inference.engine;
+
+  return { mergedVehicle, inference, vehicleNote };
+}
+
+/* ======================================================
+   DIAGNOSTIC STEPS (gates -> flows -> ladder)
+====================================================== */
+async function runDiagnosticTurn(state, { message, context, mergedVehicle, inference, llm, shopId }) {
+  const askQuestion = (intent, testResults) =>
+    gptAskOneQuestion({ state, intent, mergedVehicle, message, context, testResults, llm, shopId });
 
   const dtcs = extractDTCs(message);
   if (dtcs.length) {
-    diagnosticState.mode = "active";
-    diagnosticState.activeDTCs = dtcs;
-    diagnosticState.primaryDTC = dtcs[0];
-    diagnosticState.codeExplained = false;
-    diagnosticState.lastExplainedDTC = null;
-    diagnosticState.lastQuestion = null;
+    state.mode = "active";
+    const priority = prioritizeDTCs(dtcs);
+    state.activeDTCs = priority.ordered;
+    state.primaryDTC = priority.primary;
+    state.dtcPriority = priority;
+    state.networkAnalysis = null;
+    state.codeExplained = false;
+    state.lastExplainedDTC = null;
+    state.lastQuestion = null;
+
+    state.activePath = null;
+    state.phase = null;
+    state.nextExpected = null;
+  }
+
+  if (!state.domain) {
+    const detected = detectDomain({ message, dtcs: dtcs.length ? state.activeDTCs : [] });
+    if (detected !== DOMAINS.unknown) lockDomain(state, detected, "detected");
   }
 
-  if (diagnosticState.primaryDTC && !vehicleIsComplete(mergedVehicle)) {
+  if (state.primaryDTC && !vehicleIsComplete(mergedVehicle)) {
+    if (inference.status === "ambiguous") {
+      state.pendingEngineChoice = {
+        year: mergedVehicle.year,
+        make: mergedVehicle.make,
+        model: mergedVehicle.model,
+        candidates: inference.candidates
+      };
+
+      return {
+        type: REPLY_TYPES.engine_choice,
+        reply: formatEngineChoices(mergedVehicle, inference.candidates),
+        vehicle: mergedVehicle,
+        engineCandidates: inference.candidates
+      };
+    }
+
     return {
-      reply: `I need year, make, model, and engine before diagnosing ${diagnosticState.primaryDTC}.`,
+      type: REPLY_TYPES.vehicle_required,
+      reply: `I need year, make, model, and engine before diagnosing ${state.primaryDTC}.`,
       vehicle: mergedVehicle
     };
   }
 
-  const nextDTC = getNextUnexplainedDTC(diagnosticState);
-  if (nextDTC && requiresDTCExplanation(diagnosticState)) {
-    const explanation = await gptExplainDTC({ openai, code: nextDTC, mergedVehicle });
-    diagnosticState.lastExplainedDTC = nextDTC;
-    diagnosticState.codeExplained = true;
+  const nextDTC = getNextUnexplainedDTC(state);
+  if (nextDTC && requiresDTCExplanation(state)) {
+    const explanation = await gptExplainDTC({ code: nextDTC, mergedVehicle, llm });
+    const priorityNote = state.lastExplainedDTC ? "" : describeDtcPriority(state.dtcPriority);
+    state.lastExplainedDTC = nextDTC;
+    state.codeExplained = true;
+
+    return {
+      type: REPLY_TYPES.dtc_explanation,
+      reply: `${priorityNote ? `${priorityNote}\n\n` : ""}${explanation}\n\nLet’s start diagnostics.`,
+      vehicle: mergedVehicle,
+      dtcPriority: state.dtcPriority
+    };
+  }
+
+  /* ======================================================
+     🔬 MEASURED RESULTS — parsed and judged by code
+  ====================================================== */
+  let results = [];
+  if (state.awaitingResponse) {
+    const measurements = parseMeasurements(message);
+    if (measurements.length) {
+      results = recordTestResults(state, {
+        intent: state.lastQuestion,
+        answer: message,
+        results: evaluateMeasurements(measurements, {
+          intent: state.lastQuestion,
+          vehicle: mergedVehicle
+        })
+      });
+    }
+  }
 
+  /* ======================================================
+     LOCKED FLOWS — code decides the next step
+  ====================================================== */
+  if (state.awaitingResponse && isFlowActive(state)) {
+    const step = advanceFlow(state, message, results);
+    const summary = results.length ? `${summarizeResults(results)}\n\n` : "";
     return {
-      reply: `${explanation}\n\nLet’s start diagnostics.`,
+      type: step.concluded ? REPLY_TYPES.flow_conclusion : REPLY_TYPES.flow_step,
+      reply: `${summary}${step.reply}`,
       vehicle: mergedVehicle
     };
   }
 
+  if (isFlowConcluded(state)) {
+    return { type: REPLY_TYPES.flow_conclusion, reply: restateConclusion(state), vehicle: mergedVehicle };
+  }
+
+  /* ======================================================
+     PASS / FAIL BRANCHING ON MEASURED VALUES
+     fail -> stay on this intent and chase the failed value
+     pass -> this area is good, move up the ladder
+  ====================================================== */
+  const judged = results.filter((r) => r.status !== "unknown");
+  if (judged.length) {
+    const failed = judged.filter((r) => r.status === "fail");
+    const summary = summarizeResults(results);
+
+    if (failed.length) {
+      const q = await askQuestion(state.lastQuestion, failed);
+
+      return { type: REPLY_TYPES.question, reply: `${summary}\n\n${q}`, vehicle: mergedVehicle };
+    }
+
+    const nextIntent = getNextIntent(state.domain, state.lastQuestion);
+    if (!nextIntent) {
+      return {
+        type: REPLY_TYPES.ladder_exhausted,
+        reply: `${summary}\n\nAll listed tests are within spec. Further diagnosis requires labor.`,
+        vehicle: mergedVehicle
+      };
+    }
+
+    state.lastQuestion = nextIntent;
+
+    const q = await askQuestion(nextIntent, judged);
+
+    return { type: REPLY_TYPES.question, reply: `${summary}\n\n${q}`, vehicle: mergedVehicle };
+  }
+
   /* ======================================================
      GLOBAL ACCESSIBILITY ESCALATION (ALL DOMAINS)
   ====================================================== */
-  if (diagnosticState.awaitingResponse) {
+  if (state.awaitingResponse) {
     const access = interpretAccessibility(message);
 
-    if (access === "requires_labor") {
-      const nextTier = getNextTier(diagnosticState.lastQuestion);
+    // Blocked by labor, or done and reported: either way the ladder moves up
+    if (access === "requires_labor" || access === "completed") {
+      const nextIntent = getNextIntent(state.domain, state.lastQuestion);
 
-      if (!nextTier) {
+      if (!nextIntent) {
         return {
-          reply: `All non-intrusive diagnostic options are exhausted. Further diagnosis requires labor.`,
+          type: REPLY_TYPES.ladder_exhausted,
+          reply:
+            access === "completed"
+              ? "That was the last listed check. Further diagnosis requires labor."
+              : `All non-intrusive diagnostic options are exhausted. Further diagnosis requires labor.`,
           vehicle: mergedVehicle
         };
       }
 
-      diagnosticState.lastQuestion = nextTier;
-      diagnosticState.awaitingResponse = true;
+      state.lastQuestion = nextIntent;
+      state.awaitingResponse = true;
 
-      const q = await gptAskOneQuestion({
-        openai,
-        intent: nextTier,
-        mergedVehicle,
-        domain: diagnosticState.domain,
-        dtc: diagnosticState.primaryDTC
-      });
+      const q = await askQuestion(nextIntent);
 
-      return { reply: q, vehicle: mergedVehicle };
+      return { type: REPLY_TYPES.question, reply: q, vehicle: mergedVehicle };
     }
   }
 
-  if (!diagnosticState.awaitingResponse) {
-    const intent = getFirstDiagnosticIntent({
-      message,
-      dtcs,
-      domain: diagnosticState.domain
-    });
-
-    diagnosticState.awaitingResponse = true;
-    diagnosticState.lastQuestion = intent;
-
-    const q = await gptAskOneQuestion({
-      openai,
-      intent,
-      mergedVehicle,
-      domain: diagnosticState.domain,
-      dtc: diagnosticState.primaryDTC
-    });
-
-    return { reply: q, vehicle: mergedVehicle };
+  /* ======================================================
+     🌐 NETWORK — topology picks the first check, not GPT
+  ====================================================== */
+  if (!state.awaitingResponse && state.domain === DOMAINS.network && hasNetworkCodes(state.activeDTCs)) {
+    const analysis = analyzeNetworkCodes(state.activeDTCs, { make: mergedVehicle.make });
+    state.networkAnalysis = analysis;
+
+    if (analysis.lead) {
+      state.awaitingResponse = true;
+      state.lastQuestion = analysis.lead.intent;
+
+      return {
+        type: REPLY_TYPES.network_check,
+        reply: `${describeNetworkAnalysis(analysis)}\n\n${analysis.lead.question}`,
+        vehicle: mergedVehicle,
+        networkAnalysis: analysis
+      };
+    }
+  }
+
+  if (!state.awaitingResponse) {
+    const intent = getFirstDiagnosticIntent({ message, state });
+
+    if (isFlowIntent(intent)) {
+      const step = startFlow(state, intent);
+      return { type: REPLY_TYPES.flow_step, reply: step.reply, vehicle: mergedVehicle };
+    }
+
+    state.awaitingResponse = true;
+    state.lastQuestion = intent;
+
+    const q = await askQuestion(intent);
+
+    return { type: REPLY_TYPES.question, reply: q, vehicle: mergedVehicle };
   }
 
   return {
+    type: REPLY_TYPES.awaiting_answer,
     reply: "Answer the last diagnostic question to continue.",
     vehicle: mergedVehicle
   };
 }
+
+/* ======================================================
+   MAIN ENTRY
+   Loads the caller's session, runs one turn, persists it.
+   `meta` describes the reply for the UI (see reply.util.js);
+   `replyId` lets feedback point back at it.
+   onToken streams model text as it arrives, a sentence at a
+   time through the safety checks; the returned reply is still
+   authoritative. An aborted `signal` throws and saves nothing.
+   `shopId` scopes the session, VIN history and shop fixes to
+   the calling shop (null = unscoped).
+====================================================== */
+export async function runGrit({ message, context = [], vehicleContext = {}, sessionId, shopId = null, signal, onToken }) {
+  const session = await loadSession(sessionId, { shopId });
+
+  const confirmed = prepareSafetyInterlocks(session.state, message);
+
+  const guard = onToken
+    ? createStreamGuard(
+        (text) => checkModelHardStop(text) || checkInterlockBlock(session.state, text),
+        onToken
+      )
+    : null;
+
+  const turn = await runGritTurn(session.state, {
+    sessionId: session.sessionId,
+    shopId,
+    message,
+    context,
+    vehicleContext,
+    confirmed,
+    signal,
+    onToken: guard?.push
+  });
+  guard?.flush();
+
+  const result = applySafetyLayer(session.state, turn, message, turn.vehicle);
+  const meta = describeTurn(session.state, result);
+  const replyId = recordReply(session.state, result, meta);
+
+  await saveSession(session.sessionId, session.state, { shopId });
+  await recordVisit(session.sessionId, session.state, turn.vehicle, { shopId }).catch((err) =>
+    console.error("Visit record failed:", err)
+  );
+
+  const { type, ...reply } = result;
+  return { ...reply, sessionId: session.sessionId, replyId, meta };
+}
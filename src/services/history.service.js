@@ -0,0 +1,76 @@
+// ===========================================================
+// AUTO BRAIN — VEHICLE HISTORY (PER VIN)
+// Ties a VIN to its diagnostic sessions. Each session that
+// knows its VIN upserts one visit; a later session on the
+// same VIN loads the earlier ones into its state. Every
+// lookup is scoped to one shop (shopId null = every shop).
+// ===========================================================
+
+import { getVisit, saveVisit, listVisits } from "../state/visit.store.js";
+import { validateVin, VinValidationError } from "../utils/vin.util.js";
+import { buildVisitRecord, buildTimeline, summarizeHistory } from "../utils/history.util.js";
+
+const SESSION_HISTORY_VISITS = 10; // kept on the session state
+
+// Normalized VIN, or null when it isn't one
+export function usableVin(vinRaw) {
+  const { vin, valid } = validateVin(vinRaw || "");
+  return vinRaw && valid ? vin : null;
+}
+
+/* ======================================================
+   PUBLIC API
+====================================================== */
+// Earlier visits for a session (its own visit excluded), newest first
+export async function loadVehicleHistory(vin, { excludeSessionId = null, shopId = null } = {}) {
+  const visits = await listVisits({ vin, shopId });
+  return {
+    vin,
+    loadedAt: new Date().toISOString(),
+    visits: visits.filter((v) => v.sessionId !== excludeSessionId).slice(0, SESSION_HISTORY_VISITS)
+  };
+}
+
+// No-op until the session (or the vehicle passed in) knows its VIN
+export async function recordVisit(sessionId, state, vehicle = {}, { shopId = null } = {}) {
+  const vin = state.vehicleHistory?.vin || usableVin(vehicle.vin);
+  if (!vin) return null;
+
+  const previous = await getVisit(sessionId);
+  return saveVisit(
+    buildVisitRecord(state, {
+      sessionId,
+      shopId,
+      vin,
+      vehicle: vehicle.make ? vehicle : state.vehicleContext,
+      previous
+    })
+  );
+}
+
+// The visit keeps its own copy of the close-out; no-op without one
+export async function updateVisitCloseOut(sessionId, patch) {
+  const visit = await getVisit(sessionId);
+  if (!visit?.closeOut) return null;
+  return saveVisit({ ...visit, closeOut: { ...visit.closeOut, ...patch } });
+}
+
+// Throws VinValidationError
+export async function getVehicleHistory(vinRaw, { shopId = null } = {}) {
+  const { vin, valid, errors } = validateVin(vinRaw);
+  if (!valid) throw new VinValidationError(errors);
+
+  const visits = await listVisits({ vin, shopId });
+  return {
+    vin,
+    vehicle: visits[0]?.vehicle || null,
+    summary: summarizeHistory(visits),
+    visits,
+    timeline: buildTimeline(visits)
+  };
+}
+
+// Short form for /decode-vin — null for a VIN we haven't seen
+export async function getHistorySummary(vin, { shopId = null } = {}) {
+  return summarizeHistory(await listVisits({ vin, shopId }));
+}
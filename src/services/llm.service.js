@@ -0,0 +1,285 @@
+// ===========================================================
+// AUTO BRAIN — LLM PROVIDER LAYER
+// Every model call goes through complete(task, messages).
+// Per-task model / temperature / max tokens come from config,
+// the provider from LLM_PROVIDER:
+//   "openai" (default) | "compatible" (LLM_BASE_URL) | "fake"
+// LLM_RECORD / LLM_REPLAY wrap it in a cassette (see
+// cassette.service.js). Timeouts, retries and the circuit
+// breaker (fail fast during an outage) are handled here.
+// ===========================================================
+
+import { createOpenAIProvider } from "./openai.service.js";
+import { createFakeProvider } from "./fake.service.js";
+import { createRecordingProvider, createReplayProvider } from "./cassette.service.js";
+
+export class LLMError extends Error {
+  constructor(message, { task, provider, upstreamStatus = null, attempts = 1, circuitOpen = false, cause } = {}) {
+    super(message);
+    this.name = "LLMError";
+    this.status = 502;
+    this.task = task;
+    this.provider = provider;
+    this.upstreamStatus = upstreamStatus;
+    this.attempts = attempts;
+    this.circuitOpen = circuitOpen;
+    this.cause = cause;
+  }
+}
+
+/* ======================================================
+   TASK CONFIG
+   Env overrides per task, e.g. LLM_MODEL_QUESTION,
+   LLM_TEMPERATURE_DIAGNOSTIC_TREE, LLM_MAX_TOKENS_DTC_EXPLAIN.
+   LLM_MODEL sets the default model for every task.
+====================================================== */
+export const LLM_TASKS = {
+  dtc_explain: { model: "gpt-4.1", temperature: 0.3, maxTokens: 300 },
+  question: { model: "gpt-4.1", temperature: 0.3, maxTokens: 400 },
+  diagnostic_tree: { model: "gpt-4.1", temperature: 0.2, maxTokens: 2000 }
+};
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_RETRY_BASE_MS = 500;
+const DEFAULT_BREAKER_THRESHOLD = 3;
+const DEFAULT_BREAKER_COOLDOWN_MS = 30000;
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) ? value : fallback;
+}
+
+export function getTaskConfig(task) {
+  const base = LLM_TASKS[task];
+  if (!base) throw new LLMError(`Unknown LLM task "${task}"`, { task });
+
+  const key = task.toUpperCase();
+  return {
+    model: process.env[`LLM_MODEL_${key}`] || process.env.LLM_MODEL || base.model,
+    temperature: envNumber(`LLM_TEMPERATURE_${key}`, base.temperature),
+    maxTokens: envNumber(`LLM_MAX_TOKENS_${key}`, base.maxTokens),
+    timeoutMs: envNumber(`LLM_TIMEOUT_MS_${key}`, envNumber("LLM_TIMEOUT_MS", DEFAULT_TIMEOUT_MS)),
+    maxRetries: envNumber("LLM_MAX_RETRIES", DEFAULT_MAX_RETRIES)
+  };
+}
+
+/* ======================================================
+   PROVIDER SELECTION
+====================================================== */
+let provider = null;
+
+// The configured provider without any cassette wrapper
+export function createBaseProvider() {
+  const kind = (process.env.LLM_PROVIDER || "openai").toLowerCase();
+
+  if (kind === "fake") return createFakeProvider();
+
+  if (kind === "compatible") {
+    if (!process.env.LLM_BASE_URL) {
+      throw new LLMError("LLM_PROVIDER=compatible requires LLM_BASE_URL", { provider: kind });
+    }
+    return createOpenAIProvider({
+      name: "compatible",
+      baseURL: process.env.LLM_BASE_URL,
+      apiKey: process.env.LLM_API_KEY
+    });
+  }
+
+  return createOpenAIProvider({
+    apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+    baseURL: process.env.LLM_BASE_URL
+  });
+}
+
+function createProvider() {
+  if (process.env.LLM_REPLAY) return createReplayProvider(process.env.LLM_REPLAY);
+  if (process.env.LLM_RECORD) return createRecordingProvider(createBaseProvider(), process.env.LLM_RECORD);
+  return createBaseProvider();
+}
+
+export function getProvider() {
+  if (!provider) provider = createProvider();
+  return provider;
+}
+
+// Tests / scripts swap providers without touching env
+export function setProvider(next) {
+  provider = next;
+}
+
+/* ======================================================
+   RETRIES
+====================================================== */
+function errorStatus(err) {
+  return err?.status ?? err?.response?.status ?? null;
+}
+
+// Rate limits, server errors, timeouts and dropped connections retry;
+// bad requests and auth failures don't.
+function isRetryable(err) {
+  const status = errorStatus(err);
+  if (status) return status === 408 || status === 429 || status >= 500;
+  return /timeout|timed out|ECONNRESET|ECONNREFUSED|ETIMEDOUT|fetch failed|socket/i.test(
+    `${err?.name} ${err?.code} ${err?.message}`
+  );
+}
+
+function backoffMs(attempt) {
+  const base = envNumber("LLM_RETRY_BASE_MS", DEFAULT_RETRY_BASE_MS);
+  const exp = base * 2 ** attempt;
+  return exp + Math.floor(Math.random() * base);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/* ======================================================
+   CIRCUIT BREAKER
+   LLM_BREAKER_THRESHOLD calls in a row that fail on outage
+   errors (after retries) open it. While open, calls fail fast
+   with circuitOpen set so callers degrade instead of waiting
+   out timeouts. After LLM_BREAKER_COOLDOWN_MS one trial call
+   goes through: success closes it, failure re-opens it.
+====================================================== */
+const breaker = { state: "closed", failures: 0, openedAt: null, trialInFlight: false };
+
+function breakerCooldownMs() {
+  return envNumber("LLM_BREAKER_COOLDOWN_MS", DEFAULT_BREAKER_COOLDOWN_MS);
+}
+
+// true when this call may go to the provider
+function breakerAllows() {
+  if (breaker.state === "closed") return true;
+
+  if (breaker.state === "open" && Date.now() - breaker.openedAt >= breakerCooldownMs()) {
+    breaker.state = "half_open";
+  }
+  if (breaker.state === "half_open" && !breaker.trialInFlight) {
+    breaker.trialInFlight = true;
+    return true;
+  }
+  return false;
+}
+
+function recordSuccess() {
+  breaker.state = "closed";
+  breaker.failures = 0;
+  breaker.openedAt = null;
+  breaker.trialInFlight = false;
+}
+
+function recordFailure() {
+  breaker.failures++;
+  breaker.trialInFlight = false;
+
+  const threshold = envNumber("LLM_BREAKER_THRESHOLD", DEFAULT_BREAKER_THRESHOLD);
+  if (breaker.state === "half_open" || breaker.failures >= threshold) {
+    breaker.state = "open";
+    breaker.openedAt = Date.now();
+  }
+}
+
+export function getBreakerStatus() {
+  return {
+    state: breaker.state,
+    failures: breaker.failures,
+    openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+    retryAt:
+      breaker.state === "open" ? new Date(breaker.openedAt + breakerCooldownMs()).toISOString() : null
+  };
+}
+
+export function resetBreaker() {
+  recordSuccess();
+}
+
+/* ======================================================
+   PUBLIC API
+====================================================== */
+/*
+complete(task, messages, { signal, onToken, ...configOverrides })
+Returns { text, model, usage, provider, attempts }.
+With onToken the provider streams (when it can) and onToken gets
+each text delta; a call that already streamed text is not retried.
+Throws LLMError after the last failed attempt, or at once when the
+provider can't be built or (circuitOpen: true) while the breaker is open.
+*/
+export async function complete(task, messages, { signal, onToken, ...overrides } = {}) {
+  const config = { ...getTaskConfig(task), ...overrides };
+
+  // A provider that can't be built (e.g. no API key) fails like any
+  // other model call, so callers fall back instead of erroring out
+  let active;
+  try {
+    active = getProvider();
+  } catch (err) {
+    if (err instanceof LLMError) throw Object.assign(err, { task: err.task || task });
+    throw new LLMError(`LLM provider unavailable (${task}): ${err.message}`, {
+      task,
+      provider: (process.env.LLM_PROVIDER || "openai").toLowerCase(),
+      attempts: 0,
+      cause: err
+    });
+  }
+
+  if (!breakerAllows()) {
+    throw new LLMError(`LLM circuit open (${task}) — model calls paused after repeated failures`, {
+      task,
+      provider: active.name,
+      attempts: 0,
+      circuitOpen: true
+    });
+  }
+
+  const streaming = Boolean(onToken && active.stream);
+  let streamed = false;
+  const emit = (token) => {
+    streamed = true;
+    onToken(token);
+  };
+
+  let lastError = null;
+  let attempts = 0;
+  for (let attempt = 0; attempt <= config.maxRetries; attempt++) {
+    if (signal?.aborted) break;
+    attempts++;
+
+    try {
+      const request = { task, messages, signal, ...config };
+      const res = streaming
+        ? await active.stream({ ...request, onToken: emit })
+        : await active.complete(request);
+
+      // Providers without streaming still feed the caller, in one piece
+      if (onToken && !streaming) onToken(res.text);
+
+      recordSuccess();
+      return { ...res, provider: active.name, attempts };
+    } catch (err) {
+      lastError = err;
+      if (signal?.aborted || streamed || !isRetryable(err) || attempt === config.maxRetries) break;
+      await sleep(backoffMs(attempt));
+    }
+  }
+
+  // Aborts and caller errors (bad request, auth) don't count as an outage
+  if (!signal?.aborted && isRetryable(lastError)) recordFailure();
+  else breaker.trialInFlight = false;
+
+  throw new LLMError(
+    signal?.aborted ? `LLM call aborted (${task})` : `LLM call failed (${task}): ${lastError?.message}`,
+    {
+      task,
+      provider: active.name,
+      upstreamStatus: errorStatus(lastError),
+      attempts,
+      cause: lastError
+    }
+  );
+}
+
+// Text-only shortcut for callers that don't need usage/model
+export async function completeText(task, messages, options) {
+  const res = await complete(task, messages, options);
+  return res.text;
+}
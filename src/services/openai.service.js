@@ -1,17 +1,70 @@
 import OpenAI from "openai";
 
-let client = null;
+// ===========================================================
+// OpenAI / OpenAI-compatible provider
+// Same client for api.openai.com and local servers that
+// speak the chat-completions API (llama.cpp, vLLM, Ollama).
+// Retries are handled by llm.service.js, not the SDK.
+// ===========================================================
 
-export function getOpenAI() {
-  if (!process.env.OPENAI_API_KEY) {
+export function createOpenAIProvider({ apiKey, baseURL, name = "openai" } = {}) {
+  if (!apiKey && !baseURL) {
     throw new Error("OPENAI_API_KEY is not loaded");
   }
 
-  if (!client) {
-    client = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
-  }
+  const client = new OpenAI({
+    // Local servers usually ignore the key, but the SDK requires one
+    apiKey: apiKey || "local",
+    baseURL: baseURL || undefined,
+    maxRetries: 0
+  });
+
+  return {
+    name,
+
+    async complete({ model, messages, temperature, maxTokens, timeoutMs, signal }) {
+      const res = await client.chat.completions.create(
+        {
+          model,
+          messages,
+          temperature,
+          ...(maxTokens ? { max_tokens: maxTokens } : {})
+        },
+        { timeout: timeoutMs, signal }
+      );
+
+      return {
+        text: res.choices?.[0]?.message?.content || "",
+        model: res.model || model,
+        usage: res.usage || null
+      };
+    },
+
+    // Same request with stream: true; onToken gets each text delta
+    async stream({ model, messages, temperature, maxTokens, timeoutMs, signal, onToken }) {
+      const stream = await client.chat.completions.create(
+        {
+          model,
+          messages,
+          temperature,
+          stream: true,
+          ...(maxTokens ? { max_tokens: maxTokens } : {})
+        },
+        { timeout: timeoutMs, signal }
+      );
+
+      let text = "";
+      let streamedModel = model;
+      for await (const chunk of stream) {
+        const delta = chunk.choices?.[0]?.delta?.content || "";
+        if (chunk.model) streamedModel = chunk.model;
+        if (!delta) continue;
+
+        text += delta;
+        onToken(delta);
+      }
 
-  return client;
+      return { text, model: streamedModel, usage: null };
+    }
+  };
 }
@@ -0,0 +1,161 @@
+// ===========================================================
+// AUTO BRAIN — GOLDEN SCENARIOS
+// Scripted multi-turn /chat conversations replayed through
+// runGrit. Only the parts code owns are compared (gates,
+// domain, intent, tier, flow phase, safety); model wording
+// is free to change.
+//
+// Scenario file:
+//   { id, title, vehicleContext, recording?,
+//     turns: [{ message, vehicleContext?, modelReply?, expect: { ...snapshot } }] }
+// modelReply fixes what the model says on that turn (fake provider
+// only) so the safety gates can be tested on exact wording.
+// ===========================================================
+
+import { randomUUID } from "node:crypto";
+import { runGrit } from "./grit.service.js";
+import { getSession, deleteSession } from "../state/session.store.js";
+
+/* ======================================================
+   TURN SNAPSHOT — the deterministic part of one turn
+====================================================== */
+// Reply type / intent / tier come from the /chat metadata (reply.util.js).
+// confirmed = interlock preconditions this turn logged (safetyLog).
+export function snapshotTurn(result, state, before = {}) {
+  const newResults = (state.testResults || []).slice(before.testResultCount || 0);
+  const newConfirmations = (state.safetyLog || []).slice(before.safetyLogCount || 0);
+  const { meta } = result;
+
+  return {
+    type: meta.type,
+    answer: meta.answer.kind,
+    degraded: meta.degraded,
+    domain: meta.domain,
+    intent: meta.intent,
+    tier: meta.tier,
+    awaitingResponse: state.awaitingResponse,
+    path: state.activePath,
+    phase: state.phase,
+    conclusion: state.flowConclusion?.id ?? null,
+    dtcs: state.activeDTCs,
+    primaryDTC: state.primaryDTC,
+    measured: newResults.flatMap((entry) =>
+      entry.results.map((r) => `${r.kind}${r.condition ? `@${r.condition}` : ""}:${r.status}`)
+    ),
+    safetyStop: result.safetyStop?.id ?? null,
+    safetyWarnings: (result.safetyWarnings || []).map((w) => w.id).sort(),
+    interlocks: (result.safetyInterlocks || []).map((i) => i.id).sort(),
+    confirmed: newConfirmations.map((c) => c.precondition)
+  };
+}
+
+/* ======================================================
+   COMPARISON
+   Only keys listed in `expect` are checked.
+====================================================== */
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+export function diffSnapshot(expect = {}, actual = {}) {
+  return Object.keys(expect)
+    .filter((key) => !same(expect[key], actual[key]))
+    .map((key) => ({ key, expected: expect[key] ?? null, actual: actual[key] ?? null }));
+}
+
+/* ======================================================
+   RUN
+====================================================== */
+function stateMarks(state) {
+  return {
+    testResultCount: state?.testResults?.length ?? 0,
+    safetyLogCount: state?.safetyLog?.length ?? 0
+  };
+}
+
+/*
+Returns { id, title, passed, turns: [{ index, message, reply, actual, diffs, error }] }.
+`provider` is the one the run uses; it gets each turn's modelReply.
+A turn that throws ends the scenario — later turns would run on a
+half-updated session.
+*/
+export async function runScenario(scenario, { provider = null } = {}) {
+  const sessionId = `scenario-${scenario.id}-${randomUUID()}`;
+  const context = [];
+  const turns = [];
+
+  try {
+    for (const [index, turn] of scenario.turns.entries()) {
+      const before = stateMarks((await getSession(sessionId))?.state);
+      const entry = { index: index + 1, message: turn.message, reply: null, actual: null, diffs: [], error: null };
+      turns.push(entry);
+
+      try {
+        provider?.script?.(turn.modelReply ?? null);
+        const result = await runGrit({
+          message: turn.message,
+          context: [...context, { role: "user", content: turn.message }],
+          vehicleContext: turn.vehicleContext || scenario.vehicleContext || {},
+          sessionId
+        });
+        const { state } = await getSession(sessionId);
+
+        entry.reply = result.reply;
+        entry.actual = snapshotTurn(result, state, before);
+        entry.diffs = diffSnapshot(turn.expect, entry.actual);
+        context.push({ role: "user", content: turn.message }, { role: "assistant", content: result.reply });
+      } catch (err) {
+        entry.error = err.message;
+        break;
+      }
+    }
+  } finally {
+    await deleteSession(sessionId);
+  }
+
+  return {
+    id: scenario.id,
+    title: scenario.title || scenario.id,
+    passed: turns.length === scenario.turns.length && turns.every((t) => !t.error && !t.diffs.length),
+    turns
+  };
+}
+
+// Golden update: expectations become the actual snapshots.
+export function updateExpectations(scenario, run) {
+  return {
+    ...scenario,
+    turns: scenario.turns.map((turn, i) =>
+      run.turns[i]?.actual ? { ...turn, expect: run.turns[i].actual } : turn
+    )
+  };
+}
+
+/* ======================================================
+   DIFF REPORT
+====================================================== */
+const show = (value) => JSON.stringify(value);
+
+export function formatScenarioReport(runs, { verbose = false } = {}) {
+  const lines = [];
+
+  for (const run of runs) {
+    const failing = run.turns.filter((t) => t.error || t.diffs.length);
+    lines.push(`${run.passed ? "PASS" : "FAIL"} ${run.id} — ${run.title}${run.provider ? ` [${run.provider}]` : ""}`);
+    if (run.misses) {
+      lines.push(`  ${run.misses} model call(s) not in the recording — re-record with --mode record`);
+    }
+
+    for (const turn of verbose ? run.turns : failing) {
+      lines.push(`  turn ${turn.index}: ${show(turn.message)}`);
+      if (turn.error) lines.push(`    error: ${turn.error}`);
+      for (const d of turn.diffs) {
+        lines.push(`    ${d.key}: expected ${show(d.expected)}, got ${show(d.actual)}`);
+      }
+      if (verbose && turn.reply) lines.push(`    reply: ${show(turn.reply.slice(0, 200))}`);
+    }
+  }
+
+  const failed = runs.filter((r) => !r.passed).length;
+  lines.push("", `${runs.length} scenario(s): ${runs.length - failed} passed, ${failed} failed`);
+
+  return lines.join("\n");
+}
@@ -0,0 +1,86 @@
+// ===========================================================
+// AUTO BRAIN — DIAGNOSTIC TREE GENERATION + TRAVERSAL
+// One model call, one repair attempt with the validation
+// errors, then a normalized tree or a TreeValidationError.
+// Saved trees are worked node by node with a traversal log.
+// ===========================================================
+
+import {
+  parseTreeJson,
+  validateTree,
+  normalizeTree,
+  TreeValidationError,
+  findTestNode,
+  createTraversal,
+  applyNodeResult,
+  buildChecklist
+} from "../utils/tree.util.js";
+import { createTree, saveTree } from "../state/tree.store.js";
+import { completeText } from "./llm.service.js";
+
+function checkTree(raw) {
+  const { json, errors } = parseTreeJson(raw);
+  if (errors.length) return { json: null, errors };
+  return { json, errors: validateTree(json).errors };
+}
+
+/*
+Returns { tree, repaired }.
+Throws TreeValidationError when the repaired output still fails.
+*/
+export async function generateDiagnosticTree({ messages }) {
+  const raw = await completeText("diagnostic_tree", messages);
+  const first = checkTree(raw);
+  if (!first.errors.length) return { tree: normalizeTree(first.json), repaired: false };
+
+  const repairedRaw = await completeText("diagnostic_tree", [
+    ...messages,
+    { role: "assistant", content: raw },
+    {
+      role: "user",
+      content: `That JSON failed validation:\n- ${first.errors.join("\n- ")}\n\nReturn ONLY the corrected JSON object — no markdown, no commentary.`
+    }
+  ]);
+
+  const second = checkTree(repairedRaw);
+  if (second.errors.length) throw new TreeValidationError(second.errors, repairedRaw);
+
+  return { tree: normalizeTree(second.json), repaired: true };
+}
+
+/* ======================================================
+   SAVED TREES
+====================================================== */
+export function describeTreeRecord(record) {
+  const { treeId, request, tree, traversal, createdAt, updatedAt, expiresAt } = record;
+
+  return {
+    treeId,
+    request,
+    tree,
+    status: traversal.status,
+    currentNode: traversal.currentNode ? findTestNode(tree, traversal.currentNode) : null,
+    checklist: buildChecklist(tree, traversal),
+    log: traversal.log,
+    createdAt,
+    updatedAt,
+    expiresAt
+  };
+}
+
+export async function saveGeneratedTree({ request, tree, shopId = null }) {
+  return createTree({ request, tree, traversal: createTraversal(tree), shopId });
+}
+
+// Caller checks the node exists (findTestNode) before reporting.
+export async function reportNodeResult(record, nodeId, { result, note, branchId }) {
+  const { traversal, outcome } = applyNodeResult(record.tree, record.traversal, {
+    nodeId,
+    result,
+    note,
+    branchId
+  });
+
+  const saved = outcome.ambiguous ? record : await saveTree({ ...record, traversal });
+  return { record: saved, outcome };
+}
@@ -1,8 +1,73 @@
 import { supabase } from "./supabase.service.js";
-import { classifyGMEngine } from "../utils/engine.util.js";
+import { classifyEngine, describeEngine } from "../utils/engine.util.js";
+import {
+  VinValidationError,
+  validateVin,
+  decodeVinLocally
+} from "../utils/vin.util.js";
+
+const VPIC_TIMEOUT_MS = Number(process.env.VPIC_TIMEOUT_MS) || 8000;
+const VPIC_MIN_INTERVAL_MS = Number(process.env.VPIC_MIN_INTERVAL_MS) || 250;
+
+// 100 uncached VINs at the vPIC interval is ~25s; the time budget
+// keeps one request under proxy timeouts even when single decodes
+// share the throttle
+export const MAX_BATCH_VINS = 100;
+const BATCH_CONCURRENCY = Number(process.env.VIN_BATCH_CONCURRENCY) || 4;
+const BATCH_TIME_BUDGET_MS = Number(process.env.VIN_BATCH_TIME_BUDGET_MS) || 25000;
+
+// Spaces vPIC requests out across the whole process (batch + single).
+let nextVpicSlot = 0;
+
+async function throttleVpic() {
+  const now = Date.now();
+  const wait = Math.max(0, nextVpicSlot - now);
+  nextVpicSlot = Math.max(now, nextVpicSlot) + VPIC_MIN_INTERVAL_MS;
+  if (wait) await new Promise((resolve) => setTimeout(resolve, wait));
+}
+
+async function fetchVpic(vin) {
+  await throttleVpic();
+
+  const resp = await fetch(
+    `https://vpic.nhtsa.dot.gov/api/vehicles/DecodeVin/${vin}?format=json`,
+    { signal: AbortSignal.timeout(VPIC_TIMEOUT_MS) }
+  );
+  if (!resp.ok) throw new Error(`vPIC responded ${resp.status}`);
+
+  const json = await resp.json();
+  if (!Array.isArray(json?.Results)) throw new Error("vPIC returned no results");
+
+  return json.Results;
+}
+
+// Partial vehicle from the VIN itself — used when vPIC is unreachable.
+function localVehicle(vin, local, warnings) {
+  return {
+    vin,
+    year: local.modelYear ? String(local.modelYear) : "",
+    make: local.manufacturer || "",
+    model: "",
+    engine: "",
+    engineDetails: null,
+    partial: true,
+    decodedBy: "local",
+    sources: {
+      year: local.modelYear ? "local" : null,
+      make: local.manufacturer ? "local" : null,
+      model: null,
+      engine: null
+    },
+    local,
+    warnings
+  };
+}
 
 export async function decodeVinWithCache(vinRaw) {
-  const vin = vinRaw.trim().toUpperCase();
+  const { vin, valid, errors, warnings } = validateVin(vinRaw);
+  if (!valid) throw new VinValidationError(errors);
+
+  const local = decodeVinLocally(vin);
 
   const { data } = await supabase
     .from("vin_decodes")
@@ -17,38 +82,64 @@ export async function decodeVinWithCache(vinRaw) {
       make: data.make,
       model: data.model,
       engine: data.engine,
-      engineDetails: data.engine_details
+      engineDetails: data.engine_details,
+      decodedBy: "cache",
+      sources: { year: "cache", make: "cache", model: "cache", engine: "cache" },
+      local,
+      warnings
     };
   }
 
-  const resp = await fetch(
-    `https://vpic.nhtsa.dot.gov/api/vehicles/DecodeVin/${vin}?format=json`
-  );
-  const json = await resp.json();
-  const results = json.Results;
+  let results;
+  try {
+    results = await fetchVpic(vin);
+  } catch (err) {
+    console.error("vPIC unavailable, using local VIN decode:", err.message);
+    return localVehicle(vin, local, [...warnings, "NHTSA vPIC unreachable — partial decode from the VIN only"]);
+  }
 
   const get = (label) => {
     const row = results.find((r) => r.Variable === label);
     return row?.Value && row.Value !== "Not Applicable" ? row.Value : "";
   };
 
-  const year = get("Model Year");
-  const make = get("Make");
+  // vPIC wins; the VIN itself fills what vPIC left blank.
+  const vpicYear = get("Model Year");
+  const vpicMake = get("Make");
+  const year = vpicYear || (local.modelYear ? String(local.modelYear) : "");
+  const make = vpicMake || local.manufacturer || "";
   const model = get("Model");
   const engineModel = get("Engine Model");
   const disp = get("Displacement (L)");
 
-  const engineDetails = classifyGMEngine(engineModel, disp);
+  const engineDetails = classifyEngine({
+    make,
+    year,
+    model,
+    engineModel,
+    displacement: disp,
+    fuelType: get("Fuel Type - Primary"),
+    turbo: get("Turbo"),
+    otherInfo: get("Other Engine Info"),
+    cylinders: get("Engine Number of Cylinders")
+  });
 
   const decoded = {
     vin,
     year,
     make,
     model,
-    engine: engineDetails?.code
-      ? `${engineDetails.displacement_l}L ${engineDetails.code}`
-      : engineModel || disp || "",
-    engineDetails
+    engine: describeEngine(engineDetails, engineModel || disp || ""),
+    engineDetails,
+    decodedBy: "vpic",
+    sources: {
+      year: vpicYear ? "vpic" : year ? "local" : null,
+      make: vpicMake ? "vpic" : make ? "local" : null,
+      model: model ? "vpic" : null,
+      engine: engineModel || disp ? "vpic" : null
+    },
+    local,
+    warnings
   };
 
   await supabase.from("vin_decodes").upsert({
@@ -63,3 +154,65 @@ export async function decodeVinWithCache(vinRaw) {
 
   return decoded;
 }
+
+/* ======================================================
+   BATCH (fleet accounts)
+   status: decoded | cached | invalid | failed | deferred
+   VINs not started within the time budget come back
+   "deferred" — resubmit them (decoded ones are cached).
+====================================================== */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let cursor = 0;
+
+  async function worker() {
+    while (cursor < items.length) {
+      const idx = cursor++;
+      results[idx] = await fn(items[idx], idx);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+const BATCH_STATUS = { vpic: "decoded", cache: "cached", local: "failed" };
+
+export async function decodeVinBatch(
+  vins = [],
+  { concurrency = BATCH_CONCURRENCY, timeBudgetMs = BATCH_TIME_BUDGET_MS } = {}
+) {
+  const unique = [...new Set(vins.map((v) => String(v || "").trim().toUpperCase()).filter(Boolean))];
+  const deadline = Date.now() + timeBudgetMs;
+
+  const results = await mapWithConcurrency(unique, concurrency, async (vin) => {
+    if (Date.now() >= deadline) {
+      return { vin, status: "deferred", error: "Batch time budget reached — resubmit this VIN" };
+    }
+
+    try {
+      const vehicle = await decodeVinWithCache(vin);
+      const status = BATCH_STATUS[vehicle.decodedBy] || "decoded";
+
+      return {
+        vin: vehicle.vin,
+        status,
+        vehicle,
+        ...(status === "failed" ? { error: "NHTSA vPIC unreachable — partial decode only" } : {})
+      };
+    } catch (err) {
+      if (err instanceof VinValidationError) {
+        return { vin, status: "invalid", errors: err.errors };
+      }
+      console.error(`Batch VIN decode failed for ${vin}:`, err);
+      return { vin, status: "failed", error: "VIN decode error" };
+    }
+  });
+
+  const summary = results.reduce(
+    (acc, r) => ({ ...acc, [r.status]: (acc[r.status] || 0) + 1 }),
+    { total: results.length, decoded: 0, cached: 0, invalid: 0, failed: 0, deferred: 0 }
+  );
+
+  return { summary, results };
+}
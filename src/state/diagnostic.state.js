@@ -1,99 +1,114 @@
 // ===========================================================
 // AUTO BRAIN — GRIT DIAGNOSTIC STATE (HYBRID v1)
 // Code controls truth. GPT controls language.
+// One state object per conversation (see session.store.js).
 // ===========================================================
 
-export const diagnosticState = {
-  // -------------------------------------------
-  // Core mode / session control
-  // -------------------------------------------
-  mode: "idle",                // "idle" | "active"
-  awaitingResponse: false,     // waiting for user to answer a diagnostic question
-  lastQuestion: null,          // intent or identifier of last asked question
-
-  // -------------------------------------------
-  // Vehicle & DTC context (AUTHORITATIVE)
-  // -------------------------------------------
-  vehicleContext: {
-    confirmed: false,          // 🔒 true once Vehicle Context box is confirmed
-
-    year: null,
-    make: null,
-    model: null,
-    engine: null,
-    engineCode: null,
-    vin: null,                 // optional
-    source: null               // "vin" | "manual" | "mixed"
-  },
-
-  activeDTCs: [],              // all detected DTCs
-  primaryDTC: null,            // first / active DTC
-
-  // -------------------------------------------
-  // 🔐 REQUIRED — DTC EXPLANATION GATE
-  // -------------------------------------------
-  codeExplained: false,        // must be true before diagnostics
-  lastExplainedDTC: null,      // supports multi-DTC sequencing
-
-  // -------------------------------------------
-  // Diagnostic routing
-  // -------------------------------------------
-  domain: null,                // locked diagnostic domain (engine, evap, etc.)
-  activePath: null,            // deterministic path (e.g. "misfire") or null
-
-  // -------------------------------------------
-  // Deterministic flow tracking (used only when activePath !== null)
-  // -------------------------------------------
-  phase: null,                 // current phase in locked flows
-  nextExpected: null,          // optional hint for next step
-
-  // -------------------------------------------
-  // Classification buckets (lightweight)
-  // -------------------------------------------
-  classification: {
-    misfire: null,
-    misfireLoad: null,
-    smoke: null
-  }
-};
+export function createDiagnosticState() {
+  return {
+    // -------------------------------------------
+    // Core mode / session control
+    // -------------------------------------------
+    mode: "idle",                // "idle" | "active"
+    awaitingResponse: false,     // waiting for user to answer a diagnostic question
+    lastQuestion: null,          // intent or identifier of last asked question
+
+    // -------------------------------------------
+    // Vehicle & DTC context (AUTHORITATIVE)
+    // -------------------------------------------
+    vehicleContext: {
+      confirmed: false,          // 🔒 true once Vehicle Context box is confirmed
+
+      year: null,
+      make: null,
+      model: null,
+      engine: null,
+      engineCode: null,
+      vin: null,                 // optional
+      source: null               // "vin" | "manual" | "mixed" | "inferred"
+    },
+    pendingEngineChoice: null,   // { year, make, model, candidates } while GRIT asks "which engine?"
+
+    activeDTCs: [],              // all detected DTCs
+    primaryDTC: null,            // root-cause lead (see prioritizeDTCs)
+    dtcPriority: null,           // { ordered, primary, reason, codes, groups } for the current report
+
+    // -------------------------------------------
+    // 🔐 REQUIRED — DTC EXPLANATION GATE
+    // -------------------------------------------
+    codeExplained: false,        // must be true before diagnostics
+    lastExplainedDTC: null,      // supports multi-DTC sequencing
+
+    // -------------------------------------------
+    // Diagnostic routing
+    // -------------------------------------------
+    domain: null,                // locked diagnostic domain (engine, evap, etc.)
+    domainSource: null,          // "detected" | "manual"
+    activePath: null,            // deterministic path (e.g. "misfire") or null
+
+    // -------------------------------------------
+    // Deterministic flow tracking (used only when activePath !== null)
+    // -------------------------------------------
+    phase: null,                 // current phase in locked flows
+    nextExpected: null,          // optional hint for next step
+    flowHistory: [],             // [{ phase, answer, bucket }] for the active flow
+    flowConclusion: null,        // terminal conclusion once the flow ends
+
+    // -------------------------------------------
+    // Network topology (U-codes) — see network.util.js
+    // -------------------------------------------
+    networkAnalysis: null,       // { busMap, silentModules, hypotheses, lead, ... }
+
+    // -------------------------------------------
+    // Measured test results (parsed from answers, code-evaluated)
+    // -------------------------------------------
+    testResults: [],             // [{ intent, answer, results: [{ kind, value, unit, status, range }], at }]
+
+    // -------------------------------------------
+    // 🔒 Safety interlocks (HV / SRS / GDI) — persist for the session
+    // -------------------------------------------
+    safetyInterlocks: {},        // { [id]: { engagedAt, confirmations: { [preconditionId]: { at, via, text } } } }
+    safetyLog: [],               // append-only confirmation log (liability)
+
+    // -------------------------------------------
+    // Recent replies — feedback points at one by replyId
+    // -------------------------------------------
+    replyLog: [],                // [{ replyId, at, type, domain, intent, tier, dtcs, primaryDTC, vehicle, rulesetVersion, excerpt }]
+
+    // -------------------------------------------
+    // Close-out — the confirmed fix (see fix.service.js)
+    // -------------------------------------------
+    closeOut: null,              // { fixId, at, rootCause, partReplaced, codeReturned, recommendations }
+
+    // -------------------------------------------
+    // Earlier visits for this VIN (see history.service.js)
+    // -------------------------------------------
+    vehicleHistory: null,        // { vin, loadedAt, visits } — loaded once per VIN
+    comebacks: [],               // [{ dtc, sessionId, at, daysAgo, fix }] active DTCs seen on an earlier visit
+
+    // -------------------------------------------
+    // Classification buckets (lightweight)
+    // -------------------------------------------
+    classification: {
+      misfire: null,
+      misfireLoad: null,
+      smoke: null
+    }
+  };
+}
 
 /* ===========================================================
    🔁 AUTHORITATIVE RESET — HYBRID SAFE
    This is the ONLY way vehicle context should be cleared.
+   Resets in place so callers holding the session keep it.
+   The safety confirmation log survives resets (liability),
+   and so does the reply log (feedback can still point at it).
 =========================================================== */
-export function resetDiagnosticState() {
-  diagnosticState.mode = "idle";
-  diagnosticState.awaitingResponse = false;
-  diagnosticState.lastQuestion = null;
-
-  diagnosticState.vehicleContext = {
-    confirmed: false,
-
-    year: null,
-    make: null,
-    model: null,
-    engine: null,
-    engineCode: null,
-    vin: null,
-    source: null
-  };
-
-  diagnosticState.activeDTCs = [];
-  diagnosticState.primaryDTC = null;
+export function resetDiagnosticState(state) {
+  const safetyLog = state.safetyLog || [];
+  const replyLog = state.replyLog || [];
 
-  // 🔐 RESET DTC EXPLANATION GATE
-  diagnosticState.codeExplained = false;
-  diagnosticState.lastExplainedDTC = null;
-
-  diagnosticState.domain = null;
-  diagnosticState.activePath = null;
-
-  diagnosticState.phase = null;
-  diagnosticState.nextExpected = null;
-
-  diagnosticState.classification = {
-    misfire: null,
-    misfireLoad: null,
-    smoke: null
-  };
+  for (const key of Object.keys(state)) delete state[key];
+  Object.assign(state, createDiagnosticState(), { safetyLog, replyLog });
+  return state;
 }
@@ -0,0 +1,143 @@
+// ===========================================================
+// AUTO BRAIN — FEEDBACK STORE
+// Technician feedback on GRIT replies, with the vehicle,
+// DTCs and step captured when the reply was given, per shop.
+// Backends: "memory" (dev) | "supabase" (production)
+// ===========================================================
+
+import { randomUUID } from "node:crypto";
+import { supabase } from "../services/supabase.service.js";
+
+const FEEDBACK_TABLE = "grit_feedback";
+
+/* ======================================================
+   BACKEND — IN-MEMORY (DEV)
+====================================================== */
+function createMemoryBackend() {
+  const rows = [];
+
+  return {
+    async insert(record) {
+      const row = { ...record, createdAt: Date.now() };
+      rows.push(row);
+      return row;
+    },
+
+    async list({ since, shopId }) {
+      return rows.filter((r) => (!since || r.createdAt >= since) && (!shopId || r.shopId === shopId));
+    }
+  };
+}
+
+/* ======================================================
+   BACKEND — SUPABASE (PRODUCTION)
+   Table: grit_feedback
+     feedback_id text pk, shop_id text, session_id text,
+     reply_id text,
+     rating text, category text, comment text,
+     correction text, vehicle jsonb, dtcs jsonb,
+     primary_dtc text, domain text, intent text, tier text,
+     reply_type text, reply_excerpt text,
+     context_source text, ruleset_version text,
+     created_at timestamptz default now()
+====================================================== */
+function toRow(record) {
+  const c = record.context;
+  return {
+    feedback_id: record.feedbackId,
+    shop_id: record.shopId,
+    session_id: record.sessionId,
+    reply_id: record.replyId,
+    rating: record.rating,
+    category: record.category,
+    comment: record.comment,
+    correction: record.correction,
+    vehicle: c.vehicle,
+    dtcs: c.dtcs,
+    primary_dtc: c.primaryDTC,
+    domain: c.domain,
+    intent: c.intent,
+    tier: c.tier,
+    reply_type: c.replyType,
+    reply_excerpt: c.excerpt,
+    context_source: c.source,
+    ruleset_version: record.rulesetVersion
+  };
+}
+
+function fromRow(row) {
+  return {
+    feedbackId: row.feedback_id,
+    shopId: row.shop_id,
+    sessionId: row.session_id,
+    replyId: row.reply_id,
+    rating: row.rating,
+    category: row.category,
+    comment: row.comment,
+    correction: row.correction,
+    context: {
+      source: row.context_source,
+      vehicle: row.vehicle,
+      dtcs: row.dtcs || [],
+      primaryDTC: row.primary_dtc,
+      domain: row.domain,
+      intent: row.intent,
+      tier: row.tier,
+      replyType: row.reply_type,
+      excerpt: row.reply_excerpt
+    },
+    rulesetVersion: row.ruleset_version,
+    createdAt: Date.parse(row.created_at)
+  };
+}
+
+function createSupabaseBackend() {
+  return {
+    async insert(record) {
+      const { data, error } = await supabase
+        .from(FEEDBACK_TABLE)
+        .insert(toRow(record))
+        .select()
+        .single();
+
+      if (error) throw error;
+      return fromRow(data);
+    },
+
+    async list({ since, shopId }) {
+      let query = supabase.from(FEEDBACK_TABLE).select("*").order("created_at", { ascending: false });
+      if (since) query = query.gte("created_at", new Date(since).toISOString());
+      if (shopId) query = query.eq("shop_id", shopId);
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return data.map(fromRow);
+    }
+  };
+}
+
+/* ======================================================
+   BACKEND SELECTION (follows SESSION_STORE unless set)
+====================================================== */
+let backend = null;
+
+function getBackend() {
+  if (!backend) {
+    const kind = process.env.FEEDBACK_STORE || process.env.SESSION_STORE;
+    backend = kind === "supabase" ? createSupabaseBackend() : createMemoryBackend();
+  }
+  return backend;
+}
+
+/* ======================================================
+   PUBLIC API
+====================================================== */
+export async function createFeedback(record) {
+  return getBackend().insert({ feedbackId: randomUUID(), ...record });
+}
+
+// `since` is a timestamp in ms (or null for everything);
+// shopId null = every shop
+export async function listFeedback({ since = null, shopId = null } = {}) {
+  return getBackend().list({ since, shopId });
+}
@@ -0,0 +1,166 @@
+// ===========================================================
+// AUTO BRAIN — CONFIRMED FIX STORE
+// What actually fixed the car, recorded when a tech closes
+// out a session. Keyed by platform (make / model / engine
+// code) and the DTCs the session was working, per shop.
+// Backends: "memory" (dev) | "supabase" (production)
+// ===========================================================
+
+import { randomUUID } from "node:crypto";
+import { supabase } from "../services/supabase.service.js";
+
+const FIX_TABLE = "confirmed_fixes";
+
+/* ======================================================
+   BACKEND — IN-MEMORY (DEV)
+====================================================== */
+function createMemoryBackend() {
+  const rows = [];
+
+  return {
+    async insert(record) {
+      const row = { ...record, createdAt: Date.now() };
+      rows.push(row);
+      return row;
+    },
+
+    async setCodeReturned(fixId, codeReturned) {
+      const row = rows.find((r) => r.fixId === fixId);
+      if (!row) return null;
+      row.codeReturned = codeReturned;
+      return row;
+    },
+
+    async list({ make, model, dtc, shopId }) {
+      return rows.filter(
+        (r) =>
+          r.make === make &&
+          r.model === model &&
+          (!dtc || r.dtcs.includes(dtc)) &&
+          (!shopId || r.shopId === shopId)
+      );
+    }
+  };
+}
+
+/* ======================================================
+   BACKEND — SUPABASE (PRODUCTION)
+   Table: confirmed_fixes
+     fix_id text pk, session_id text, shop_id text,
+     platform_key text,
+     make text, model text, engine_code text, year text,
+     vin text, dtcs jsonb, primary_dtc text,
+     root_cause text, part_replaced text,
+     code_returned boolean, notes text,
+     created_at timestamptz default now()
+   Index: (shop_id, make, model)
+====================================================== */
+function toRow(record) {
+  return {
+    fix_id: record.fixId,
+    session_id: record.sessionId,
+    shop_id: record.shopId,
+    platform_key: record.platformKey,
+    make: record.make,
+    model: record.model,
+    engine_code: record.engineCode,
+    year: record.year,
+    vin: record.vin,
+    dtcs: record.dtcs,
+    primary_dtc: record.primaryDTC,
+    root_cause: record.rootCause,
+    part_replaced: record.partReplaced,
+    code_returned: record.codeReturned,
+    notes: record.notes
+  };
+}
+
+function fromRow(row) {
+  return {
+    fixId: row.fix_id,
+    sessionId: row.session_id,
+    shopId: row.shop_id,
+    platformKey: row.platform_key,
+    make: row.make,
+    model: row.model,
+    engineCode: row.engine_code,
+    year: row.year,
+    vin: row.vin,
+    dtcs: row.dtcs || [],
+    primaryDTC: row.primary_dtc,
+    rootCause: row.root_cause,
+    partReplaced: row.part_replaced,
+    codeReturned: row.code_returned,
+    notes: row.notes,
+    createdAt: Date.parse(row.created_at)
+  };
+}
+
+function createSupabaseBackend() {
+  return {
+    async insert(record) {
+      const { data, error } = await supabase
+        .from(FIX_TABLE)
+        .insert(toRow(record))
+        .select()
+        .single();
+
+      if (error) throw error;
+      return fromRow(data);
+    },
+
+    async setCodeReturned(fixId, codeReturned) {
+      const { data, error } = await supabase
+        .from(FIX_TABLE)
+        .update({ code_returned: codeReturned })
+        .eq("fix_id", fixId)
+        .select()
+        .maybeSingle();
+
+      if (error) throw error;
+      return data ? fromRow(data) : null;
+    },
+
+    async list({ make, model, dtc, shopId }) {
+      let query = supabase.from(FIX_TABLE).select("*").eq("make", make).eq("model", model);
+      if (dtc) query = query.contains("dtcs", [dtc]);
+      if (shopId) query = query.eq("shop_id", shopId);
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return data.map(fromRow);
+    }
+  };
+}
+
+/* ======================================================
+   BACKEND SELECTION (follows SESSION_STORE unless set)
+====================================================== */
+let backend = null;
+
+function getBackend() {
+  if (!backend) {
+    const kind = process.env.FIX_STORE || process.env.SESSION_STORE;
+    backend = kind === "supabase" ? createSupabaseBackend() : createMemoryBackend();
+  }
+  return backend;
+}
+
+/* ======================================================
+   PUBLIC API
+====================================================== */
+export async function createFix(record) {
+  return getBackend().insert({ fixId: randomUUID(), ...record });
+}
+
+// Settles the comeback window; null when the fix doesn't exist.
+// Access is the caller's check (the fix's session).
+export async function setFixCodeReturned(fixId, codeReturned) {
+  return getBackend().setCodeReturned(fixId, codeReturned);
+}
+
+// make / model are normalized (see getPlatform); engine filtering is the caller's.
+// shopId null = every shop.
+export async function listFixes({ make, model, dtc = null, shopId = null }) {
+  return getBackend().list({ make, model, dtc, shopId });
+}
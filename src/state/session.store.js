@@ -0,0 +1,246 @@
+// ===========================================================
+// AUTO BRAIN — GRIT SESSION STORE
+// One diagnostic state per conversation, keyed by session ID.
+// Sessions belong to the shop that started them; a shopId of
+// null (operator / internal tools) sees every session.
+// Backends: "memory" (dev) | "supabase" (production)
+// ===========================================================
+
+import { randomUUID } from "node:crypto";
+import { supabase } from "../services/supabase.service.js";
+import {
+  createDiagnosticState,
+  resetDiagnosticState
+} from "./diagnostic.state.js";
+
+const DEFAULT_TTL_MS = 4 * 60 * 60 * 1000; // 4h — one repair order
+const SESSION_TABLE = "grit_sessions";
+
+// Saved trees expire on the same clock (tree.store.js)
+export function getSessionTtlMs() {
+  const ttl = Number(process.env.SESSION_TTL_MS);
+  return Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_TTL_MS;
+}
+
+// Stored states may predate newer fields — fill them from a fresh state.
+function hydrateState(stored = {}) {
+  return { ...createDiagnosticState(), ...stored };
+}
+
+/* ======================================================
+   BACKEND — IN-MEMORY (DEV)
+====================================================== */
+function createMemoryBackend() {
+  const sessions = new Map();
+
+  function isExpired(row) {
+    return row.expiresAt <= Date.now();
+  }
+
+  return {
+    async get(sessionId) {
+      const row = sessions.get(sessionId);
+      if (!row) return null;
+      if (isExpired(row)) {
+        sessions.delete(sessionId);
+        return null;
+      }
+      return row;
+    },
+
+    async save(sessionId, state, shopId) {
+      const now = Date.now();
+      const existing = sessions.get(sessionId);
+      const row = {
+        sessionId,
+        shopId: existing?.shopId || shopId || null,
+        state,
+        createdAt: existing?.createdAt || now,
+        updatedAt: now,
+        expiresAt: now + getSessionTtlMs()
+      };
+      sessions.set(sessionId, row);
+      return row;
+    },
+
+    async remove(sessionId) {
+      sessions.delete(sessionId);
+    },
+
+    async list({ shopId }) {
+      const active = [];
+      for (const [id, row] of sessions) {
+        if (isExpired(row)) sessions.delete(id);
+        else if (!shopId || row.shopId === shopId) active.push(row);
+      }
+      return active;
+    }
+  };
+}
+
+/* ======================================================
+   BACKEND — SUPABASE (PRODUCTION)
+   Table: grit_sessions
+     session_id text pk, shop_id text, state jsonb,
+     created_at timestamptz, updated_at timestamptz,
+     expires_at timestamptz
+====================================================== */
+function fromRow(row) {
+  return {
+    sessionId: row.session_id,
+    shopId: row.shop_id,
+    state: row.state,
+    createdAt: Date.parse(row.created_at),
+    updatedAt: Date.parse(row.updated_at),
+    expiresAt: Date.parse(row.expires_at)
+  };
+}
+
+function createSupabaseBackend() {
+  return {
+    async get(sessionId) {
+      const { data, error } = await supabase
+        .from(SESSION_TABLE)
+        .select("*")
+        .eq("session_id", sessionId)
+        .gt("expires_at", new Date().toISOString())
+        .maybeSingle();
+
+      if (error) throw error;
+      return data ? fromRow(data) : null;
+    },
+
+    // shop_id is only written when known, so an update never clears it
+    async save(sessionId, state, shopId) {
+      const now = new Date();
+      const { data, error } = await supabase
+        .from(SESSION_TABLE)
+        .upsert({
+          session_id: sessionId,
+          ...(shopId ? { shop_id: shopId } : {}),
+          state,
+          updated_at: now.toISOString(),
+          expires_at: new Date(now.getTime() + getSessionTtlMs()).toISOString()
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return fromRow(data);
+    },
+
+    async remove(sessionId) {
+      const { error } = await supabase
+        .from(SESSION_TABLE)
+        .delete()
+        .eq("session_id", sessionId);
+
+      if (error) throw error;
+    },
+
+    async list({ shopId }) {
+      let query = supabase
+        .from(SESSION_TABLE)
+        .select("*")
+        .gt("expires_at", new Date().toISOString())
+        .order("updated_at", { ascending: false });
+      if (shopId) query = query.eq("shop_id", shopId);
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return (data || []).map(fromRow);
+    }
+  };
+}
+
+/* ======================================================
+   BACKEND SELECTION
+====================================================== */
+let backend = null;
+
+function getBackend() {
+  if (!backend) {
+    backend =
+      process.env.SESSION_STORE === "supabase"
+        ? createSupabaseBackend()
+        : createMemoryBackend();
+  }
+  return backend;
+}
+
+/* ======================================================
+   PUBLIC API
+   `shopId` scopes every call; another shop's session reads
+   as missing.
+====================================================== */
+function isVisible(row, shopId) {
+  return Boolean(row) && (!shopId || row.shopId === shopId);
+}
+
+async function getVisibleRow(sessionId, shopId) {
+  const row = await getBackend().get(sessionId);
+  return isVisible(row, shopId) ? row : null;
+}
+
+// Returns the caller's session, or issues a new one when the ID is
+// missing, unknown or expired. An ID owned by another shop gets a
+// fresh ID — never the other shop's row.
+export async function loadSession(sessionId, { shopId = null } = {}) {
+  if (sessionId) {
+    const row = await getBackend().get(sessionId);
+    if (isVisible(row, shopId)) return { sessionId, state: hydrateState(row.state), isNew: false };
+    if (row) sessionId = null;
+  }
+
+  return {
+    sessionId: sessionId || randomUUID(),
+    state: createDiagnosticState(),
+    isNew: true
+  };
+}
+
+export async function saveSession(sessionId, state, { shopId = null } = {}) {
+  return getBackend().save(sessionId, state, shopId);
+}
+
+export async function getSession(sessionId, { shopId = null } = {}) {
+  const row = await getVisibleRow(sessionId, shopId);
+  return row ? { ...row, state: hydrateState(row.state) } : null;
+}
+
+export async function resetSession(sessionId, { shopId = null } = {}) {
+  const row = await getVisibleRow(sessionId, shopId);
+  if (!row) return null;
+
+  const state = resetDiagnosticState(hydrateState(row.state));
+  return getBackend().save(sessionId, state, row.shopId);
+}
+
+// Applies `mutate(state)` to an existing session and persists it.
+// Returns null when the session is missing/expired.
+export async function updateSession(sessionId, mutate, { shopId = null } = {}) {
+  const row = await getVisibleRow(sessionId, shopId);
+  if (!row) return null;
+
+  const state = hydrateState(row.state);
+  await mutate(state);
+  return getBackend().save(sessionId, state, row.shopId);
+}
+
+export async function deleteSession(sessionId) {
+  return getBackend().remove(sessionId);
+}
+
+export async function listSessions({ shopId = null } = {}) {
+  const rows = await getBackend().list({ shopId });
+  return rows.map((row) => ({
+    sessionId: row.sessionId,
+    shopId: row.shopId || null,
+    mode: row.state?.mode || "idle",
+    primaryDTC: row.state?.primaryDTC || null,
+    domain: row.state?.domain || null,
+    createdAt: row.createdAt,
+    updatedAt: row.updatedAt,
+    expiresAt: row.expiresAt
+  }));
+}
@@ -0,0 +1,141 @@
+// ===========================================================
+// AUTO BRAIN — SHOP STORE (TENANTS)
+// Each shop has an API key (stored hashed) and the browser
+// origins allowed to call the API on its behalf.
+// Backends: "memory" (dev, seeded from SHOPS) | "supabase"
+// ===========================================================
+
+import { supabase } from "../services/supabase.service.js";
+import { hashApiKey, parseOrigins } from "../utils/auth.util.js";
+
+const SHOP_TABLE = "shops";
+const ORIGIN_CACHE_MS = 60 * 1000;
+
+/* ======================================================
+   BACKEND — IN-MEMORY (DEV)
+   SHOPS='[{ "shopId": "dev", "name": "Dev Shop",
+             "apiKey": "…", "corsOrigins": ["http://localhost:5173"] }]'
+====================================================== */
+function parseShopsEnv(value) {
+  if (!value) return [];
+
+  let shops;
+  try {
+    shops = JSON.parse(value);
+  } catch {
+    throw new Error("SHOPS must be a JSON array of { shopId, name, apiKey, corsOrigins }");
+  }
+  if (!Array.isArray(shops)) throw new Error("SHOPS must be a JSON array");
+
+  return shops.map((s) => ({
+    shopId: String(s.shopId),
+    name: s.name || String(s.shopId),
+    apiKeyHash: s.apiKey ? hashApiKey(s.apiKey) : null,
+    corsOrigins: parseOrigins(s.corsOrigins),
+    active: s.active !== false
+  }));
+}
+
+function createMemoryBackend() {
+  const shops = parseShopsEnv(process.env.SHOPS);
+
+  return {
+    async findByKeyHash(apiKeyHash) {
+      return shops.find((s) => s.active && s.apiKeyHash === apiKeyHash) || null;
+    },
+
+    async get(shopId) {
+      return shops.find((s) => s.active && s.shopId === shopId) || null;
+    },
+
+    async list() {
+      return shops.filter((s) => s.active);
+    }
+  };
+}
+
+/* ======================================================
+   BACKEND — SUPABASE (PRODUCTION)
+   Table: shops
+     shop_id text pk, name text,
+     api_key_hash text unique (sha256 hex),
+     cors_origins jsonb default '[]',
+     active boolean default true
+====================================================== */
+function fromRow(row) {
+  return {
+    shopId: row.shop_id,
+    name: row.name,
+    apiKeyHash: row.api_key_hash,
+    corsOrigins: parseOrigins(row.cors_origins),
+    active: row.active !== false
+  };
+}
+
+function createSupabaseBackend() {
+  async function findOne(column, value) {
+    const { data, error } = await supabase
+      .from(SHOP_TABLE)
+      .select("*")
+      .eq(column, value)
+      .eq("active", true)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? fromRow(data) : null;
+  }
+
+  return {
+    async findByKeyHash(apiKeyHash) {
+      return findOne("api_key_hash", apiKeyHash);
+    },
+
+    async get(shopId) {
+      return findOne("shop_id", shopId);
+    },
+
+    async list() {
+      const { data, error } = await supabase.from(SHOP_TABLE).select("*").eq("active", true);
+      if (error) throw error;
+      return data.map(fromRow);
+    }
+  };
+}
+
+/* ======================================================
+   BACKEND SELECTION (follows SESSION_STORE unless set)
+====================================================== */
+let backend = null;
+
+function getBackend() {
+  if (!backend) {
+    const kind = process.env.SHOP_STORE || process.env.SESSION_STORE;
+    backend = kind === "supabase" ? createSupabaseBackend() : createMemoryBackend();
+  }
+  return backend;
+}
+
+/* ======================================================
+   PUBLIC API
+====================================================== */
+export async function findShopByApiKey(apiKey) {
+  if (!apiKey) return null;
+  return getBackend().findByKeyHash(hashApiKey(apiKey));
+}
+
+export async function getShop(shopId) {
+  if (!shopId) return null;
+  return getBackend().get(shopId);
+}
+
+// Every active shop's origins — CORS preflight can't tell which
+// shop is calling, so it checks against all of them (cached).
+let originCache = { at: 0, origins: [] };
+
+export async function listShopOrigins() {
+  if (Date.now() - originCache.at < ORIGIN_CACHE_MS) return originCache.origins;
+
+  const shops = await getBackend().list();
+  originCache = { at: Date.now(), origins: [...new Set(shops.flatMap((s) => s.corsOrigins))] };
+  return originCache.origins;
+}
@@ -0,0 +1,144 @@
+// ===========================================================
+// AUTO BRAIN — SAVED DIAGNOSTIC TREES
+// Generated trees + their traversal log, keyed by tree ID,
+// so a tech can work the checklist and resume later.
+// Trees belong to the shop that generated them and expire
+// SESSION_TTL_MS after their last update, like sessions.
+// Backends: "memory" (dev) | "supabase" (production)
+// ===========================================================
+
+import { randomUUID } from "node:crypto";
+import { supabase } from "../services/supabase.service.js";
+import { getSessionTtlMs } from "./session.store.js";
+
+const TREE_TABLE = "diagnostic_trees";
+
+/* ======================================================
+   BACKEND — IN-MEMORY (DEV)
+====================================================== */
+function createMemoryBackend() {
+  const trees = new Map();
+
+  function isExpired(row) {
+    return row.expiresAt <= Date.now();
+  }
+
+  // Nothing lists trees, so expired ones are swept on every save
+  function sweep() {
+    for (const [id, row] of trees) {
+      if (isExpired(row)) trees.delete(id);
+    }
+  }
+
+  return {
+    async get(treeId) {
+      const row = trees.get(treeId);
+      if (!row) return null;
+      if (isExpired(row)) {
+        trees.delete(treeId);
+        return null;
+      }
+      return row;
+    },
+
+    async save(record) {
+      sweep();
+      const now = Date.now();
+      const existing = trees.get(record.treeId);
+      const row = {
+        ...record,
+        createdAt: existing?.createdAt || now,
+        updatedAt: now,
+        expiresAt: now + getSessionTtlMs()
+      };
+      trees.set(record.treeId, row);
+      return row;
+    }
+  };
+}
+
+/* ======================================================
+   BACKEND — SUPABASE (PRODUCTION)
+   Table: diagnostic_trees
+     tree_id text pk, shop_id text, request jsonb, tree jsonb,
+     traversal jsonb, created_at timestamptz,
+     updated_at timestamptz, expires_at timestamptz
+====================================================== */
+function fromRow(row) {
+  return {
+    treeId: row.tree_id,
+    shopId: row.shop_id,
+    request: row.request,
+    tree: row.tree,
+    traversal: row.traversal,
+    createdAt: Date.parse(row.created_at),
+    updatedAt: Date.parse(row.updated_at),
+    expiresAt: Date.parse(row.expires_at)
+  };
+}
+
+function createSupabaseBackend() {
+  return {
+    async get(treeId) {
+      const { data, error } = await supabase
+        .from(TREE_TABLE)
+        .select("*")
+        .eq("tree_id", treeId)
+        .gt("expires_at", new Date().toISOString())
+        .maybeSingle();
+
+      if (error) throw error;
+      return data ? fromRow(data) : null;
+    },
+
+    async save(record) {
+      const now = new Date();
+      const { data, error } = await supabase
+        .from(TREE_TABLE)
+        .upsert({
+          tree_id: record.treeId,
+          shop_id: record.shopId,
+          request: record.request,
+          tree: record.tree,
+          traversal: record.traversal,
+          updated_at: now.toISOString(),
+          expires_at: new Date(now.getTime() + getSessionTtlMs()).toISOString()
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return fromRow(data);
+    }
+  };
+}
+
+/* ======================================================
+   BACKEND SELECTION (follows SESSION_STORE unless set)
+====================================================== */
+let backend = null;
+
+function getBackend() {
+  if (!backend) {
+    const kind = process.env.TREE_STORE || process.env.SESSION_STORE;
+    backend = kind === "supabase" ? createSupabaseBackend() : createMemoryBackend();
+  }
+  return backend;
+}
+
+/* ======================================================
+   PUBLIC API
+====================================================== */
+export async function createTree({ request, tree, traversal, shopId = null }) {
+  return getBackend().save({ treeId: randomUUID(), shopId, request, tree, traversal });
+}
+
+// Another shop's tree reads as missing; shopId null = any shop
+export async function getTree(treeId, { shopId = null } = {}) {
+  const record = await getBackend().get(treeId);
+  return record && (!shopId || record.shopId === shopId) ? record : null;
+}
+
+export async function saveTree(record) {
+  return getBackend().save(record);
+}
@@ -0,0 +1,149 @@
+// ===========================================================
+// AUTO BRAIN — VEHICLE VISIT STORE
+// One row per diagnostic session that knows its VIN, kept
+// after the session itself expires so later visits can see
+// earlier ones (see history.util.js). Visits belong to the
+// shop whose session it was.
+// Backends: "memory" (dev) | "supabase" (production)
+// ===========================================================
+
+import { supabase } from "../services/supabase.service.js";
+
+const VISIT_TABLE = "vehicle_visits";
+
+/* ======================================================
+   BACKEND — IN-MEMORY (DEV)
+====================================================== */
+function createMemoryBackend() {
+  const visits = new Map();
+
+  return {
+    async get(sessionId) {
+      return visits.get(sessionId) || null;
+    },
+
+    async upsert(record) {
+      visits.set(record.sessionId, record);
+      return record;
+    },
+
+    async list({ vin, shopId }) {
+      return [...visits.values()]
+        .filter((v) => v.vin === vin && (!shopId || v.shopId === shopId))
+        .sort((a, b) => Date.parse(b.startedAt) - Date.parse(a.startedAt));
+    }
+  };
+}
+
+/* ======================================================
+   BACKEND — SUPABASE (PRODUCTION)
+   Table: vehicle_visits
+     session_id text pk, shop_id text, vin text,
+     vehicle jsonb,
+     dtcs jsonb, primary_dtc text, domain text,
+     comeback_dtcs jsonb, close_out jsonb,
+     recommendations jsonb,
+     started_at timestamptz, last_seen_at timestamptz
+   Index: (shop_id, vin, started_at desc)
+====================================================== */
+function toRow(record) {
+  return {
+    session_id: record.sessionId,
+    shop_id: record.shopId,
+    vin: record.vin,
+    vehicle: record.vehicle,
+    dtcs: record.dtcs,
+    primary_dtc: record.primaryDTC,
+    domain: record.domain,
+    comeback_dtcs: record.comebackDtcs,
+    close_out: record.closeOut,
+    recommendations: record.recommendations,
+    started_at: record.startedAt,
+    last_seen_at: record.lastSeenAt
+  };
+}
+
+function fromRow(row) {
+  return {
+    sessionId: row.session_id,
+    shopId: row.shop_id,
+    vin: row.vin,
+    vehicle: row.vehicle || {},
+    dtcs: row.dtcs || [],
+    primaryDTC: row.primary_dtc,
+    domain: row.domain,
+    comebackDtcs: row.comeback_dtcs || [],
+    closeOut: row.close_out,
+    recommendations: row.recommendations || [],
+    startedAt: row.started_at,
+    lastSeenAt: row.last_seen_at
+  };
+}
+
+function createSupabaseBackend() {
+  return {
+    async get(sessionId) {
+      const { data, error } = await supabase
+        .from(VISIT_TABLE)
+        .select("*")
+        .eq("session_id", sessionId)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data ? fromRow(data) : null;
+    },
+
+    async upsert(record) {
+      const { data, error } = await supabase
+        .from(VISIT_TABLE)
+        .upsert(toRow(record), { onConflict: "session_id" })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return fromRow(data);
+    },
+
+    async list({ vin, shopId }) {
+      let query = supabase
+        .from(VISIT_TABLE)
+        .select("*")
+        .eq("vin", vin)
+        .order("started_at", { ascending: false });
+      if (shopId) query = query.eq("shop_id", shopId);
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return data.map(fromRow);
+    }
+  };
+}
+
+/* ======================================================
+   BACKEND SELECTION (follows SESSION_STORE unless set)
+====================================================== */
+let backend = null;
+
+function getBackend() {
+  if (!backend) {
+    const kind = process.env.VISIT_STORE || process.env.SESSION_STORE;
+    backend = kind === "supabase" ? createSupabaseBackend() : createMemoryBackend();
+  }
+  return backend;
+}
+
+/* ======================================================
+   PUBLIC API
+====================================================== */
+export async function getVisit(sessionId) {
+  return getBackend().get(sessionId);
+}
+
+export async function saveVisit(record) {
+  return getBackend().upsert(record);
+}
+
+// Newest first; shopId null = every shop
+export async function listVisits({ vin, shopId = null }) {
+  return getBackend().list({ vin, shopId });
+}
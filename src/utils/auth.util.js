@@ -0,0 +1,93 @@
+// ------------------------------------------------------
+// AUTH — API key hashing, Supabase JWT checks, origins
+// Shops call with a per-shop API key (x-api-key) or a
+// Supabase user JWT (Authorization: Bearer). API keys are
+// only ever compared as SHA-256 hashes.
+// ------------------------------------------------------
+
+import { createHash, createHmac, timingSafeEqual } from "node:crypto";
+
+export class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = "AuthError";
+    this.status = status;
+  }
+}
+
+const JWT_AUDIENCE = "authenticated";
+const CLOCK_SKEW_S = 30;
+
+export function hashApiKey(key) {
+  return createHash("sha256").update(String(key)).digest("hex");
+}
+
+// Constant-time comparison for shared secrets of any length
+export function secretsMatch(given, expected) {
+  if (!given || !expected) return false;
+  return timingSafeEqual(
+    createHash("sha256").update(String(given)).digest(),
+    createHash("sha256").update(String(expected)).digest()
+  );
+}
+
+/* ======================================================
+   SUPABASE JWT (HS256, project JWT secret)
+====================================================== */
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+  } catch {
+    throw new AuthError("Malformed token");
+  }
+}
+
+export function looksLikeJwt(token = "") {
+  return /^[\w-]+\.[\w-]+\.[\w-]+$/.test(token);
+}
+
+/*
+Returns the token's claims. Throws AuthError on a bad
+signature, wrong audience or an expired token.
+*/
+export function verifySupabaseJwt(token, secret, now = Date.now()) {
+  if (!looksLikeJwt(token)) throw new AuthError("Malformed token");
+
+  const [header, payload, signature] = token.split(".");
+  if (decodeSegment(header).alg !== "HS256") throw new AuthError("Unsupported token algorithm");
+
+  const expected = createHmac("sha256", secret).update(`${header}.${payload}`).digest();
+  const actual = Buffer.from(signature, "base64url");
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    throw new AuthError("Invalid token signature");
+  }
+
+  const claims = decodeSegment(payload);
+  const nowS = Math.floor(now / 1000);
+  if (!claims.exp || claims.exp + CLOCK_SKEW_S < nowS) throw new AuthError("Token expired");
+  if (![].concat(claims.aud).includes(JWT_AUDIENCE)) throw new AuthError("Token audience not accepted");
+
+  return claims;
+}
+
+// Shop membership lives in app_metadata — users can't edit it
+export function shopIdFromClaims(claims = {}) {
+  return claims.app_metadata?.shop_id || null;
+}
+
+/* ======================================================
+   ORIGINS
+====================================================== */
+// Comma-separated list (or array) -> normalized origins
+export function parseOrigins(value = "") {
+  return [].concat(value || [])
+    .join(",")
+    .split(",")
+    .map((o) => o.trim().replace(/\/+$/, ""))
+    .filter(Boolean);
+}
+
+export function isOriginAllowed(origin, allowed = []) {
+  if (!origin) return true; // not a browser request
+  return allowed.includes("*") || allowed.includes(String(origin).replace(/\/+$/, ""));
+}
@@ -0,0 +1,61 @@
+// ------------------------------------------------------
+// CSV — minimal RFC 4180 parse / build (no dependency)
+// ------------------------------------------------------
+
+export function parseCsv(text = "") {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const src = String(text || "").replace(/^﻿/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') quoted = true;
+    else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((cell) => cell.trim()));
+}
+
+function escapeCell(value) {
+  const s = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCsv(columns = [], rows = []) {
+  const header = columns.map((c) => escapeCell(c.label || c.key)).join(",");
+  const body = rows.map((row) =>
+    columns.map((c) => escapeCell(typeof c.get === "function" ? c.get(row) : row[c.key])).join(",")
+  );
+  return [header, ...body].join("\r\n");
+}
@@ -0,0 +1,282 @@
+// ------------------------------------------------------
+// DTC — local lookup against the dictionary
+// Enhanced (per-make) definitions win over SAE generic.
+// Unknown codes still get a structural read (family,
+// generic vs manufacturer, subsystem) from the code itself.
+// ------------------------------------------------------
+
+import { findDefinition, MAKE_GROUPS } from "../rules/dtc.dictionary.js";
+import {
+  DTC_TIERS,
+  TIER_ORDER,
+  DTC_CAUSE_RULES,
+  MISFIRE_SPREAD_LIMIT
+} from "../rules/dtc.priority.js";
+import { normalizeMake } from "./vehicle.util.js";
+
+export const DTC_PATTERN = /^[PBCU][0-3][0-9A-F]{3}$/;
+
+const FAMILIES = {
+  P: "powertrain",
+  B: "body",
+  C: "chassis",
+  U: "network"
+};
+
+// SAE J2012 — third character of P0/P2 codes
+const POWERTRAIN_SUBSYSTEMS = {
+  0: "fuel and air metering / auxiliary emission controls",
+  1: "fuel and air metering",
+  2: "fuel and air metering (injector circuit)",
+  3: "ignition system or misfire",
+  4: "auxiliary emission controls",
+  5: "vehicle speed, idle control and auxiliary inputs",
+  6: "computer and output circuits",
+  7: "transmission",
+  8: "transmission",
+  9: "transmission",
+  A: "hybrid propulsion"
+};
+
+export function normalizeDtc(codeRaw = "") {
+  return String(codeRaw || "").trim().toUpperCase();
+}
+
+export function isValidDtc(codeRaw) {
+  return DTC_PATTERN.test(normalizeDtc(codeRaw));
+}
+
+// Scan reports in free text -> unique codes in report order
+export function extractDTCs(text = "") {
+  const codes = Array.from(String(text || "").matchAll(/\b([PBUC][0-3][0-9A-F]{3})\b/gi)).map(
+    (x) => x[1].toUpperCase()
+  );
+  return [...new Set(codes)];
+}
+
+export function getMakeGroup(make) {
+  const m = normalizeMake(make);
+  return MAKE_GROUPS[m] || null;
+}
+
+// P0/P2/P34-P39 and B0/C0/U0/U3 are SAE-controlled; 1 (and P3 low) are manufacturer
+function isManufacturerControlled(code) {
+  if (code[1] === "1") return true;
+  if (code[0] === "P" && code[1] === "3") return !/^P3[4-9]/.test(code);
+  if (code[0] !== "P" && code[1] === "2") return true;
+  return false;
+}
+
+export function describeCodeStructure(codeRaw) {
+  const code = normalizeDtc(codeRaw);
+
+  return {
+    family: FAMILIES[code[0]] || null,
+    controlledBy: isManufacturerControlled(code) ? "manufacturer" : "sae",
+    subsystem: code[0] === "P" ? POWERTRAIN_SUBSYSTEMS[code[2]] || null : null
+  };
+}
+
+/*
+Returns:
+{ code, known, description, system, monitor, source, make, structure }
+known=false -> no local definition; the caller must not invent one.
+*/
+export function lookupDTC(codeRaw, { make } = {}) {
+  const code = normalizeDtc(codeRaw);
+  const makeGroup = getMakeGroup(make);
+  const structure = describeCodeStructure(code);
+  const definition = findDefinition(code, makeGroup);
+
+  if (!definition) {
+    return {
+      code,
+      known: false,
+      description: null,
+      system: structure.family,
+      monitor: null,
+      source: null,
+      make: makeGroup,
+      structure
+    };
+  }
+
+  return {
+    code,
+    known: true,
+    ...definition,
+    make: makeGroup,
+    structure
+  };
+}
+
+/* ======================================================
+   ROOT-CAUSE ORDERING (multiple DTCs)
+====================================================== */
+const SPECIFIC_MISFIRE = /^P030[1-9]$|^P031[0-2]$/;
+
+const ROLE_LABELS = {
+  root_cause: "likely root cause",
+  independent: "independent",
+  possible_symptom: "possibly downstream",
+  symptom: "likely downstream"
+};
+
+export function getDtcTier(code) {
+  return DTC_TIERS.find((t) => t.rx?.test(code))?.id || "component";
+}
+
+function tierIndex(code) {
+  return TIER_ORDER.indexOf(getDtcTier(code));
+}
+
+// P0300 is a count, not a location — how it relates to the
+// cylinder codes depends on how many cylinders are named.
+function misfireLinks(codes) {
+  if (!codes.includes("P0300")) return [];
+
+  const specific = codes.filter((c) => SPECIFIC_MISFIRE.test(c));
+  if (!specific.length) return [];
+
+  if (specific.length <= MISFIRE_SPREAD_LIMIT) {
+    return specific.map((c) => ({
+      cause: c,
+      effect: "P0300",
+      rule: "misfire_located",
+      strength: "likely",
+      reason: `P0300 is the summary count — cylinder ${Number(c.slice(3))} is where the misfire is`
+    }));
+  }
+
+  return specific.map((c) => ({
+    cause: "P0300",
+    effect: c,
+    rule: "misfire_spread",
+    strength: "possible",
+    reason: "misfire on several cylinders points to a shared cause (fuel, vacuum, ignition supply)"
+  }));
+}
+
+function findCauseLinks(codes) {
+  const links = [];
+
+  for (const rule of DTC_CAUSE_RULES) {
+    for (const cause of codes) {
+      if (!rule.cause.test(cause)) continue;
+
+      for (const effect of codes) {
+        if (effect === cause || !rule.effect.test(effect)) continue;
+        if (rule.match && !rule.match(cause, effect)) continue;
+
+        links.push({ cause, effect, rule: rule.id, strength: rule.strength, reason: rule.reason });
+      }
+    }
+  }
+
+  // A later tier never explains an earlier one (breaks voltage <-> network loops)
+  return [...links, ...misfireLinks(codes)].filter(
+    (l) => tierIndex(l.cause) <= tierIndex(l.effect)
+  );
+}
+
+function roleOf(code, links) {
+  const causedBy = links.filter((l) => l.effect === code);
+  if (causedBy.some((l) => l.strength === "likely")) return "symptom";
+  if (causedBy.length) return "possible_symptom";
+  if (links.some((l) => l.cause === code)) return "root_cause";
+  return "independent";
+}
+
+function groupCodes(ordered, links) {
+  const groupOf = new Map(ordered.map((c) => [c, c]));
+  const find = (c) => (groupOf.get(c) === c ? c : find(groupOf.get(c)));
+
+  for (const { cause, effect } of links) {
+    const a = find(cause);
+    const b = find(effect);
+    if (a !== b) groupOf.set(b, a);
+  }
+
+  const groups = new Map();
+  for (const code of ordered) {
+    const key = find(code);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(code);
+  }
+
+  return [...groups.values()].map((codes) => ({ lead: codes[0], codes }));
+}
+
+function explainPrimary(primary, ordered, links) {
+  if (ordered.length < 2) return null;
+
+  // Reasons for the codes that come right after the primary read first
+  const explains = links
+    .filter((l) => l.cause === primary.code)
+    .sort((a, b) => ordered.indexOf(a.effect) - ordered.indexOf(b.effect));
+
+  if (explains.length) {
+    const effects = [...new Set(explains.map((l) => l.effect))];
+    const reasons = [...new Set(explains.map((l) => l.reason))].slice(0, 2);
+    return `${primary.code} first: ${reasons.join("; ")} (explains ${effects.join(", ")}).`;
+  }
+
+  const sameTier = ordered.every((c) => getDtcTier(c) === primary.tier);
+  return sameTier
+    ? `${primary.code} first: no code here explains the others — separate faults, taken in report order.`
+    : `${primary.code} first: no code here explains the others, so start at the earliest system (${primary.tier.replace(/_/g, " ")}).`;
+}
+
+/*
+Returns:
+{ ordered, primary, reason, codes: [{ code, tier, role, causedBy }], groups: [{ lead, codes }] }
+Likely symptoms sort last; everything else by tier, then report order.
+*/
+export function prioritizeDTCs(codesRaw = []) {
+  const codes = [...new Set(codesRaw.map(normalizeDtc).filter(Boolean))];
+  const links = findCauseLinks(codes);
+
+  const entries = codes
+    .map((code, index) => ({
+      code,
+      index,
+      tier: getDtcTier(code),
+      role: roleOf(code, links),
+      causedBy: links
+        .filter((l) => l.effect === code)
+        .map(({ cause, strength, reason }) => ({ code: cause, strength, reason }))
+    }))
+    .sort(
+      (a, b) =>
+        (a.role === "symptom") - (b.role === "symptom") ||
+        tierIndex(a.code) - tierIndex(b.code) ||
+        a.index - b.index
+    );
+
+  const ordered = entries.map((e) => e.code);
+  const primary = entries[0] || null;
+
+  return {
+    ordered,
+    primary: primary?.code || null,
+    reason: primary ? explainPrimary(primary, ordered, links) : null,
+    codes: entries.map(({ index, ...e }) => e),
+    groups: groupCodes(ordered, links)
+  };
+}
+
+export function describeDtcPriority(priority) {
+  if (!priority?.reason) return "";
+
+  const downstream = priority.codes
+    .filter((c) => c.role === "symptom" || c.role === "possible_symptom")
+    .map((c) => `${c.code} (${ROLE_LABELS[c.role]} of ${c.causedBy.map((x) => x.code).join("/")})`);
+
+  return [
+    `Root-cause order: ${priority.ordered.join(" → ")}`,
+    priority.reason,
+    downstream.length ? `Downstream: ${downstream.join(", ")}.` : null
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
@@ -1,14 +1,8 @@
 // ------------------------------------------------------
-// ENGINE MAP — fallback inference
+// ENGINE CLASSIFIERS — decoded engine -> diagnostic traits
+// (YMM fallback inference lives in rules/vehicle.engines.js)
 // ------------------------------------------------------
 
-
-
-export const ENGINE_MAP = {
-  "2013|Chevrolet|Tahoe": "5.3L V8",
-  "2013|Chevy|Tahoe": "5.3L V8"
-};
-
 export function classifyGMEngine(engineModelRaw, displacementLRaw) {
   if (!engineModelRaw) return null;
 
@@ -85,3 +79,456 @@ export function classifyGMEngine(engineModelRaw, displacementLRaw) {
     notes
   };
 }
+
+// ------------------------------------------------------
+// MULTI-OEM CLASSIFIER REGISTRY
+// Every classifier reports the same traits so downstream
+// diagnostics never care which OEM decoded the engine.
+// ------------------------------------------------------
+
+/*
+spec (from vPIC):
+  engineModel  — "Engine Model" (RPO / engine code when the OEM reports it)
+  displacement — "Displacement (L)"
+  fuelType     — "Fuel Type - Primary"
+  turbo        — "Turbo" ("Yes" / "No" / "")
+  otherInfo    — "Other Engine Info"
+  cylinders    — "Engine Number of Cylinders"
+  year, model
+*/
+
+function baseTraits(spec = {}) {
+  return {
+    manufacturer: "",
+    code: String(spec.engineModel || "").trim().toUpperCase(),
+    family: "",
+    generation: "",
+    displacement_l: spec.displacement ? String(spec.displacement) : "",
+    has_afm: false,
+    has_cylinder_deactivation: false,
+    cylinder_deactivation: null,   // "AFM" | "DFM" | "MDS" | "VCM" | "ACT" | null
+    is_direct_injected: false,
+    is_turbo: /yes|turbo/i.test(spec.turbo || ""),
+    is_supercharged: false,
+    is_diesel: /diesel/i.test(spec.fuelType || ""),
+    notes: ""
+  };
+}
+
+function dispIs(spec, ...values) {
+  const d = parseFloat(spec.displacement);
+  return Number.isFinite(d) && values.some((v) => Math.abs(d - v) < 0.05);
+}
+
+function textOf(spec) {
+  return `${spec.engineModel || ""} ${spec.otherInfo || ""}`;
+}
+
+// Engine code match, limited to the model years that code was built
+// with a given trait (an unknown year trusts the code).
+function codeIn(spec, rx, [from, to] = []) {
+  if (!rx.test(spec.engineModel || "")) return false;
+
+  const year = parseInt(spec.year, 10);
+  if (!Number.isFinite(year)) return true;
+  return (!from || year >= from) && (!to || year <= to);
+}
+
+// First matching entry wins; unmatched engines still get base traits.
+function runTable(table, manufacturer, spec) {
+  const traits = { ...baseTraits(spec), manufacturer };
+  const entry = table.find((e) => e.when(spec, traits));
+  if (!entry) return traits;
+
+  const { when, ...found } = entry;
+  const merged = { ...traits, ...found };
+  merged.has_cylinder_deactivation = Boolean(merged.cylinder_deactivation);
+  merged.has_afm = merged.has_cylinder_deactivation;
+  return merged;
+}
+
+/* ======================================================
+   GM — wraps the RPO-code classifier above
+====================================================== */
+function classifyGM(spec) {
+  const gm = classifyGMEngine(spec.engineModel, spec.displacement);
+  const traits = { ...baseTraits(spec), manufacturer: "gm" };
+  if (!gm) return traits;
+
+  return {
+    ...traits,
+    ...gm,
+    family: gm.generation ? "Small Block V8" : "",
+    has_cylinder_deactivation: gm.has_afm,
+    cylinder_deactivation: gm.has_afm ? "AFM" : null
+  };
+}
+
+/* ======================================================
+   FORD / LINCOLN
+====================================================== */
+const FORD_ENGINES = [
+  {
+    when: (s) => dispIs(s, 6.7) && (/power ?stroke/i.test(textOf(s)) || /diesel/i.test(s.fuelType || "")),
+    family: "Power Stroke",
+    generation: "6.7L Scorpion",
+    is_diesel: true,
+    is_turbo: true,
+    is_direct_injected: true,
+    notes: "6.7 Power Stroke — CP4.2 HPFP failures (fuel contamination), EGT/NOx sensors, DEF heater."
+  },
+  {
+    when: (s) => /diesel/i.test(s.fuelType || "") && dispIs(s, 6.4),
+    family: "Power Stroke",
+    generation: "6.4L",
+    is_diesel: true,
+    is_turbo: true,
+    notes: "6.4 Power Stroke — radiator/EGR cooler leaks, DPF regen fuel dilution, up-pipe leaks."
+  },
+  {
+    when: (s) => /diesel/i.test(s.fuelType || "") && dispIs(s, 6.0),
+    family: "Power Stroke",
+    generation: "6.0L",
+    is_diesel: true,
+    is_turbo: true,
+    notes: "6.0 Power Stroke — FICM voltage, EGR cooler, oil cooler, head gasket/TTY bolts."
+  },
+  {
+    when: (s) => /diesel/i.test(s.fuelType || "") && dispIs(s, 7.3),
+    family: "Power Stroke",
+    generation: "7.3L",
+    is_diesel: true,
+    is_turbo: true,
+    notes: "7.3 Power Stroke — IPR valve, ICP sensor, cam position sensor, UVCH harness."
+  },
+  {
+    when: (s) => /ecoboost/i.test(textOf(s)) || (/yes/i.test(s.turbo || "") && !/diesel/i.test(s.fuelType || "")),
+    family: "EcoBoost",
+    is_turbo: true,
+    is_direct_injected: true,
+    notes: "EcoBoost — intake valve carbon, timing chain stretch (3.5 gen 1), cam phaser rattle (3.5 gen 2), coolant intrusion (1.5/1.6/2.0)."
+  },
+  {
+    when: (s) => dispIs(s, 5.0) && !/diesel/i.test(s.fuelType || ""),
+    family: "Coyote",
+    notes: "5.0 Coyote — Gen 3 (2018+) dual injection & oil consumption, ticking at cold start."
+  },
+  {
+    when: (s) => dispIs(s, 5.4),
+    family: "Modular / Triton",
+    generation: "3V",
+    notes: "5.4 3V Triton — cam phasers / VCT solenoids, timing chain guides, broken spark plugs."
+  },
+  {
+    when: (s) => dispIs(s, 6.2),
+    family: "Boss 6.2",
+    notes: "6.2 Boss — generally robust; check plugs/coils and rocker arms on high mileage."
+  },
+  {
+    when: (s) => dispIs(s, 7.3) && !/diesel/i.test(s.fuelType || ""),
+    family: "Godzilla",
+    notes: "7.3 gas (Godzilla) — pushrod V8, port injected."
+  }
+];
+
+function classifyFord(spec) {
+  return runTable(FORD_ENGINES, "ford", spec);
+}
+
+/* ======================================================
+   STELLANTIS (Chrysler / Dodge / Jeep / Ram)
+====================================================== */
+const STELLANTIS_ENGINES = [
+  {
+    when: (s) => /cummins/i.test(textOf(s)) || (/diesel/i.test(s.fuelType || "") && dispIs(s, 6.7, 5.9)),
+    family: "Cummins",
+    is_diesel: true,
+    is_turbo: true,
+    notes: "Cummins — EGR cooler/valve, DPF/DEF faults (6.7), injector return flow, lift pump."
+  },
+  {
+    when: (s) => /ecodiesel/i.test(textOf(s)) || (/diesel/i.test(s.fuelType || "") && dispIs(s, 3.0)),
+    family: "EcoDiesel",
+    is_diesel: true,
+    is_turbo: true,
+    notes: "3.0 EcoDiesel — EGR cooler failures, oil cooler leaks, crankshaft/bearing concerns."
+  },
+  {
+    when: (s) => /hellcat|supercharg/i.test(textOf(s)) || dispIs(s, 6.2),
+    family: "Hemi",
+    generation: "6.2 Supercharged",
+    is_supercharged: true,
+    notes: "6.2 Supercharged Hemi — supercharger isolator rattle, lifter concerns."
+  },
+  {
+    when: (s) => /hemi/i.test(textOf(s)) || dispIs(s, 5.7, 6.4),
+    family: "Hemi",
+    cylinder_deactivation: "MDS",
+    notes: "Hemi MDS — lifter roller / cam lobe failure ('Hemi tick'), exhaust manifold bolts, MDS solenoid faults."
+  },
+  {
+    when: (s) => /pentastar/i.test(textOf(s)) || dispIs(s, 3.6),
+    family: "Pentastar",
+    notes: "3.6 Pentastar — left head rocker arm/valve seat (2011-13), oil filter housing/cooler leaks."
+  },
+  {
+    when: (s) => dispIs(s, 2.0) && /yes/i.test(s.turbo || ""),
+    family: "GME 2.0T",
+    is_turbo: true,
+    is_direct_injected: true,
+    notes: "2.0T GME — eTorque belt-starter generator faults, coolant leaks at the turbo."
+  }
+];
+
+function classifyStellantis(spec) {
+  return runTable(STELLANTIS_ENGINES, "stellantis", spec);
+}
+
+/* ======================================================
+   TOYOTA / LEXUS
+====================================================== */
+const TOYOTA_ENGINES = [
+  {
+    when: (s) => /V35A/i.test(s.engineModel || ""),
+    family: "V35A",
+    is_turbo: true,
+    is_direct_injected: true,
+    notes: "V35A twin-turbo — main bearing / machining debris recall, check campaign status."
+  },
+  {
+    when: (s) =>
+      codeIn(s, /2GR-F(KS|XS)/i, [2016]) || codeIn(s, /2GR-FSE/i, [2006]) || codeIn(s, /A25A/i, [2018]),
+    family: "D-4S",
+    is_direct_injected: true,
+    notes: "D-4S (port + direct) — DI injector leaks, water pump, VVT actuator noise."
+  },
+  {
+    when: (s) => codeIn(s, /2GR-FE/i, [2005, 2019]),
+    family: "GR",
+    notes: "2GR-FE — VVT-i rubber oil line (early), water pump, timing cover leaks."
+  },
+  {
+    // Bare "2GR" / 3.5L: FE is port injected, FKS / FXS / FSE are D-4S — don't guess
+    when: (s) => /2GR/i.test(s.engineModel || "") || dispIs(s, 3.5),
+    family: "GR",
+    notes: "2GR 3.5 V6 — injection depends on the variant (FE port; FKS / FXS / FSE D-4S). Confirm the engine code before fuel-system work."
+  },
+  {
+    when: (s) => /3UR/i.test(s.engineModel || "") || dispIs(s, 5.7),
+    family: "UR",
+    notes: "3UR-FE — secondary air injection pump/valve failure (P2440/P2442), water pump."
+  },
+  {
+    when: (s) => /1GR/i.test(s.engineModel || "") || dispIs(s, 4.0),
+    family: "GR",
+    notes: "1GR-FE — head gasket (early), spark plug access, cam tower leaks."
+  },
+  {
+    when: (s) => /2AR|2ZR|1ZZ/i.test(s.engineModel || ""),
+    family: "AR/ZR",
+    notes: "Toyota I4 — oil consumption (2AR/2AZ), water pump, VVT solenoid."
+  }
+];
+
+function classifyToyota(spec) {
+  return runTable(TOYOTA_ENGINES, "toyota", spec);
+}
+
+/* ======================================================
+   HONDA / ACURA
+====================================================== */
+// J-series variants built with VCM, by code and model years
+const HONDA_VCM_CODES = [
+  [/J35A7/i, [2005, 2007]],
+  [/J35Z[12]/i, [2006, 2012]],
+  [/J35Z[48]/i, [2009, 2017]],
+  [/J35Y[1-6]/i, [2013]]
+];
+
+const HONDA_ENGINES = [
+  {
+    when: (s) => HONDA_VCM_CODES.some(([rx, years]) => codeIn(s, rx, years)),
+    family: "J-series",
+    generation: "i-VTEC VCM",
+    cylinder_deactivation: "VCM",
+    notes: "J35 VCM — rear-bank plug fouling/oil consumption, piston ring sticking, motor mount wear, VCM-related misfires."
+  },
+  {
+    // J37 and the non-VCM J35s (Ridgeline, early Pilot / Odyssey)
+    when: (s) => /J35|J37/i.test(s.engineModel || "") || dispIs(s, 3.5, 3.7),
+    family: "J-series",
+    generation: "i-VTEC",
+    notes: "J-series V6 — timing belt / water pump interval, EGR port clogging, motor mounts. VCM only on some J35 variants — confirm the engine code."
+  },
+  {
+    // Turbo L15s only — the NA L15A / L15B (Fit, HR-V) fall through
+    when: (s) => /L15(B7|BE|CA)/i.test(s.engineModel || "") || (dispIs(s, 1.5) && /yes/i.test(s.turbo || "")),
+    family: "L-series",
+    generation: "1.5T",
+    is_turbo: true,
+    is_direct_injected: true,
+    notes: "L15B7 1.5T — fuel in oil (oil dilution) in cold climates, DI injector seals."
+  },
+  {
+    when: (s) => /K20C/i.test(s.engineModel || "") || (dispIs(s, 2.0) && /yes/i.test(s.turbo || "")),
+    family: "K-series",
+    generation: "2.0T",
+    is_turbo: true,
+    is_direct_injected: true,
+    notes: "K20C 2.0T — wastegate actuator, DI injector seals."
+  },
+  {
+    when: (s) => /K24|K20/i.test(s.engineModel || "") || dispIs(s, 2.4),
+    family: "K-series",
+    generation: "i-VTEC",
+    notes: "K24 — VTC actuator rattle at cold start, AC compressor clutch, valve lash."
+  },
+  {
+    when: (s) => /R18|R20/i.test(s.engineModel || ""),
+    family: "R-series",
+    generation: "i-VTEC",
+    notes: "R18 — valve lash (tight exhaust valves), motor mounts."
+  }
+];
+
+function classifyHonda(spec) {
+  return runTable(HONDA_ENGINES, "honda", spec);
+}
+
+/* ======================================================
+   EUROPEAN (VW/Audi, BMW/MINI, Mercedes-Benz)
+====================================================== */
+const EUROPEAN_ENGINES = [
+  {
+    when: (s) => /EA888|CCTA|CBFA|CPKA|CJXC|CNTC|DKTB/i.test(textOf(s)) || (s.group === "vag" && dispIs(s, 1.8, 2.0) && /yes/i.test(s.turbo || "")),
+    family: "EA888",
+    is_turbo: true,
+    is_direct_injected: true,
+    notes: "EA888 TSI — timing chain tensioner (gen 1/2), PCV valve, plastic water pump/thermostat housing, intake valve carbon."
+  },
+  {
+    when: (s) => /EA113|BPY|FSI/i.test(textOf(s)),
+    family: "EA113",
+    is_turbo: true,
+    is_direct_injected: true,
+    notes: "EA113 2.0T FSI — cam follower / HPFP wear, diverter valve, PCV."
+  },
+  {
+    when: (s) => /CGWA|CGXC|CREC|3\.0 ?TFSI/i.test(textOf(s)),
+    family: "3.0 TFSI",
+    is_supercharged: true,
+    is_direct_injected: true,
+    notes: "Audi 3.0 TFSI — thermostat / water pump, supercharger isolator, carbon buildup."
+  },
+  {
+    when: (s) => /N54/i.test(s.engineModel || ""),
+    family: "N54",
+    is_turbo: true,
+    is_direct_injected: true,
+    notes: "BMW N54 — HPFP failure, piezo injectors, wastegate rattle, water pump."
+  },
+  {
+    when: (s) => /N55/i.test(s.engineModel || ""),
+    family: "N55",
+    is_turbo: true,
+    is_direct_injected: true,
+    notes: "BMW N55 — electric water pump, VANOS solenoids, oil filter housing gasket."
+  },
+  {
+    when: (s) => /B58|B48|B46/i.test(s.engineModel || ""),
+    family: "B-series",
+    is_turbo: true,
+    is_direct_injected: true,
+    notes: "BMW B58/B48 — coolant expansion tank / pipe leaks, oil filter housing gasket."
+  },
+  {
+    when: (s) => /N20|N26/i.test(s.engineModel || ""),
+    family: "N20",
+    is_turbo: true,
+    is_direct_injected: true,
+    notes: "BMW N20 — timing chain guide failure (listen for whine), oil filter housing gasket."
+  },
+  {
+    when: (s) => /N63|S63/i.test(s.engineModel || ""),
+    family: "N63",
+    is_turbo: true,
+    is_direct_injected: true,
+    notes: "BMW N63 — valve stem seals, injectors, coolant hoses in the hot-vee, timing chains."
+  },
+  {
+    when: (s) => /M27[23]/i.test(s.engineModel || ""),
+    family: "M272/M273",
+    notes: "Mercedes M272/M273 — balance shaft / idler gear wear (P0016/P0017), intake manifold flaps."
+  },
+  {
+    when: (s) => /M276|M278/i.test(s.engineModel || ""),
+    family: "M276/M278",
+    is_direct_injected: true,
+    notes: "Mercedes M276/M278 — timing chain stretch, cam adjuster magnets leaking oil."
+  },
+  {
+    when: (s) => /OM642|OM651|OM656/i.test(s.engineModel || ""),
+    family: "BlueTEC",
+    is_diesel: true,
+    is_turbo: true,
+    notes: "Mercedes BlueTEC diesel — oil cooler seals, NOx sensors, DEF heater / pump."
+  }
+];
+
+function classifyEuropean(group) {
+  return (spec) => runTable(EUROPEAN_ENGINES, group, { ...spec, group });
+}
+
+/* ======================================================
+   REGISTRY — decoded make -> classifier
+====================================================== */
+export const ENGINE_CLASSIFIERS = {
+  chevrolet: classifyGM,
+  gmc: classifyGM,
+  cadillac: classifyGM,
+  buick: classifyGM,
+  pontiac: classifyGM,
+  hummer: classifyGM,
+  saturn: classifyGM,
+
+  ford: classifyFord,
+  lincoln: classifyFord,
+  mercury: classifyFord,
+
+  chrysler: classifyStellantis,
+  dodge: classifyStellantis,
+  jeep: classifyStellantis,
+  ram: classifyStellantis,
+
+  toyota: classifyToyota,
+  lexus: classifyToyota,
+  scion: classifyToyota,
+
+  honda: classifyHonda,
+  acura: classifyHonda,
+
+  volkswagen: classifyEuropean("vag"),
+  audi: classifyEuropean("vag"),
+  bmw: classifyEuropean("bmw"),
+  mini: classifyEuropean("bmw"),
+  "mercedes-benz": classifyEuropean("mercedes")
+};
+
+export function classifyEngine({ make, ...spec } = {}) {
+  if (!spec.engineModel && !spec.displacement) return null;
+
+  const key = String(make || "").trim().toLowerCase();
+  const classifier = ENGINE_CLASSIFIERS[key];
+
+  return classifier ? classifier(spec) : { ...baseTraits(spec), manufacturer: key };
+}
+
+// Human-readable engine string from decoded traits
+export function describeEngine(details, fallback = "") {
+  if (!details) return fallback;
+
+  const disp = details.displacement_l ? `${details.displacement_l}L` : "";
+  const name = details.code || details.family;
+
+  return [disp, name].filter(Boolean).join(" ") || fallback;
+}
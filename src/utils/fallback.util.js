@@ -0,0 +1,101 @@
+// ------------------------------------------------------
+// FALLBACK — deterministic replies when the model is down
+// Questions come from the intent/tier templates, DTC
+// explanations from the local dictionary, trees from the
+// domain's intent ladder. Callers mark the reply degraded.
+// ------------------------------------------------------
+
+import { getIntentCatalog, getIntentMeta } from "../rules/domain.catalogs.js";
+import {
+  TIER_TEMPLATES,
+  TIER_TOOLS,
+  INTENT_QUESTIONS,
+  FALLBACK_QUESTION
+} from "../rules/fallback.templates.js";
+import { lookupDTC } from "./dtc.util.js";
+import { normalizeTree, TREE_END } from "./tree.util.js";
+
+const label = (value = "") => value.replace(/_/g, " ");
+
+/* ======================================================
+   DTC EXPLANATION
+====================================================== */
+export function fallbackDTCExplanation(code, vehicle = {}) {
+  const entry = lookupDTC(code, { make: vehicle.make });
+
+  if (!entry.known) {
+    const { controlledBy, family, subsystem } = entry.structure;
+    return `${entry.code} is not in the local code dictionary (${controlledBy}-defined ${family || "unknown"} code${
+      subsystem ? `, ${subsystem}` : ""
+    }). Confirm the exact definition in OEM service info.`;
+  }
+
+  const source = entry.source.startsWith("enhanced:") ? `${vehicle.make || "manufacturer"} enhanced code` : "SAE definition";
+  return `${entry.code}: ${entry.description}. System: ${label(entry.system)}; monitor: ${label(entry.monitor)} (${source}).`;
+}
+
+/* ======================================================
+   QUESTION
+   Failed measurements keep the tech on the same step.
+====================================================== */
+export function fallbackQuestion({ domain, intent, testResults = [] }) {
+  const meta = getIntentMeta(domain, intent);
+  if (!meta) return FALLBACK_QUESTION;
+
+  const tier = TIER_TEMPLATES[meta.tier];
+  const question =
+    INTENT_QUESTIONS[`${domain}.${intent}`] ||
+    INTENT_QUESTIONS[intent] ||
+    `${tier.lead} ${meta.focus} ${tier.close}`;
+
+  const failed = testResults.filter((r) => r.status === "fail");
+  if (!failed.length) return question;
+
+  const kinds = [...new Set(failed.map((r) => label(r.kind).toUpperCase()))].join(", ");
+  return `${kinds} failed — isolate it before moving on. ${question}`;
+}
+
+/* ======================================================
+   DIAGNOSTIC TREE
+   The domain ladder as a linear tree: a failed check ends
+   it, a passed check moves up the ladder. Causes are not
+   ranked.
+====================================================== */
+function fallbackCauses(dtcs, vehicle) {
+  if (!dtcs.length) {
+    return [{ cause: "Not ranked — model unavailable", confidence: 0, notes: "Work the tests in order." }];
+  }
+
+  return dtcs.map((code) => {
+    const entry = lookupDTC(code, { make: vehicle.make });
+    return {
+      cause: entry.known ? `${entry.description} (${entry.code})` : `${entry.code} — definition not on file`,
+      confidence: 0,
+      notes: "Not ranked — model unavailable"
+    };
+  });
+}
+
+export function buildFallbackTree({ message = "", domain, dtcs = [], vehicle = {} }) {
+  const tests = Object.entries(getIntentCatalog(domain)).map(([intent, meta], i) => ({
+    id: `T${i + 1}`,
+    test: label(intent).replace(/^\w/, (c) => c.toUpperCase()),
+    why: `${TIER_TEMPLATES[meta.tier].lead.replace(/:$/, "")} — ${label(meta.tier)} on the ${label(domain || "generic")} ladder`,
+    how: fallbackQuestion({ domain, intent }),
+    tools: TIER_TOOLS[meta.tier]
+  }));
+
+  const branching = tests.flatMap((t, i) => [
+    { from: t.id, if: "Fails — fault located here", next: TREE_END },
+    { from: t.id, if: "Passes — within spec", next: tests[i + 1]?.id || TREE_END }
+  ]);
+
+  return normalizeTree({
+    symptom_summary: String(message).trim().slice(0, 200) || "No symptom given",
+    likely_causes: fallbackCauses(dtcs, vehicle),
+    tests,
+    branching_logic: branching,
+    red_flags: [],
+    recommended_next_steps: ["Re-run the tree once the model is back for ranked causes"]
+  });
+}
@@ -0,0 +1,176 @@
+// ------------------------------------------------------
+// FEEDBACK — validation, email digest, admin summary
+// A tech rates one GRIT reply (up/down), picks what was
+// wrong with it and may send a correction. Everything that
+// reaches the email is HTML-escaped.
+// ------------------------------------------------------
+
+export class FeedbackValidationError extends Error {
+  constructor(errors = []) {
+    super(`Invalid feedback: ${errors.join("; ")}`);
+    this.name = "FeedbackValidationError";
+    this.status = 400;
+    this.errors = errors;
+  }
+}
+
+export const FEEDBACK_RATINGS = ["up", "down"];
+export const FEEDBACK_CATEGORIES = ["wrong_info", "unsafe", "unhelpful", "other"];
+
+const TEXT_LIMIT = 4000;
+const ID_LIMIT = 200;
+
+/* ======================================================
+   VALIDATION
+   Legacy clients send { feedback: "text" } — kept as comment.
+====================================================== */
+function optionalText(value, field, limit, errors) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== "string") {
+    errors.push(`${field} must be a string`);
+    return null;
+  }
+
+  const text = value.trim();
+  if (text.length > limit) errors.push(`${field} must be at most ${limit} characters`);
+  return text || null;
+}
+
+/*
+Returns { sessionId, replyId, rating, category, comment, correction, vehicle }.
+Throws FeedbackValidationError.
+*/
+export function validateFeedback(body = {}) {
+  const errors = [];
+
+  const sessionId = optionalText(body.sessionId, "sessionId", ID_LIMIT, errors);
+  const replyId = optionalText(body.replyId, "replyId", ID_LIMIT, errors);
+  const comment = optionalText(body.comment ?? body.feedback, "comment", TEXT_LIMIT, errors);
+  const correction = optionalText(body.correction, "correction", TEXT_LIMIT, errors);
+
+  const rating = body.rating ?? null;
+  if (rating !== null && !FEEDBACK_RATINGS.includes(rating)) {
+    errors.push(`rating must be one of: ${FEEDBACK_RATINGS.join(", ")}`);
+  }
+
+  const category = body.category ?? null;
+  if (category !== null && !FEEDBACK_CATEGORIES.includes(category)) {
+    errors.push(`category must be one of: ${FEEDBACK_CATEGORIES.join(", ")}`);
+  }
+
+  if (replyId && !sessionId) errors.push("replyId requires sessionId");
+  if (!rating && !comment && !correction) errors.push("rating, comment or correction is required");
+
+  const vehicle = body.vehicleContext && typeof body.vehicleContext === "object" ? body.vehicleContext : null;
+
+  if (errors.length) throw new FeedbackValidationError(errors);
+  return { sessionId, replyId, rating, category, comment, correction, vehicle };
+}
+
+/* ======================================================
+   EMAIL DIGEST
+====================================================== */
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+export function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, (c) => HTML_ESCAPES[c]);
+}
+
+function describeVehicle(v) {
+  return [v?.year, v?.make, v?.model, v?.engine].filter(Boolean).join(" ") || "—";
+}
+
+function digestRows(record) {
+  const c = record.context;
+  return [
+    ["Rating", record.rating === "up" ? "👍 up" : record.rating === "down" ? "👎 down" : "—"],
+    ["Category", record.category ? record.category.replace(/_/g, " ") : "—"],
+    ["Vehicle", describeVehicle(c.vehicle)],
+    ["DTCs", c.dtcs.length ? c.dtcs.join(", ") : "—"],
+    ["Domain / step", [c.domain, c.intent, c.tier].filter(Boolean).join(" / ") || "—"],
+    ["Ruleset", record.rulesetVersion],
+    ["Shop", record.shopId || "—"],
+    ["Session", record.sessionId || "—"],
+    ["Reply", record.replyId || "—"]
+  ];
+}
+
+function block(title, text) {
+  return text ? `<h3>${escapeHtml(title)}</h3><p>${escapeHtml(text).replace(/\n/g, "<br>")}</p>` : "";
+}
+
+export function buildFeedbackEmail(record) {
+  const c = record.context;
+  const flag = record.category === "unsafe" ? "[UNSAFE] " : "";
+  const subject = `${flag}GRIT feedback${record.rating ? ` (${record.rating})` : ""} — ${
+    c.primaryDTC || c.domain || "general"
+  }`;
+
+  const rows = digestRows(record)
+    .map(([label, value]) => `<tr><th align="left">${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+    .join("");
+
+  const html = `
+        <h2>Technician Feedback Submitted</h2>
+        <table cellpadding="4">${rows}</table>
+        ${block("GRIT said", c.excerpt)}
+        ${block("Comment", record.comment)}
+        ${block("Correction", record.correction)}
+      `;
+
+  const text = [
+    ...digestRows(record).map(([label, value]) => `${label}: ${value}`),
+    c.excerpt ? `\nGRIT said:\n${c.excerpt}` : "",
+    record.comment ? `\nComment:\n${record.comment}` : "",
+    record.correction ? `\nCorrection:\n${record.correction}` : ""
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  return { subject, html, text };
+}
+
+/* ======================================================
+   ADMIN SUMMARY
+   Counts per DTC, domain and ruleset version, worst first.
+====================================================== */
+function emptyBucket(key) {
+  return {
+    key,
+    total: 0,
+    up: 0,
+    down: 0,
+    categories: Object.fromEntries(FEEDBACK_CATEGORIES.map((c) => [c, 0]))
+  };
+}
+
+function addTo(bucket, record) {
+  bucket.total++;
+  if (record.rating) bucket[record.rating]++;
+  if (record.category) bucket.categories[record.category]++;
+}
+
+function groupBy(records, keysOf) {
+  const buckets = new Map();
+
+  for (const record of records) {
+    for (const key of keysOf(record)) {
+      if (!buckets.has(key)) buckets.set(key, emptyBucket(key));
+      addTo(buckets.get(key), record);
+    }
+  }
+
+  return [...buckets.values()].sort((a, b) => b.down - a.down || b.total - a.total);
+}
+
+export function summarizeFeedback(records = []) {
+  const { key, ...overall } = emptyBucket("all");
+  records.forEach((r) => addTo(overall, r));
+
+  return {
+    ...overall,
+    byDtc: groupBy(records, (r) => (r.context.dtcs.length ? r.context.dtcs : ["none"])),
+    byDomain: groupBy(records, (r) => [r.context.domain || "unknown"]),
+    byRulesetVersion: groupBy(records, (r) => [r.rulesetVersion || "unknown"])
+  };
+}
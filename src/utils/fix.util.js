@@ -0,0 +1,188 @@
+// ------------------------------------------------------
+// CONFIRMED FIXES — close-out validation, platform keys,
+// per-platform ranking
+// A closed-out session records what actually fixed the car.
+// Fixes are grouped by platform (make / model / engine code)
+// and DTC; a fix whose code came back counts against it.
+// ------------------------------------------------------
+
+import { normalizeMake, normalizeModel } from "./vehicle.util.js";
+import { normalizeDtc, isValidDtc } from "./dtc.util.js";
+
+export class FixValidationError extends Error {
+  constructor(errors = []) {
+    super(`Invalid close-out: ${errors.join("; ")}`);
+    this.name = "FixValidationError";
+    this.status = 400;
+    this.errors = errors;
+  }
+}
+
+const TEXT_LIMIT = 500;
+const NOTES_LIMIT = 4000;
+const RECOMMENDATION_LIMIT = 10;
+const RANKING_LIMIT = 5;   // causes shown per DTC
+export const FIX_RANKING_DTC_LIMIT = 3;   // DTCs looked up per session
+
+/* ======================================================
+   VALIDATION
+====================================================== */
+function optionalText(value, field, limit, errors) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== "string") {
+    errors.push(`${field} must be a string`);
+    return null;
+  }
+
+  const text = value.trim();
+  if (text.length > limit) errors.push(`${field} must be at most ${limit} characters`);
+  return text || null;
+}
+
+/*
+Returns { rootCause, partReplaced, codeReturned, notes, recommendations, dtc, vehicle }.
+codeReturned is null while the comeback window is still open;
+recommendations is work the tech advised but the customer deferred.
+Throws FixValidationError.
+*/
+export function validateFix(body = {}) {
+  const errors = [];
+
+  const rootCause = optionalText(body.rootCause, "rootCause", TEXT_LIMIT, errors);
+  const partReplaced = optionalText(body.partReplaced, "partReplaced", TEXT_LIMIT, errors);
+  const notes = optionalText(body.notes, "notes", NOTES_LIMIT, errors);
+  if (!rootCause) errors.push("rootCause is required");
+
+  const recommendations = [];
+  if (body.recommendations !== undefined && body.recommendations !== null) {
+    if (!Array.isArray(body.recommendations) || body.recommendations.length > RECOMMENDATION_LIMIT) {
+      errors.push(`recommendations must be a list of at most ${RECOMMENDATION_LIMIT} strings`);
+    } else {
+      body.recommendations.forEach((r, i) => {
+        const text = optionalText(r, `recommendations[${i}]`, TEXT_LIMIT, errors);
+        if (text) recommendations.push(text);
+      });
+    }
+  }
+
+  const codeReturned = body.codeReturned ?? null;
+  if (codeReturned !== null && typeof codeReturned !== "boolean") {
+    errors.push("codeReturned must be true, false or null");
+  }
+
+  const dtc = body.dtc ? normalizeDtc(body.dtc) : null;
+  if (dtc && !isValidDtc(dtc)) errors.push("dtc must be a valid code (e.g. P0301)");
+
+  const vehicle = body.vehicleContext && typeof body.vehicleContext === "object" ? body.vehicleContext : null;
+
+  if (errors.length) throw new FixValidationError(errors);
+  return { rootCause, partReplaced, codeReturned, notes, recommendations, dtc, vehicle };
+}
+
+// Settling the comeback window later: { codeReturned: true | false }.
+// Throws FixValidationError.
+export function validateCloseOutUpdate(body = {}) {
+  if (typeof body.codeReturned !== "boolean") {
+    throw new FixValidationError(["codeReturned must be true or false"]);
+  }
+  return { codeReturned: body.codeReturned };
+}
+
+/* ======================================================
+   PLATFORM
+   Engine code when we have one (engineDetails.code or the
+   code remembered on the session), else the engine label.
+====================================================== */
+export function getPlatform(vehicle = {}) {
+  const make = normalizeMake(vehicle.make);
+  const model = normalizeModel(vehicle.model, make);
+  if (!make || !model) return null;
+
+  const code = vehicle.engineDetails?.code || vehicle.engineCode || "";
+  const engineCode = String(code || vehicle.engine || "").trim().toLowerCase().replace(/[^a-z0-9.]/g, "") || null;
+
+  return { make, model, engineCode, key: [make, model, engineCode || "*"].join("|") };
+}
+
+export function describePlatform(platform) {
+  return [platform.make, platform.model, platform.engineCode].filter(Boolean).join(" ");
+}
+
+// Same make/model; engine must match when both sides know it
+export function matchesPlatform(fix, platform) {
+  if (fix.make !== platform.make || fix.model !== platform.model) return false;
+  return !fix.engineCode || !platform.engineCode || fix.engineCode === platform.engineCode;
+}
+
+/* ======================================================
+   RANKING
+   Grouped by root cause (case / spacing insensitive).
+   Fixes that stayed fixed rank first; comebacks count
+   against a cause, unknown outcomes count for neither.
+====================================================== */
+function causeKey(text) {
+  return String(text || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  for (const v of values.filter(Boolean)) counts.set(v, (counts.get(v) || 0) + 1);
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+}
+
+export function rankFixes(fixes = [], { limit = RANKING_LIMIT } = {}) {
+  const groups = new Map();
+
+  for (const fix of fixes) {
+    const key = causeKey(fix.rootCause);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(fix);
+  }
+
+  return [...groups.values()]
+    .map((group) => {
+      const comebacks = group.filter((f) => f.codeReturned === true).length;
+      const stayedFixed = group.filter((f) => f.codeReturned === false).length;
+      return {
+        rootCause: mostCommon(group.map((f) => f.rootCause)),
+        partReplaced: mostCommon(group.map((f) => f.partReplaced)),
+        confirmed: group.length,
+        stayedFixed,
+        comebacks,
+        lastSeen: Math.max(...group.map((f) => f.createdAt || 0)) || null
+      };
+    })
+    .sort(
+      (a, b) =>
+        b.stayedFixed - b.comebacks - (a.stayedFixed - a.comebacks) ||
+        b.confirmed - a.confirmed ||
+        (b.lastSeen || 0) - (a.lastSeen || 0)
+    )
+    .slice(0, limit);
+}
+
+/* ======================================================
+   PROMPT BLOCK
+====================================================== */
+function describeCause(c) {
+  const outcome = [
+    `${c.confirmed} confirmed`,
+    c.stayedFixed ? `${c.stayedFixed} stayed fixed` : null,
+    c.comebacks ? `${c.comebacks} came back` : null
+  ].filter(Boolean);
+
+  return `- ${c.rootCause}${c.partReplaced ? ` (replaced: ${c.partReplaced})` : ""} — ${outcome.join(", ")}`;
+}
+
+// rankings: [{ dtc, platform, causes }]
+export function describeFixRankings(rankings = []) {
+  const shown = rankings.filter((r) => r.causes.length).slice(0, FIX_RANKING_DTC_LIMIT);
+  if (!shown.length) return "";
+
+  const blocks = shown.map(
+    (r) => `Confirmed fixes seen in our shop (${describePlatform(r.platform)}, ${r.dtc}):\n${r.causes.map(describeCause).join("\n")}`
+  );
+
+  return `${blocks.join("\n\n")}\nUse these as a prior for test order — still confirm with a test before any part is replaced.`;
+}
@@ -0,0 +1,174 @@
+// ------------------------------------------------------
+// VEHICLE HISTORY — visits per VIN, comebacks, timeline
+// Every session that knows its VIN is one visit: the DTCs
+// seen, the confirmed fix (if it was closed out) and what
+// was left open. A DTC seen on an earlier visit is a
+// comeback and is flagged before diagnosis starts.
+// ------------------------------------------------------
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PROMPT_VISITS = 5;   // newest visits in the case file
+
+/* ======================================================
+   VISIT RECORD
+   DTCs accumulate over the session (state.activeDTCs only
+   holds the latest report).
+====================================================== */
+export function openRecommendations(state) {
+  const fromCloseOut = state.closeOut?.recommendations || [];
+  if (state.closeOut) return fromCloseOut;
+
+  // Not closed out: a concluded flow is advice nobody confirmed acting on
+  return state.flowConclusion?.summary ? [state.flowConclusion.summary] : [];
+}
+
+export function buildVisitRecord(state, { sessionId, shopId = null, vin, vehicle = {}, previous = null }) {
+  const now = new Date().toISOString();
+  const { year, make, model, engine } = vehicle;
+
+  return {
+    sessionId,
+    shopId: previous?.shopId || shopId,
+    vin,
+    vehicle: { year: year || null, make: make || null, model: model || null, engine: engine || null },
+    dtcs: [...new Set([...(previous?.dtcs || []), ...(state.activeDTCs || [])])],
+    primaryDTC: state.primaryDTC || previous?.primaryDTC || null,
+    domain: state.domain || previous?.domain || null,
+    comebackDtcs: [...new Set([...(previous?.comebackDtcs || []), ...(state.comebacks || []).map((c) => c.dtc)])],
+    closeOut: state.closeOut || null,
+    recommendations: openRecommendations(state),
+    startedAt: previous?.startedAt || now,
+    lastSeenAt: now
+  };
+}
+
+/* ======================================================
+   COMEBACKS
+   Newest earlier visit per DTC; visits are newest first.
+====================================================== */
+export function findComebacks(visits = [], dtcs = [], now = Date.now()) {
+  const comebacks = [];
+
+  for (const dtc of dtcs) {
+    const earlier = visits.find((v) => v.dtcs.includes(dtc));
+    if (!earlier) continue;
+
+    const at = earlier.closeOut?.at || earlier.lastSeenAt;
+    comebacks.push({
+      dtc,
+      sessionId: earlier.sessionId,
+      at,
+      daysAgo: Math.max(0, Math.floor((now - Date.parse(at)) / DAY_MS)),
+      fix: earlier.closeOut
+        ? {
+            fixId: earlier.closeOut.fixId || null,
+            rootCause: earlier.closeOut.rootCause,
+            partReplaced: earlier.closeOut.partReplaced,
+            codeReturned: earlier.closeOut.codeReturned ?? null
+          }
+        : null
+    });
+  }
+
+  return comebacks;
+}
+
+function describeComeback(c) {
+  const when = c.daysAgo === 0 ? "earlier today" : `${c.daysAgo} day${c.daysAgo === 1 ? "" : "s"} ago`;
+  const fix = c.fix
+    ? `fixed then: ${c.fix.rootCause}${c.fix.partReplaced ? ` (replaced ${c.fix.partReplaced})` : ""}`
+    : "no confirmed fix on record";
+  return `- ${c.dtc}: seen on this VIN ${when} — ${fix}`;
+}
+
+export function describeComebacks(comebacks = []) {
+  if (!comebacks.length) return "";
+  return `⚠️ Comeback — this vehicle was here before with the same code:\n${comebacks
+    .map(describeComeback)
+    .join("\n")}\nCheck the earlier repair before anything else.`;
+}
+
+/* ======================================================
+   PROMPT BLOCK
+====================================================== */
+function describeVisit(v) {
+  const day = String(v.startedAt).slice(0, 10);
+  const parts = [v.dtcs.length ? v.dtcs.join(", ") : "no codes"];
+
+  if (v.closeOut) {
+    parts.push(
+      `fixed: ${v.closeOut.rootCause}${v.closeOut.partReplaced ? ` (replaced ${v.closeOut.partReplaced})` : ""}${
+        v.closeOut.codeReturned ? " — code came back" : ""
+      }`
+    );
+  }
+  if (v.recommendations.length) parts.push(`left open: ${v.recommendations.join("; ")}`);
+
+  return `- ${day}: ${parts.join(" — ")}`;
+}
+
+export function describeVehicleHistory(history, activeDTCs = []) {
+  const visits = history?.visits || [];
+  if (!visits.length) return "";
+
+  const comebacks = findComebacks(visits, activeDTCs);
+  const flagged = comebacks.length
+    ? `\nCOMEBACK: ${comebacks.map((c) => c.dtc).join(", ")} seen on an earlier visit — verify the earlier repair first.`
+    : "";
+
+  return `Earlier visits for this VIN (newest first):\n${visits
+    .slice(0, PROMPT_VISITS)
+    .map(describeVisit)
+    .join("\n")}${flagged}`;
+}
+
+/* ======================================================
+   TIMELINE (GET /vehicles/:vin/history)
+   One event per visit, fix and open recommendation,
+   newest first.
+====================================================== */
+export function buildTimeline(visits = []) {
+  const events = [];
+
+  for (const v of visits) {
+    events.push({
+      at: v.startedAt,
+      type: "visit",
+      sessionId: v.sessionId,
+      dtcs: v.dtcs,
+      primaryDTC: v.primaryDTC,
+      domain: v.domain,
+      comeback: v.comebackDtcs.length > 0,
+      comebackDtcs: v.comebackDtcs
+    });
+
+    if (v.closeOut) {
+      events.push({
+        at: v.closeOut.at,
+        type: "fix_confirmed",
+        sessionId: v.sessionId,
+        rootCause: v.closeOut.rootCause,
+        partReplaced: v.closeOut.partReplaced,
+        codeReturned: v.closeOut.codeReturned
+      });
+    }
+
+    for (const text of v.recommendations) {
+      events.push({ at: v.closeOut?.at || v.lastSeenAt, type: "recommendation", sessionId: v.sessionId, text });
+    }
+  }
+
+  return events.sort((a, b) => Date.parse(b.at) - Date.parse(a.at));
+}
+
+export function summarizeHistory(visits = []) {
+  if (!visits.length) return null;
+
+  return {
+    visitCount: visits.length,
+    lastVisitAt: visits[0].lastSeenAt,
+    dtcsSeen: [...new Set(visits.flatMap((v) => v.dtcs))],
+    partsReplaced: visits.map((v) => v.closeOut?.partReplaced).filter(Boolean),
+    openRecommendations: visits.flatMap((v) => v.recommendations)
+  };
+}
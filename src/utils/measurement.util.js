@@ -0,0 +1,344 @@
+// ------------------------------------------------------
+// MEASUREMENT PARSER — technician test results
+// "LTFT +18 at idle", "cranking 9.6V, 12.6 resting",
+// "fuel pressure 38 psi KOEO", "0.3V drop on ground"
+// ------------------------------------------------------
+
+import {
+  SPEC_RANGES,
+  INTENT_RANGE_OVERRIDES,
+  MAKE_FUEL_PRESSURE,
+  MAF_IDLE_FACTOR
+} from "../rules/spec.ranges.js";
+import { normalizeMake } from "./vehicle.util.js";
+
+// What a keyword says the following number measures
+const KIND_KEYWORDS = [
+  { kind: "ltft", rx: /^(ltft|long[- ]term(?: fuel trims?)?)$/ },
+  { kind: "stft", rx: /^(stft|short[- ]term(?: fuel trims?)?)$/ },
+  { kind: "fuel_trim", rx: /^(fuel trims?|trims?)$/ },
+  { kind: "fuel_pressure", rx: /^(fuel pressure|rail pressure|fuel psi|fp)$/ },
+  { kind: "vacuum", rx: /^(manifold vacuum|vacuum)$/ },
+  { kind: "maf", rx: /^maf$/ },
+  { kind: "compression", rx: /^compression$/ },
+  { kind: "voltage_drop", rx: /^(voltage drop|drop)$/ },
+  { kind: "resistance", rx: /^resistance$/ },
+  { kind: "voltage", rx: /^(battery|batt|voltage)$/ }
+];
+
+// Under what condition the number was taken
+const CONDITION_KEYWORDS = [
+  { condition: "cranking", rx: /^(cranking|crank)$/ },
+  { condition: "koeo", rx: /^(koeo|key on engine off|key on)$/ },
+  { condition: "idle", rx: /^(koer|idle|idling|at idle)$/ },
+  { condition: "running", rx: /^(running|charging|alternator)$/ },
+  { condition: "resting", rx: /^(resting|rest|static|key off)$/ },
+  { condition: "load", rx: /^(under load|load|wot|accel|acceleration|cruise|highway)$/ },
+  { condition: "off_idle", rx: /^\d{4}\s*rpm$/ },
+  { condition: "ground", rx: /^(ground|gnd|negative)$/ },
+  { condition: "positive", rx: /^(positive|power side|feed)$/ }
+];
+
+export const KIND_UNITS = {
+  ltft: "%",
+  stft: "%",
+  fuel_trim: "%",
+  fuel_pressure: "psi",
+  compression: "psi",
+  vacuum: "inHg",
+  maf: "g/s",
+  voltage: "V",
+  voltage_drop: "V",
+  resistance: "Ω"
+};
+
+const KIND_BY_UNIT = {
+  "%": "fuel_trim",
+  psi: "fuel_pressure",
+  inHg: "vacuum",
+  "g/s": "maf",
+  V: "voltage",
+  "Ω": "resistance"
+};
+
+const CONDITION_UNITS = { cranking: "V", resting: "V", running: "V" };
+
+const TOKEN_RX = new RegExp(
+  [
+    // keywords (longest first)
+    "(long[- ]term(?: fuel trims?)?|short[- ]term(?: fuel trims?)?|fuel trims?|fuel pressure|rail pressure|fuel psi|manifold vacuum|voltage drop|key on engine off|key on|key off|under load|power side|at idle|\\d{4}\\s*rpm)",
+    "\\b(ltft|stft|trims?|fp|vacuum|maf|compression|drop|resistance|battery|batt|voltage|cranking|crank|koeo|koer|idle|idling|running|charging|alternator|resting|rest|static|load|wot|accel|acceleration|cruise|highway|ground|gnd|negative|positive|feed)\\b",
+    // banks
+    "\\b(?:bank\\s*|b)([12])\\b",
+    // cylinder / bank numbers are labels, not readings
+    "\\b(?:cyl(?:inder)?s?|bank)\\s*#?\\s*\\d+\\b",
+    // numbers with optional unit
+    "(?<![a-z0-9.])([+-]?\\d+(?:\\.\\d+)?)\\s*(%|percent|psi|kpa|bar|mv|volts?|v|in\\.?\\s*hg|inhg|hg|g\\/s|gps|ohms?|Ω|°\\s*[fc]|degrees?)?(?![a-z0-9])"
+  ].join("|"),
+  "gi"
+);
+
+function normalizeUnit(rawUnit = "", value) {
+  const u = rawUnit.toLowerCase().replace(/\s+/g, "");
+
+  if (!u) return { unit: null, value };
+  if (u === "%" || u === "percent") return { unit: "%", value };
+  if (u === "psi") return { unit: "psi", value };
+  if (u === "kpa") return { unit: "psi", value: +(value * 0.145038).toFixed(1) };
+  if (u === "bar") return { unit: "psi", value: +(value * 14.5038).toFixed(1) };
+  if (u === "mv") return { unit: "V", value: value / 1000 };
+  if (u === "v" || u.startsWith("volt")) return { unit: "V", value };
+  if (u.includes("hg")) return { unit: "inHg", value };
+  if (u === "g/s" || u === "gps") return { unit: "g/s", value };
+  if (u.startsWith("ohm") || u === "Ω") return { unit: "Ω", value };
+  if (u.startsWith("°") || u.startsWith("degree")) return { unit: u.endsWith("c") ? "°C" : "°F", value };
+
+  return { unit: null, value };
+}
+
+function tokenize(text) {
+  const tokens = [];
+
+  for (const m of text.matchAll(TOKEN_RX)) {
+    const word = (m[1] || m[2] || "").toLowerCase().trim();
+
+    if (word) {
+      const kind = KIND_KEYWORDS.find((k) => k.rx.test(word))?.kind;
+      const condition = CONDITION_KEYWORDS.find((c) => c.rx.test(word))?.condition;
+      if (kind) tokens.push({ type: "kind", kind });
+      else if (condition) tokens.push({ type: "condition", condition, start: m.index, end: m.index + m[0].length });
+      continue;
+    }
+
+    const at = { start: m.index, end: m.index + m[0].length };
+
+    if (m[3]) {
+      tokens.push({ type: "bank", bank: Number(m[3]), ...at });
+      continue;
+    }
+
+    if (m[4]) {
+      const { unit, value } = normalizeUnit(m[5], parseFloat(m[4]));
+      tokens.push({ type: "number", value, unit, raw: m[0].trim(), ...at });
+    }
+  }
+
+  return tokens;
+}
+
+// Punctuation or a linking word between two tokens separates readings
+const SEPARATOR_RX = /[,;/()]|\b(and|then|but|while|vs|versus|drops?|falls?|rises?|goes|climbs?|to)\b/i;
+
+function separated(text, a, b) {
+  return SEPARATOR_RX.test(text.slice(a.end, b.start));
+}
+
+// Only list punctuation, cylinder labels and the conditions / banks
+// of the earlier reading between two readings
+// ("compression 150 145 90 150", "cyl 1 150, cyl 2 145", "+12 at idle +3 at 2500 rpm")
+const LIST_GAP_RX = /^(?:[\s,;/&]|and\b|(?:cyl(?:inder)?s?|#)\s*#?\s*\d+)*$/i;
+
+function listed(text, tokens, a, b) {
+  let gap = "";
+  let at = a.end;
+  for (const t of tokens.slice(tokens.indexOf(a) + 1, tokens.indexOf(b))) {
+    gap += text.slice(at, t.start);
+    at = t.end;
+  }
+  return LIST_GAP_RX.test(gap + text.slice(at, b.start));
+}
+
+// The number right after a condition ("cranking 9.6", "idle: 0.8"),
+// unless a condition of its own trails it ("12.6V resting, 14.2 running")
+function leadTarget(text, tokens, i, key) {
+  const j = tokens.findIndex((t, k) => k > i && t.type !== "kind");
+  const next = tokens[j];
+  if (next?.type !== "number" || next[key] || !/^[\s:=]*$/.test(text.slice(tokens[i].end, next.start))) {
+    return null;
+  }
+
+  const after = tokens[j + 1];
+  const trailed = after?.type === key && !separated(text, next, after);
+  return trailed ? null : next;
+}
+
+/*
+Binding rules:
+- A kind keyword applies to the numbers that follow it (until another
+  kind keyword), but a number with no unit only takes it when nothing
+  but conditions / banks sits between them ("compression 150"), a
+  bank / condition leads it ("LTFT B1 +18 B2 +4"), or it continues a
+  plain list of that kind ("compression 150 145 90 150").
+  If no number follows before the next kind keyword, it re-labels
+  the previous number ("0.3V drop").
+- A condition leads the number right after it ("12.1V cranking 9.6")
+  unless that number has its own trailing condition; otherwise it
+  trails the number before it ("+18% at idle, +4% at 2500 rpm",
+  "12.6V resting, 14.2 running").
+- A bank trails the number before it and leads the next only when
+  there is none before it, that one is already qualified, or a
+  separator cuts it off ("LTFT B1 +18 B2 +4").
+- Cylinder numbers ("cyl 3") are dropped.
+*/
+export function parseMeasurements(text = "") {
+  const source = String(text || "");
+  const tokens = tokenize(source);
+  const numbers = [];
+  let currentKind = null;
+  let lastNumber = null;
+
+  tokens.forEach((tok, i) => {
+    if (tok.type === "kind") {
+      const ahead = tokens.slice(i + 1).find((t) => t.type === "number" || t.type === "kind");
+      if (ahead?.type === "number") {
+        currentKind = tok.kind;
+      } else if (lastNumber) {
+        lastNumber.kind = tok.kind;
+      } else {
+        currentKind = tok.kind;
+      }
+      return;
+    }
+
+    if (tok.type === "condition" || tok.type === "bank") {
+      const key = tok.type;
+      const val = tok[key];
+      const prev = tokens[i - 1];
+      const next = tokens.slice(i + 1).find((t) => t.type !== "kind");
+      const lead = key === "condition" ? leadTarget(source, tokens, i, key) : null;
+
+      if (lead) {
+        lead[key] = val;
+      } else if (prev?.type === "number" && !prev[key] && !separated(source, prev, tok)) {
+        prev[key] = val;
+      } else if (next?.type === "number") {
+        next[key] = val;
+      } else if (lastNumber && !lastNumber[key]) {
+        lastNumber[key] = val;
+      }
+      return;
+    }
+
+    if (tok.type === "number") {
+      const before = tokens.slice(0, i).reverse().find((t) => t.type === "kind" || t.type === "number");
+      const continues =
+        before?.type === "number" && before.kind === currentKind && listed(source, tokens, before, tok);
+      const adjacent = before?.type === "kind" || continues || tok.condition || tok.bank;
+      const compatible =
+        currentKind && (tok.unit ? KIND_UNITS[currentKind] === tok.unit : adjacent);
+      if (compatible) tok.kind = currentKind;
+      else if (tok.unit) currentKind = null;
+
+      numbers.push(tok);
+      lastNumber = tok;
+    }
+  });
+
+  const measurements = [];
+  let prevUnit = null;
+
+  for (const n of numbers) {
+    // A bare number only inherits the previous unit when it is qualified
+    // ("12.6V resting, 14.2 running"), so stray numbers (years) drop out.
+    const inherited = n.condition || n.bank ? prevUnit : null;
+    let unit = n.unit || KIND_UNITS[n.kind] || CONDITION_UNITS[n.condition] || inherited;
+    let kind = n.kind || KIND_BY_UNIT[unit];
+
+    if (kind === "voltage" && (n.condition === "ground" || n.condition === "positive")) {
+      kind = "voltage_drop";
+    }
+    if (!kind || !unit || KIND_UNITS[kind] !== unit) continue;
+
+    prevUnit = unit;
+    measurements.push({
+      kind,
+      value: n.value,
+      unit,
+      condition: n.condition || null,
+      bank: n.bank || null,
+      raw: n.raw
+    });
+  }
+
+  return measurements;
+}
+
+// ------------------------------------------------------
+// EVALUATION — known-good ranges per intent / vehicle
+// ------------------------------------------------------
+function getDisplacementL(vehicle = {}) {
+  const fromDetails = parseFloat(vehicle.engineDetails?.displacement_l);
+  if (Number.isFinite(fromDetails)) return fromDetails;
+
+  const fromString = String(vehicle.engine || "").match(/(\d+(?:\.\d+)?)\s*l\b/i);
+  return fromString ? parseFloat(fromString[1]) : null;
+}
+
+function pickRange(table, condition) {
+  if (!table) return null;
+  return table[condition] || table.any || null;
+}
+
+function resolveRange(m, { intent, vehicle }) {
+  const intentTable = INTENT_RANGE_OVERRIDES[intent]?.[m.kind];
+  const intentRange = pickRange(intentTable, m.condition);
+  if (intentRange) return { ...intentRange, source: `intent:${intent}` };
+
+  // GDI high-side rail pressure — OEM spec only
+  if (m.kind === "fuel_pressure" && m.value > 300) return null;
+
+  if (m.kind === "fuel_pressure") {
+    const make = normalizeMake(vehicle?.make);
+    if (MAKE_FUEL_PRESSURE[make]) {
+      return { ...MAKE_FUEL_PRESSURE[make], source: `make:${make}` };
+    }
+  }
+
+  if (m.kind === "maf") {
+    const disp = getDisplacementL(vehicle);
+    if (!disp || (m.condition && m.condition !== "idle")) return null;
+    return {
+      min: +(disp * MAF_IDLE_FACTOR.min).toFixed(1),
+      max: +(disp * MAF_IDLE_FACTOR.max).toFixed(1),
+      source: `displacement:${disp}L`
+    };
+  }
+
+  const range = pickRange(SPEC_RANGES[m.kind], m.condition);
+  return range ? { ...range, source: "generic" } : null;
+}
+
+export function evaluateMeasurement(m, { intent = null, vehicle = {} } = {}) {
+  const range = resolveRange(m, { intent, vehicle });
+  if (!range) return { ...m, status: "unknown", range: null };
+
+  const low = range.min !== undefined && m.value < range.min;
+  const high = range.max !== undefined && m.value > range.max;
+
+  return {
+    ...m,
+    status: low || high ? "fail" : "pass",
+    deviation: low ? "low" : high ? "high" : null,
+    range: { ...range, unit: m.unit }
+  };
+}
+
+export function evaluateMeasurements(measurements = [], ctx = {}) {
+  return measurements.map((m) => evaluateMeasurement(m, ctx));
+}
+
+function formatRange(range) {
+  if (!range) return "no spec on file";
+  const { min, max, unit } = range;
+  if (min !== undefined && max !== undefined) return `${min}–${max}${unit}`;
+  if (min !== undefined) return `≥ ${min}${unit}`;
+  return `≤ ${max}${unit}`;
+}
+
+export function describeResult(r) {
+  const label = r.kind.replace(/_/g, " ").toUpperCase();
+  const sign = r.unit === "%" && r.value > 0 ? "+" : "";
+  const where = [r.bank ? `bank ${r.bank}` : null, r.condition].filter(Boolean).join(", ");
+
+  return `${label} ${sign}${r.value}${r.unit}${where ? ` (${where})` : ""} — ${r.status.toUpperCase()} (spec ${formatRange(r.range)})`;
+}
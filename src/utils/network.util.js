@@ -0,0 +1,270 @@
+// ------------------------------------------------------
+// NETWORK — U-code topology analysis
+// Maps U-codes onto the make's bus map and finds the most
+// likely common point: a bus segment, the gateway, a shared
+// power feed / ground, or a single silent module.
+// ------------------------------------------------------
+
+import {
+  U_CODE_MODULES,
+  U_CODE_BUSES,
+  MODULE_LABELS,
+  NETWORK_BUS_MAPS
+} from "../rules/network.topology.js";
+import { getMakeGroup } from "./dtc.util.js";
+
+const CONFIDENCE_RANK = { high: 0, medium: 1, low: 2 };
+const TYPE_RANK = ["bus_segment", "gateway", "module_power", "single_module", "sender_data"];
+
+function moduleLabel(mod) {
+  return MODULE_LABELS[mod] || mod;
+}
+
+function codesFor(modules, codeModules) {
+  return codeModules.filter((c) => modules.includes(c.module)).map((c) => c.code);
+}
+
+/* ======================================================
+   CHECKS — the first test for each kind of common point
+====================================================== */
+function busCheck(bus) {
+  const [high, low] = bus.dlcPins || [];
+
+  if (high && low) {
+    return {
+      intent: "dlc_resistance_check",
+      question: `Key off, battery disconnected: measure resistance between DLC pins ${high} and ${low} (${bus.label}). What do you read?`,
+      test: {
+        test: `${bus.label} termination resistance at the DLC`,
+        why: "Shows whether the bus wiring and both terminating resistors are intact",
+        how: `Battery disconnected, ohmmeter across DLC pins ${high} and ${low}: ~60 Ω normal, ~120 Ω one branch/terminator open, low ohms = short, open = bus break`,
+        tools: "DMM"
+      }
+    };
+  }
+
+  return {
+    intent: "bus_voltage_check",
+    question: `Key on: backprobe the ${bus.label} wire(s) at a module on that bus and read the voltage. What do you see?`,
+    test: {
+      test: `${bus.label} voltage at a module connector`,
+      why: "A shorted or open bus wire shows up as a stuck voltage",
+      how: "Key on, backprobe the bus wire(s); a flat 0 V or battery voltage means a short, compare against the wiring diagram values",
+      tools: "DMM or scope"
+    }
+  };
+}
+
+function powerCheck(target, label) {
+  return {
+    intent: "module_power_ground_check",
+    question: `Key on: check B+, ignition feed and ground at the ${label} (voltage-drop the ground under load). What do you read?`,
+    test: {
+      test: `Power and ground at the ${label}`,
+      why: `A module that loses power or ground goes silent on the bus (${target})`,
+      how: "Key on, load-test each feed with a test light, voltage-drop the ground (under 0.1 V)",
+      tools: "DMM, test light"
+    }
+  };
+}
+
+function senderCheck(label) {
+  return {
+    intent: "network_dtc_review",
+    question: `The ${label} is talking but sending invalid data. Which module set the U04xx code, and does the ${label} have its own codes stored?`,
+    test: {
+      test: `Stored codes in the ${label}`,
+      why: "Invalid-data codes point at the sender's inputs or software, not the wiring",
+      how: "Scan the sending module, review its own DTCs and any software updates",
+      tools: "Scan tool"
+    }
+  };
+}
+
+/* ======================================================
+   HYPOTHESES
+====================================================== */
+function busHypotheses(map, busFaults, silent, codeModules) {
+  const out = [];
+
+  for (const [busId, bus] of Object.entries(map.buses)) {
+    const faultCodes = busFaults.filter((b) => b.bus === busId).map((b) => b.code);
+    const silentOnBus = silent.filter((m) => bus.modules.includes(m));
+
+    if (!faultCodes.length && silentOnBus.length < 2) continue;
+
+    out.push({
+      type: "bus_segment",
+      target: busId,
+      label: `${bus.label} bus segment`,
+      confidence: faultCodes.length || silentOnBus.length === silent.length ? "high" : "medium",
+      explains: [...faultCodes, ...codesFor(silentOnBus, codeModules)],
+      reason: faultCodes.length
+        ? `${faultCodes.join(", ")} is a bus-level fault on the ${bus.label}`
+        : `${silentOnBus.map(moduleLabel).join(", ")} all sit on the ${bus.label}`,
+      ...busCheck(bus)
+    });
+  }
+
+  return out;
+}
+
+function gatewayHypothesis(map, silent, codeModules) {
+  const gateway = map.gateway;
+  const busesHit = Object.values(map.buses).filter((bus) =>
+    silent.some((m) => m !== gateway && bus.modules.includes(m))
+  );
+
+  const gatewaySilent = silent.includes(gateway);
+  if (!gatewaySilent && busesHit.length < 2) return null;
+
+  return {
+    type: "gateway",
+    target: gateway,
+    label: `gateway (${moduleLabel(gateway)})`,
+    confidence: gatewaySilent ? "high" : "medium",
+    explains: codesFor(silent, codeModules),
+    reason: gatewaySilent
+      ? `the ${moduleLabel(gateway)} bridges the buses and is itself silent`
+      : `silent modules sit on ${busesHit.length} different buses — only the ${moduleLabel(gateway)} connects them`,
+    ...powerCheck("gateway", moduleLabel(gateway))
+  };
+}
+
+function powerHypotheses(map, silent, codeModules) {
+  const out = [];
+  const spansBuses =
+    Object.values(map.buses).filter((bus) => silent.some((m) => bus.modules.includes(m))).length > 1;
+
+  for (const [feedId, feed] of Object.entries(map.power || {})) {
+    const onFeed = silent.filter((m) => feed.modules.includes(m));
+    if (onFeed.length < 2) continue;
+
+    out.push({
+      type: "module_power",
+      target: feedId,
+      label: feed.label,
+      confidence: onFeed.length === silent.length && spansBuses ? "high" : "medium",
+      explains: codesFor(onFeed, codeModules),
+      reason: `${onFeed.map(moduleLabel).join(", ")} share the ${feed.label}`,
+      ...powerCheck(feed.label, `${moduleLabel(onFeed[0])} (${feed.label})`)
+    });
+  }
+
+  return out;
+}
+
+function singleModuleHypothesis(silent, codeModules) {
+  if (silent.length !== 1) return null;
+
+  const [mod] = silent;
+  return {
+    type: "single_module",
+    target: mod,
+    label: moduleLabel(mod),
+    confidence: "high",
+    explains: codesFor(silent, codeModules),
+    reason: `only the ${moduleLabel(mod)} is silent — its power, ground or bus connector`,
+    ...powerCheck(mod, moduleLabel(mod))
+  };
+}
+
+function senderHypotheses(invalid, codeModules) {
+  return invalid.map((mod) => ({
+    type: "sender_data",
+    target: mod,
+    label: moduleLabel(mod),
+    confidence: "medium",
+    explains: codesFor([mod], codeModules),
+    reason: `the ${moduleLabel(mod)} is on the bus but its data is invalid`,
+    ...senderCheck(moduleLabel(mod))
+  }));
+}
+
+function rankHypotheses(list) {
+  return list.sort(
+    (a, b) =>
+      CONFIDENCE_RANK[a.confidence] - CONFIDENCE_RANK[b.confidence] ||
+      b.explains.length - a.explains.length ||
+      TYPE_RANK.indexOf(a.type) - TYPE_RANK.indexOf(b.type)
+  );
+}
+
+/* ======================================================
+   PUBLIC API
+====================================================== */
+export function hasNetworkCodes(codes = []) {
+  return codes.some((c) => /^U/i.test(c));
+}
+
+/*
+Returns:
+{ busMap, gateway, silentModules, invalidData, busFaults, unmapped,
+  hypotheses: [{ type, target, label, confidence, explains, reason, intent, question, test }],
+  lead }
+*/
+export function analyzeNetworkCodes(codes = [], { make } = {}) {
+  const group = getMakeGroup(make);
+  const map = NETWORK_BUS_MAPS[group] || NETWORK_BUS_MAPS.generic;
+  const uCodes = [...new Set(codes.map((c) => String(c).toUpperCase()).filter((c) => /^U/.test(c)))];
+
+  const lostComm = [];
+  const invalidData = [];
+  const busFaults = [];
+  const unmapped = [];
+
+  for (const code of uCodes) {
+    if (U_CODE_BUSES[code]) {
+      // A bus the make doesn't have falls back to its main bus
+      const bus = map.buses[U_CODE_BUSES[code]] ? U_CODE_BUSES[code] : "hs_can";
+      busFaults.push({ code, bus });
+    } else if (U_CODE_MODULES[code]) {
+      const module = U_CODE_MODULES[code] === "GATEWAY" ? map.gateway : U_CODE_MODULES[code];
+      (/^U04/.test(code) ? invalidData : lostComm).push({ code, module });
+    } else {
+      unmapped.push(code);
+    }
+  }
+
+  const silent = [...new Set(lostComm.map((c) => c.module))];
+  const invalid = [...new Set(invalidData.map((c) => c.module))].filter((m) => !silent.includes(m));
+
+  const hypotheses = rankHypotheses(
+    [
+      ...busHypotheses(map, busFaults, silent, lostComm),
+      gatewayHypothesis(map, silent, lostComm),
+      ...powerHypotheses(map, silent, lostComm),
+      singleModuleHypothesis(silent, lostComm),
+      ...senderHypotheses(invalid, invalidData)
+    ].filter(Boolean)
+  );
+
+  return {
+    busMap: NETWORK_BUS_MAPS[group] ? group : "generic",
+    gateway: map.gateway,
+    silentModules: silent,
+    invalidData: invalid,
+    busFaults,
+    unmapped,
+    hypotheses,
+    lead: hypotheses[0] || null
+  };
+}
+
+export function describeNetworkAnalysis(analysis) {
+  if (!analysis?.lead) return "";
+
+  const { lead } = analysis;
+  const others = analysis.hypotheses.slice(1, 3).map((h) => h.label);
+
+  return [
+    `Network analysis (${analysis.busMap} bus map):`,
+    analysis.silentModules.length
+      ? `Silent: ${analysis.silentModules.map(moduleLabel).join(", ")}.`
+      : null,
+    `Most likely common point: ${lead.label} — ${lead.reason} (explains ${lead.explains.join(", ")}).`,
+    others.length ? `Also possible: ${others.join("; ")}.` : null
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
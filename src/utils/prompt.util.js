@@ -0,0 +1,216 @@
+// ------------------------------------------------------
+// PROMPT — context assembly for GRIT questions
+// The model sees the confirmed vehicle, engine traits,
+// active DTCs, the current intent/tier, earlier answers,
+// earlier visits for the VIN, confirmed shop fixes for the
+// platform and recent turns.
+// Older turns are condensed, then dropped, to stay inside
+// the token budget.
+// ------------------------------------------------------
+
+import { getIntentMeta } from "../rules/domain.catalogs.js";
+import { lookupDTC } from "./dtc.util.js";
+import { describeResult } from "./measurement.util.js";
+import { describeFixRankings } from "./fix.util.js";
+import { describeVehicleHistory } from "./history.util.js";
+
+const DEFAULT_TOKEN_BUDGET = 6000;
+const RECENT_TURNS = 6;          // kept verbatim (newest)
+const TURN_CHAR_LIMIT = 600;     // per recent turn
+const DIGEST_CHAR_LIMIT = 120;   // per condensed older turn
+const MIN_RECENT_TURNS = 2;      // never dropped
+const HISTORY_ENTRIES = 10;      // measured results kept in the case file
+
+export function getTokenBudget() {
+  const budget = Number(process.env.PROMPT_TOKEN_BUDGET);
+  return Number.isFinite(budget) && budget > 0 ? budget : DEFAULT_TOKEN_BUDGET;
+}
+
+// ~4 characters per token for English — close enough for budgeting
+export function estimateTokens(text = "") {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+function clip(text, limit) {
+  const t = String(text || "").replace(/\s+/g, " ").trim();
+  return t.length > limit ? `${t.slice(0, limit - 1)}…` : t;
+}
+
+/* ======================================================
+   CONTEXT BLOCKS
+====================================================== */
+const ENGINE_FLAGS = [
+  ["is_direct_injected", "direct injection"],
+  ["is_turbo", "turbocharged"],
+  ["is_supercharged", "supercharged"],
+  ["is_diesel", "diesel"]
+];
+
+function vehicleBlock(vehicle = {}) {
+  const ymm = [vehicle.year, vehicle.make, vehicle.model].filter(Boolean).join(" ");
+  const lines = [`Vehicle: ${ymm || "unknown"}${vehicle.engine ? ` — ${vehicle.engine}` : ""}`];
+
+  const d = vehicle.engineDetails || {};
+  const traits = [
+    d.code ? `code ${d.code}` : null,
+    d.family ? `${d.family}${d.generation ? ` ${d.generation}` : ""}` : null,
+    ...ENGINE_FLAGS.filter(([key]) => d[key]).map(([, label]) => label),
+    d.has_cylinder_deactivation
+      ? `cylinder deactivation${d.cylinder_deactivation ? ` (${d.cylinder_deactivation})` : ""}`
+      : null
+  ].filter(Boolean);
+
+  if (traits.length) lines.push(`Engine traits: ${traits.join(", ")}`);
+  if (d.notes) lines.push(`Engine notes: ${[].concat(d.notes).join("; ")}`);
+
+  return lines.join("\n");
+}
+
+function dtcBlock(state, dtc, vehicle) {
+  const codes = state.activeDTCs?.length ? state.activeDTCs : dtc ? [dtc] : [];
+  if (!codes.length) return "";
+
+  const lines = codes.map((code) => {
+    const entry = lookupDTC(code, { make: vehicle.make });
+    const def = entry.known ? entry.description : "definition not on file";
+    return `- ${code}${code === (dtc || state.primaryDTC) ? " (PRIMARY)" : ""}: ${def}`;
+  });
+
+  const reason = state.dtcPriority?.reason ? `\nRoot-cause order: ${state.dtcPriority.reason}` : "";
+  return `Active DTCs:\n${lines.join("\n")}${reason}`;
+}
+
+function intentBlock(domain, intent) {
+  if (!intent) return "";
+
+  const meta = getIntentMeta(domain, intent);
+  const parts = [`Domain: ${domain || "unknown"}`, `Current step: ${intent}`];
+  if (meta) parts.push(`Tier: ${meta.tier}`, `Focus: ${meta.focus}`);
+
+  return `${parts.join("\n")}\nAsk about THIS step only.`;
+}
+
+function historyBlock(state) {
+  const lines = [];
+
+  for (const entry of (state.testResults || []).slice(-HISTORY_ENTRIES)) {
+    lines.push(`- ${entry.intent || "answer"}: ${entry.results.map(describeResult).join("; ")}`);
+  }
+  for (const step of state.flowHistory || []) {
+    lines.push(`- ${step.phase}: ${step.bucket.replace(/_/g, " ")}`);
+  }
+
+  const classified = Object.entries(state.classification || {}).filter(([, v]) => v);
+  if (classified.length) {
+    lines.push(`- classification: ${classified.map(([k, v]) => `${k}=${v}`).join(", ")}`);
+  }
+  if (state.flowConclusion) lines.push(`- concluded: ${state.flowConclusion.summary}`);
+
+  return lines.length ? `Earlier answers (do NOT ask again):\n${lines.join("\n")}` : "";
+}
+
+/* ======================================================
+   TURN HISTORY
+====================================================== */
+// Clients send [{ role, content }] (strings tolerated as tech turns)
+export function normalizeTurns(context = []) {
+  if (!Array.isArray(context)) return [];
+
+  return context
+    .map((t) =>
+      typeof t === "string"
+        ? { role: "user", content: t }
+        : { role: t?.role === "assistant" ? "assistant" : "user", content: String(t?.content ?? t?.text ?? "") }
+    )
+    .filter((t) => t.content.trim());
+}
+
+function digestTurns(turns) {
+  if (!turns.length) return "";
+  const lines = turns.map((t) => `- ${t.role === "assistant" ? "GRIT" : "Tech"}: ${clip(t.content, DIGEST_CHAR_LIMIT)}`);
+  return `Earlier conversation (condensed):\n${lines.join("\n")}`;
+}
+
+const sum = (list) => list.reduce((n, x) => n + x, 0);
+
+// Cut order: condensed lines oldest-first, then recent turns
+// oldest-first (keeping MIN_RECENT_TURNS).
+function fitTurns(turns, available) {
+  const older = turns.slice(0, -RECENT_TURNS);
+  let recent = turns.slice(-RECENT_TURNS).map((t) => ({ ...t, content: clip(t.content, TURN_CHAR_LIMIT) }));
+  let digested = older;
+
+  const cost = () => estimateTokens(digestTurns(digested)) + sum(recent.map((t) => estimateTokens(t.content)));
+
+  while (digested.length && cost() > available) digested = digested.slice(1);
+  while (recent.length > MIN_RECENT_TURNS && cost() > available) recent = recent.slice(1);
+
+  return {
+    digest: digestTurns(digested),
+    recent,
+    dropped: turns.length - digested.length - recent.length
+  };
+}
+
+/* ======================================================
+   PUBLIC API
+====================================================== */
+/*
+Returns { messages, tokens, dropped } ready for chat.completions.
+The fixed part (instructions, ruleset, vehicle, DTCs, step,
+results, earlier visits, shop fixes) is never cut; only conversation history is.
+*/
+export function buildQuestionMessages({
+  instructions,
+  ruleset = "",
+  state = {},
+  intent,
+  domain,
+  dtc,
+  vehicle = {},
+  message = "",
+  context = [],
+  safetyWarnings = [],
+  fixRankings = [],
+  budget = getTokenBudget()
+}) {
+  const warnings = safetyWarnings.length
+    ? `Safety warnings to respect:\n${safetyWarnings.map((w) => `- ${w.warning || w}`).join("\n")}`
+    : "";
+
+  const system = [instructions, ruleset].filter(Boolean).join("\n");
+  const caseFile = [
+    vehicleBlock(vehicle),
+    dtcBlock(state, dtc, vehicle),
+    intentBlock(domain, intent),
+    historyBlock(state),
+    describeVehicleHistory(state.vehicleHistory, state.activeDTCs),
+    describeFixRankings(fixRankings),
+    warnings
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+
+  const current = message ? { role: "user", content: clip(message, TURN_CHAR_LIMIT * 2) } : null;
+  const fixedTokens = estimateTokens(system) + estimateTokens(caseFile) + estimateTokens(current?.content);
+
+  // Clients often include the current message as the last turn
+  const turns = normalizeTurns(context);
+  const last = turns[turns.length - 1];
+  if (current && last?.role === "user" && last.content.trim() === String(message).trim()) turns.pop();
+
+  const { digest, recent, dropped } = fitTurns(turns, Math.max(0, budget - fixedTokens));
+
+  const messages = [
+    { role: "system", content: system },
+    { role: "system", content: digest ? `${caseFile}\n\n${digest}` : caseFile },
+    ...recent,
+    ...(current ? [current] : [])
+  ];
+
+  return {
+    messages,
+    tokens: sum(messages.map((m) => estimateTokens(m.content))),
+    dropped
+  };
+}
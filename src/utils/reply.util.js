@@ -0,0 +1,203 @@
+// ------------------------------------------------------
+// REPLY METADATA — what a /chat reply is, for the UI
+// Type, domain / intent / tier, DTC and step progress, and
+// the answer GRIT expects next, so the front end can show
+// quick replies and a progress bar instead of parsing prose.
+// ------------------------------------------------------
+
+import { randomUUID } from "node:crypto";
+import { getIntentCatalog, getIntentMeta } from "../rules/domain.catalogs.js";
+import { DIAGNOSTIC_FLOWS } from "../rules/diagnostic.flows.js";
+import { GRIT_RULESET_VERSION } from "../rules/grit.ruleset.js";
+import { KIND_UNITS } from "./measurement.util.js";
+
+export const REPLY_TYPES = {
+  safety_stop: "safety_stop",
+  engine_choice: "engine_choice",
+  vehicle_required: "vehicle_required",
+  dtc_explanation: "dtc_explanation",
+  network_check: "network_check",
+  question: "question",
+  flow_step: "flow_step",
+  flow_conclusion: "flow_conclusion",
+  ladder_exhausted: "ladder_exhausted",
+  interlock_update: "interlock_update",
+  awaiting_answer: "awaiting_answer"
+};
+
+export const ANSWER_KINDS = {
+  yes_no_access: "yes_no_access", // yes / no / not accessible
+  yes_no: "yes_no",
+  choice: "choice",
+  numeric: "numeric",              // value + unit (parsed by measurement.util)
+  free_text: "free_text",
+  continue: "continue",            // any reply moves on
+  none: "none"
+};
+
+const ACCESS_OPTIONS = ["yes", "no", "not accessible"];
+const REPLY_LOG_LIMIT = 20;
+const EXCERPT_CHARS = 280;
+const VEHICLE_FIELDS = ["year", "make", "model", "engine"];
+
+// Ladder steps answered with a reading rather than yes/no
+const INTENT_MEASURES = {
+  dlc_resistance_check: ["resistance"],
+  bus_voltage_check: ["voltage"],
+  module_power_ground_check: ["voltage", "voltage_drop"],
+  battery_state_review: ["voltage"],
+  battery_load_test: ["voltage"],
+  cranking_voltage_drop: ["voltage_drop"],
+  starter_command_check: ["voltage"],
+  compression_test: ["compression"],
+  static_pressure_check: ["fuel_pressure"],
+  purge_valve_check: ["vacuum"]
+};
+
+/* ======================================================
+   EXPECTED ANSWER
+====================================================== */
+function numericAnswer(kinds, options = []) {
+  return { kind: ANSWER_KINDS.numeric, options, unit: KIND_UNITS[kinds[0]] || null, measures: kinds };
+}
+
+function flowPhase(state) {
+  return DIAGNOSTIC_FLOWS[state.activePath]?.phases?.[state.phase] || null;
+}
+
+function flowAnswer(phase) {
+  if (phase.measures) {
+    return numericAnswer(phase.measures.kinds, phase.expects === "choice" ? Object.keys(phase.options) : ["yes", "no"]);
+  }
+  if (phase.expects === "choice") return { kind: ANSWER_KINDS.choice, options: Object.keys(phase.options) };
+  return { kind: ANSWER_KINDS.yes_no, options: ["yes", "no"] };
+}
+
+function questionAnswer(state) {
+  const phase = flowPhase(state);
+  if (phase && state.phase !== "concluded") return flowAnswer(phase);
+
+  const measures = INTENT_MEASURES[state.lastQuestion];
+  if (measures) return numericAnswer(measures, ["not accessible"]);
+
+  return getIntentMeta(state.domain, state.lastQuestion)
+    ? { kind: ANSWER_KINDS.yes_no_access, options: ACCESS_OPTIONS }
+    : { kind: ANSWER_KINDS.free_text, options: [] };
+}
+
+function expectedAnswer(type, state, result) {
+  switch (type) {
+    case REPLY_TYPES.engine_choice:
+      return { kind: ANSWER_KINDS.choice, options: result.engineCandidates.map((c) => c.label) };
+    case REPLY_TYPES.vehicle_required:
+      return {
+        kind: ANSWER_KINDS.free_text,
+        options: [],
+        missing: VEHICLE_FIELDS.filter((field) => !result.vehicle?.[field])
+      };
+    case REPLY_TYPES.dtc_explanation:
+      return { kind: ANSWER_KINDS.continue, options: ["continue"] };
+    case REPLY_TYPES.flow_conclusion:
+    case REPLY_TYPES.ladder_exhausted:
+      return { kind: ANSWER_KINDS.none, options: [] };
+    default: // questions, and stops / nudges that leave the last one open
+      return state.awaitingResponse ? questionAnswer(state) : { kind: ANSWER_KINDS.free_text, options: [] };
+  }
+}
+
+/* ======================================================
+   PROGRESS
+====================================================== */
+function dtcProgress(state) {
+  const active = state.activeDTCs || [];
+  const explainedCount = state.lastExplainedDTC ? active.indexOf(state.lastExplainedDTC) + 1 : 0;
+
+  return {
+    active,
+    primary: state.primaryDTC,
+    explained: active.slice(0, explainedCount),
+    pending: active.slice(explainedCount),
+    comebacks: (state.comebacks || []).map((c) => c.dtc)
+  };
+}
+
+function ladderProgress(state) {
+  const intents = Object.keys(getIntentCatalog(state.domain));
+  const index = intents.indexOf(state.lastQuestion);
+  return index === -1 ? null : { step: index + 1, total: intents.length };
+}
+
+function flowProgress(state) {
+  if (!state.activePath) return null;
+  return {
+    path: state.activePath,
+    phase: state.phase,
+    answered: state.flowHistory.length,
+    concluded: Boolean(state.flowConclusion)
+  };
+}
+
+/* ======================================================
+   PUBLIC API
+====================================================== */
+/*
+Returns { type, domain, intent, tier, dtcs, progress, answer, degraded }
+for a turn result (after the safety layer) and the saved state.
+*/
+export function describeTurn(state, result) {
+  const type = result.safetyStop ? REPLY_TYPES.safety_stop : result.type || REPLY_TYPES.question;
+  const meta = getIntentMeta(state.domain, state.lastQuestion);
+
+  return {
+    type,
+    domain: state.domain,
+    intent: state.lastQuestion,
+    tier: meta?.tier || null,
+    dtcs: dtcProgress(state),
+    progress: {
+      ladder: ladderProgress(state),
+      flow: flowProgress(state)
+    },
+    answer: expectedAnswer(type, state, result),
+    degraded: Boolean(result.degraded)
+  };
+}
+
+/* ======================================================
+   REPLY LOG
+   What GRIT said and where it stood when it said it, so
+   feedback on a reply carries the context of that moment.
+====================================================== */
+function replyEngineCode(state, vehicle = {}) {
+  const saved = state.vehicleContext || {};
+  if (vehicle.engineDetails?.code) return vehicle.engineDetails.code;
+  return (saved.engine && saved.engine === vehicle.engine && saved.engineCode) || null;
+}
+
+export function recordReply(state, result, meta) {
+  const replyId = randomUUID();
+  const { year, make, model, engine, vin } = result.vehicle || {};
+
+  state.replyLog = [
+    ...(state.replyLog || []),
+    {
+      replyId,
+      at: new Date().toISOString(),
+      type: meta.type,
+      domain: meta.domain,
+      intent: meta.intent,
+      tier: meta.tier,
+      dtcs: meta.dtcs.active,
+      primaryDTC: meta.dtcs.primary,
+      vehicle: { year, make, model, engine, engineCode: replyEngineCode(state, result.vehicle), vin },
+      rulesetVersion: GRIT_RULESET_VERSION,
+      excerpt: String(result.reply || "").slice(0, EXCERPT_CHARS)
+    }
+  ].slice(-REPLY_LOG_LIMIT);
+
+  return replyId;
+}
+
+export function findReply(state, replyId) {
+  return (state?.replyLog || []).find((entry) => entry.replyId === replyId) || null;
+}
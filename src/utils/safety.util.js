@@ -87,27 +87,346 @@ export const SAFETY_HARD_STOPS = [
   }
 ];
 
+export function findSafetyHardStop(msg) {
+  return SAFETY_HARD_STOPS.find((rule) => rule.match.test(msg)) || null;
+}
+
 export function checkSafetyHardStop(msg) {
-  for (const rule of SAFETY_HARD_STOPS) {
-    if (rule.match.test(msg)) return rule.reply;
+  return findSafetyHardStop(msg)?.reply || null;
+}
+
+// ------------------------------------------------------
+// MODEL OUTPUT SCAN
+// The model is allowed to WARN about a hard-stop action
+// ("Do NOT probe SRS circuits"), never to INSTRUCT it.
+// A match only passes when the negation governs the action
+// itself — "Don't forget to probe the airbag" still stops.
+// ------------------------------------------------------
+const NEGATED_ACTION =
+  /\b(do not|don'?t|never|avoid|no one should|must not|should not|shouldn'?t|stop)\s+((ever|just|try(ing)? to|attempt(ing)? to|use|using|a|an|the|any)\s+)*$/i;
+
+function splitSentences(text = "") {
+  return String(text || "")
+    .split(/(?<=[.!?])\s+|\n+/)
+    .filter((sentence) => sentence.trim());
+}
+
+// True when `rx` matches an action in `sentence` that isn't negated
+function instructs(sentence, rx) {
+  for (let from = 0; from < sentence.length; ) {
+    const match = rx.exec(sentence.slice(from));
+    if (!match) return false;
+
+    const at = from + match.index;
+    if (!NEGATED_ACTION.test(sentence.slice(0, at))) return true;
+    from = at + 1;
   }
+
+  return false;
+}
+
+export function checkModelHardStop(text = "") {
+  for (const sentence of splitSentences(text)) {
+    const rule = SAFETY_HARD_STOPS.find((r) => instructs(sentence, r.match));
+    if (rule) return { id: rule.id, reply: rule.reply, sentence: sentence.trim() };
+  }
+
   return null;
 }
 
+// ------------------------------------------------------
+// STREAM GUARD
+// Streamed model text is released whole sentences at a
+// time, after `check` (the same test the full reply gets).
+// The first blocked sentence ends the stream for the
+// client; the final reply carries the stop.
+// ------------------------------------------------------
+const SENTENCE_BOUNDARY = /[.!?](?=\s)|\n/g;
+
+export function createStreamGuard(check, emit) {
+  let buffer = "";
+  let blocked = null;
+
+  function release(text) {
+    if (blocked || !text) return;
+    blocked = check(text);
+    if (!blocked) emit(text);
+  }
+
+  return {
+    push(token) {
+      if (blocked) return;
+      buffer += token;
+
+      const ends = [...buffer.matchAll(SENTENCE_BOUNDARY)];
+      if (!ends.length) return;
+
+      const cut = ends[ends.length - 1].index + 1;
+      release(buffer.slice(0, cut));
+      buffer = buffer.slice(cut);
+    },
+
+    flush() {
+      release(buffer);
+      buffer = "";
+    },
+
+    get blocked() {
+      return blocked;
+    }
+  };
+}
+
 export function collectSafetyWarnings(blocks = []) {
   const text = blocks.filter(Boolean).join(" ").toLowerCase();
   const warnings = [];
 
   for (const rule of SAFETY_WARNINGS) {
     if (rule.triggers.some((rx) => rx.test(text))) {
-      warnings.push(rule.warning);
+      warnings.push({ id: rule.id, warning: rule.warning });
+    }
+  }
+
+  return warnings;
+}
+
+// ------------------------------------------------------
+// SAFETY ENGINE — Persistent interlocks (Layer 4)
+// Once a session touches HV / SRS / GDI high-pressure work,
+// probing or disconnect steps stay locked until every
+// precondition is confirmed. Confirmations are logged with
+// a timestamp on the session (liability record), so chat
+// only counts a plain affirmative statement — anything
+// negated, pending or asked is left for the tech to confirm
+// outright (POST /sessions/:id/interlocks/.../confirm).
+// ------------------------------------------------------
+
+const MINUTE = 60 * 1000;
+
+export const SAFETY_INTERLOCKS = [
+  {
+    id: "hv_system",
+    label: "High-voltage system",
+    domains: ["hybrid_ev"],
+    triggers: [/high voltage/i, /orange cable/i, /\bhv\b/i, /inverter/i, /hybrid battery/i],
+    preconditions: [
+      {
+        id: "hv_service_disconnect_removed",
+        label: "HV service disconnect removed and stored in your pocket (HV gloves on)",
+        confirm: [
+          /^(i )?(pulled|removed) (the )?(hv )?service (disconnect|plug)\b/i,
+          /^(the )?(hv )?service (disconnect|plug) (is |has been |was )?(pulled|removed|out)\b/i
+        ]
+      },
+      {
+        id: "hv_zero_volts_verified",
+        label: "Zero volts verified at the inverter / HV bus with a CAT III meter (after the OEM wait time)",
+        confirm: [
+          /^(i )?verified (zero|0) ?v(olts?)?\b/i,
+          /^(zero|0) ?v(olts?)? (is |was |has been )?(verified|confirmed)\b/i
+        ]
+      }
+    ],
+    blocks: /(probe|back-?probe|test|measure|disconnect|unplug|remove|open).*(orange|high voltage|\bhv\b|inverter|hybrid battery|contactor)/i
+  },
+  {
+    id: "srs_system",
+    label: "SRS / airbag system",
+    domains: ["srs_airbag"],
+    triggers: [/\bsrs\b/i, /airbag/i, /clock spring/i, /seat belt pretensioner/i],
+    preconditions: [
+      {
+        id: "srs_battery_disconnected",
+        label: "Battery negative disconnected and isolated",
+        confirm: [
+          /^(i )?(disconnected|removed|unhooked|pulled) (the )?(battery|negative|neg)\b/i,
+          /^(the )?(battery|negative|neg)( (negative|neg|cable|terminal|battery)){0,2} (is |has been |was )?(disconnected|removed|unhooked|off)\b/i
+        ]
+      },
+      {
+        id: "srs_wait_elapsed",
+        label: "SRS capacitor discharge wait (10 minutes) elapsed after battery disconnect",
+        after: "srs_battery_disconnected",
+        waitMs: 10 * MINUTE
+      }
+    ],
+    blocks: /(disconnect|unplug|remove|replace|probe|test|measure).*(airbag|srs|clock spring|pretensioner|inflator)/i
+  },
+  {
+    id: "gdi_fuel",
+    label: "GDI high-pressure fuel system",
+    domains: [],
+    // "rail pressure" alone is port injection too; DI engines engage
+    // it from their traits (grit.service.js applySafetyLayer)
+    triggers: [/\bgdi\b/i, /direct injection/i, /high[- ]pressure fuel/i, /\bhpfp\b/i],
+    preconditions: [
+      {
+        id: "gdi_rail_depressurized",
+        label: "High-pressure rail depressurized per OEM procedure and verified near 0 psi on scan data",
+        confirm: [
+          /^(i )?(depressuri[sz]ed|bled down|relieved) (the )?(fuel )?(rail|fuel system|fuel pressure)\b/i,
+          /^(the )?(high[- ]pressure )?(fuel )?(rail|fuel system|fuel pressure) (is |has been |was )?(depressuri[sz]ed|bled down|relieved)\b/i
+        ]
+      }
+    ],
+    blocks: /(open|loosen|disconnect|remove|crack).*(fuel line|rail|injector|high[- ]pressure|hpfp|pump line)/i
+  }
+];
+
+function getInterlockRule(id) {
+  return SAFETY_INTERLOCKS.find((rule) => rule.id === id) || null;
+}
+
+// Engages every interlock whose domain or trigger this turn touched.
+export function engageSafetyInterlocks(state, { domain, blocks = [] } = {}) {
+  const text = blocks.filter(Boolean).join(" ");
+
+  for (const rule of SAFETY_INTERLOCKS) {
+    if (state.safetyInterlocks[rule.id]) continue;
+
+    const touched =
+      rule.domains.includes(domain) || rule.triggers.some((rx) => rx.test(text));
+    if (!touched) continue;
+
+    state.safetyInterlocks[rule.id] = {
+      engagedAt: new Date().toISOString(),
+      confirmations: {}
+    };
+  }
+}
+
+// Records a confirmation once. `via` is "chat" | "api".
+export function confirmInterlockPrecondition(state, interlockId, preconditionId, { via = "api", text = "" } = {}) {
+  const rule = getInterlockRule(interlockId);
+  const interlock = state.safetyInterlocks[interlockId];
+  const pre = rule?.preconditions.find((p) => p.id === preconditionId);
+
+  if (!rule || !interlock || !pre || pre.waitMs) return null;
+  if (interlock.confirmations[preconditionId]) return interlock.confirmations[preconditionId];
+
+  const entry = { at: new Date().toISOString(), via, text: String(text || "") };
+  interlock.confirmations[preconditionId] = entry;
+
+  state.safetyLog.push({
+    interlock: interlockId,
+    precondition: preconditionId,
+    ...entry
+  });
+
+  return entry;
+}
+
+// Negated ("not pulled yet"), pending ("about to") and question
+// forms never count as a confirmation
+const NOT_AFFIRMATIVE =
+  /\?|\b(not|no|never|yet|should|shall|could|would|can|will|going to|gonna|need to|have to|about to|before|want to|do i|did i|is it|ok to)\b|n['’]t\b/i;
+
+// Each sentence / clause that states something outright, trimmed of "ok," / "done," lead-ins
+function affirmativeClauses(message = "") {
+  return String(message)
+    .split(/(?<=[.!;\n])\s*|,\s*(?:and\s+)?|\s+and\s+/i)
+    .map((clause) => clause.trim().replace(/^(ok(ay)?|done|yes|yep|alright|confirmed)[,:]?\s+/i, ""))
+    .filter(Boolean);
+}
+
+// Confirmations typed into chat ("service disconnect pulled").
+// The whole message must be affirmative; patterns are anchored to
+// the start of a clause so "the battery light is off" doesn't count.
+// Returns the ones this message newly recorded: [{ interlock, precondition, label }]
+export function recordInterlockConfirmations(state, message = "") {
+  const recorded = [];
+  if (NOT_AFFIRMATIVE.test(message)) return recorded;
+  const clauses = affirmativeClauses(message);
+
+  for (const rule of SAFETY_INTERLOCKS) {
+    const interlock = state.safetyInterlocks[rule.id];
+    if (!interlock) continue;
+
+    for (const pre of rule.preconditions) {
+      if (!pre.confirm || interlock.confirmations[pre.id]) continue;
+      if (clauses.some((clause) => pre.confirm.some((rx) => rx.test(clause)))) {
+        confirmInterlockPrecondition(state, rule.id, pre.id, { via: "chat", text: message });
+        recorded.push({ interlock: rule.id, precondition: pre.id, label: pre.label });
+      }
     }
   }
 
-  return [...new Set(warnings)];
+  return recorded;
+}
+
+// When a wait precondition is satisfied (ms), null until its start is confirmed
+function waitReadyAt(interlock, pre) {
+  const start = interlock.confirmations[pre.after];
+  return start ? Date.parse(start.at) + pre.waitMs : null;
+}
+
+function isPreconditionMet(interlock, pre, now = Date.now()) {
+  if (pre.waitMs) {
+    const readyAt = waitReadyAt(interlock, pre);
+    return Boolean(readyAt && now >= readyAt);
+  }
+  return Boolean(interlock.confirmations[pre.id]);
+}
+
+export function getInterlockStatus(state) {
+  return Object.keys(state.safetyInterlocks || {}).map((id) => {
+    const rule = getInterlockRule(id);
+    const interlock = state.safetyInterlocks[id];
+    const outstanding = rule.preconditions
+      .filter((pre) => !isPreconditionMet(interlock, pre))
+      .map((pre) => {
+        const readyAt = pre.waitMs ? waitReadyAt(interlock, pre) : null;
+        return { id: pre.id, label: pre.label, ...(readyAt ? { readyAt: new Date(readyAt).toISOString() } : {}) };
+      });
+
+    return {
+      id,
+      label: rule.label,
+      engagedAt: interlock.engagedAt,
+      satisfied: outstanding.length === 0,
+      outstanding
+    };
+  });
 }
 
+// Returns the refusal reply when `text` gives a locked step, else null.
+export function checkInterlockBlock(state, text = "") {
+  for (const status of getInterlockStatus(state)) {
+    if (status.satisfied) continue;
+
+    const rule = getInterlockRule(status.id);
+    if (!splitSentences(text).some((sentence) => instructs(sentence, rule.blocks))) continue;
+
+    const items = status.outstanding.map((o) => `• ${o.label}`).join("\n");
+    return {
+      id: status.id,
+      reply: `🔒 Safety interlock — ${rule.label}. I won't give probing or disconnect steps until you confirm:\n${items}`
+    };
+  }
+
+  return null;
+}
 
+function describeOutstanding(o, now = Date.now()) {
+  if (!o.readyAt) return `• ${o.label}`;
+  const minutes = Math.max(1, Math.ceil((Date.parse(o.readyAt) - now) / MINUTE));
+  return `• ${o.label} — about ${minutes} min to go`;
+}
 
+// Chat reply for confirmations: what was logged, then what each
+// touched interlock still needs before its locked steps open up.
+export function describeInterlockConfirmations(state, recorded = []) {
+  if (!recorded.length) return "";
 
+  const logged = recorded.map((r) => `✅ Logged: ${r.label}`);
+  const touched = new Set(recorded.map((r) => r.interlock));
+  const status = getInterlockStatus(state)
+    .filter((s) => touched.has(s.id))
+    .map((s) =>
+      s.satisfied
+        ? `🔓 ${s.label} — every precondition is confirmed.`
+        : `🔒 ${s.label} — still outstanding:\n${s.outstanding.map((o) => describeOutstanding(o)).join("\n")}`
+    );
 
+  return [...logged, "", ...status].join("\n");
+}
@@ -0,0 +1,31 @@
+// ------------------------------------------------------
+// SSE — Server-Sent Events over an Express response
+// send(event, data) writes one JSON event; a comment line
+// every HEARTBEAT_MS keeps proxies from closing idle streams.
+// ------------------------------------------------------
+
+const HEARTBEAT_MS = 15000;
+
+export function openEventStream(res) {
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no" // nginx: don't buffer the stream
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), HEARTBEAT_MS);
+
+  return {
+    send(event, data) {
+      if (res.writableEnded || res.destroyed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+
+    close() {
+      clearInterval(heartbeat);
+      if (!res.writableEnded) res.end();
+    }
+  };
+}
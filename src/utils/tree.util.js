@@ -0,0 +1,354 @@
+// ------------------------------------------------------
+// DIAGNOSTIC TREE — parse, validate, normalize, traverse
+// The model's JSON is never trusted as-is: fences are
+// stripped, the shape is checked, branches must point at
+// real test nodes, and causes are ranked by code.
+// Saved trees are then walked node by node (see tree.store.js).
+// ------------------------------------------------------
+
+export const TREE_END = "end";
+
+export class TreeValidationError extends Error {
+  constructor(errors = [], raw = "") {
+    super(`Invalid diagnostic tree: ${errors.join("; ")}`);
+    this.name = "TreeValidationError";
+    this.status = 502;
+    this.errors = errors;
+    this.raw = raw;
+  }
+}
+
+// Shape sent to the model — keep in sync with validateTree
+export const TREE_TEMPLATE = `{
+  "symptom_summary": "",
+  "likely_causes": [
+    { "cause": "", "confidence": 0.0, "notes": "" }
+  ],
+  "tests": [
+    { "id": "T1", "test": "", "why": "", "how": "", "tools": "" }
+  ],
+  "branching_logic": [
+    { "from": "T1", "if": "", "next": "T2 or ${TREE_END}" }
+  ],
+  "red_flags": [],
+  "recommended_next_steps": []
+}`;
+
+/* ======================================================
+   PARSE
+====================================================== */
+export function stripCodeFences(text = "") {
+  const t = String(text || "").trim();
+
+  const fenced = t.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const body = fenced ? fenced[1] : t;
+
+  // Drop any prose around the object
+  const start = body.indexOf("{");
+  const end = body.lastIndexOf("}");
+  return start !== -1 && end > start ? body.slice(start, end + 1) : body.trim();
+}
+
+export function parseTreeJson(text) {
+  try {
+    return { json: JSON.parse(stripCodeFences(text)), errors: [] };
+  } catch (err) {
+    return { json: null, errors: [`Response is not valid JSON (${err.message})`] };
+  }
+}
+
+/* ======================================================
+   VALIDATE
+====================================================== */
+const isText = (v) => typeof v === "string" && v.trim().length > 0;
+
+function checkStringArray(errors, tree, key) {
+  if (tree[key] === undefined) return;
+  if (!Array.isArray(tree[key]) || !tree[key].every((v) => typeof v === "string")) {
+    errors.push(`${key} must be an array of strings`);
+  }
+}
+
+export function validateTree(tree) {
+  const errors = [];
+
+  if (!tree || typeof tree !== "object" || Array.isArray(tree)) {
+    return { valid: false, errors: ["Tree must be a JSON object"] };
+  }
+
+  if (!isText(tree.symptom_summary)) errors.push("symptom_summary must be a non-empty string");
+
+  if (!Array.isArray(tree.likely_causes) || !tree.likely_causes.length) {
+    errors.push("likely_causes must be a non-empty array");
+  } else {
+    tree.likely_causes.forEach((c, i) => {
+      if (!isText(c?.cause)) errors.push(`likely_causes[${i}].cause must be a non-empty string`);
+      if (typeof c?.confidence !== "number" || c.confidence < 0 || c.confidence > 1) {
+        errors.push(`likely_causes[${i}].confidence must be a number between 0 and 1`);
+      }
+    });
+  }
+
+  const ids = new Set();
+  if (!Array.isArray(tree.tests) || !tree.tests.length) {
+    errors.push("tests must be a non-empty array");
+  } else {
+    tree.tests.forEach((t, i) => {
+      if (!isText(t?.id)) errors.push(`tests[${i}].id must be a non-empty string`);
+      else if (ids.has(t.id) || t.id === TREE_END) errors.push(`tests[${i}].id "${t.id}" is not unique`);
+      else ids.add(t.id);
+
+      for (const field of ["test", "why", "how", "tools"]) {
+        if (!isText(t?.[field])) errors.push(`tests[${i}].${field} must be a non-empty string`);
+      }
+    });
+  }
+
+  if (tree.branching_logic !== undefined && !Array.isArray(tree.branching_logic)) {
+    errors.push("branching_logic must be an array");
+  } else {
+    (tree.branching_logic || []).forEach((b, i) => {
+      if (!isText(b?.if)) errors.push(`branching_logic[${i}].if must be a non-empty string`);
+      if (!ids.has(b?.from)) errors.push(`branching_logic[${i}].from "${b?.from}" is not a test id`);
+      if (b?.next !== TREE_END && !ids.has(b?.next)) {
+        errors.push(`branching_logic[${i}].next "${b?.next}" must be a test id or "${TREE_END}"`);
+      }
+    });
+  }
+
+  checkStringArray(errors, tree, "red_flags");
+  checkStringArray(errors, tree, "recommended_next_steps");
+
+  return { valid: errors.length === 0, errors };
+}
+
+/* ======================================================
+   NORMALIZE (valid trees only)
+====================================================== */
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Competing causes: duplicates merged (highest wins), and if the
+// model's confidences add up past 1 they are scaled back to 1.
+function normalizeCauses(causes) {
+  const byName = new Map();
+  for (const c of causes) {
+    const key = c.cause.trim().toLowerCase();
+    const prev = byName.get(key);
+    if (!prev || c.confidence > prev.confidence) {
+      byName.set(key, { cause: c.cause.trim(), confidence: c.confidence, notes: String(c.notes || "").trim() });
+    }
+  }
+
+  const list = [...byName.values()];
+  const total = list.reduce((sum, c) => sum + c.confidence, 0);
+  const scale = total > 1 ? 1 / total : 1;
+
+  return list
+    .map((c) => ({ ...c, confidence: round2(c.confidence * scale) }))
+    .sort((a, b) => b.confidence - a.confidence);
+}
+
+const trimAll = (list = []) => list.map((s) => s.trim()).filter(Boolean);
+
+export function normalizeTree(tree) {
+  return {
+    symptom_summary: tree.symptom_summary.trim(),
+    likely_causes: normalizeCauses(tree.likely_causes),
+    tests: tree.tests.map((t) => ({
+      id: t.id.trim(),
+      test: t.test.trim(),
+      why: t.why.trim(),
+      how: t.how.trim(),
+      tools: t.tools.trim()
+    })),
+    branching_logic: (tree.branching_logic || []).map((b, i) => ({
+      id: `B${i + 1}`,
+      from: b.from,
+      if: b.if.trim(),
+      next: b.next
+    })),
+    red_flags: [...new Set(trimAll(tree.red_flags))],
+    recommended_next_steps: trimAll(tree.recommended_next_steps)
+  };
+}
+
+// Removing a test (safety filter) must not leave dangling branches
+export function pruneBranches(tree) {
+  const ids = new Set(tree.tests.map((t) => t.id));
+  return {
+    ...tree,
+    branching_logic: tree.branching_logic.filter(
+      (b) => ids.has(b.from) && (b.next === TREE_END || ids.has(b.next))
+    )
+  };
+}
+
+/* ======================================================
+   TRAVERSAL — saved trees worked as a checklist
+====================================================== */
+// Outcome words only — bare negations ("no", "not") and "yes" / "present"
+// say nothing on their own ("no vacuum" may be the good result).
+const FAIL_RX = /\b(fail(s|ed)?|bad|abnormal|out of (spec|range)|too (high|low)|short(ed)?|leak(s|ing)?)\b/i;
+const PASS_RX = /\b(pass(es|ed)?|ok(ay)?|good|normal|within (spec|range)|in spec|correct)\b/i;
+const NEGATION_BEFORE_RX = /\b(no|not|never|without)\s+(\w+\s+)?$/i;
+const STOPWORDS = new Set(["the", "and", "if", "is", "are", "was", "with", "then", "than", "for", "that", "this", "test", "result", "any", "does", "did", "has", "have"]);
+const NEGATORS = new Set(["no", "not", "never", "without", "zero", "none"]);
+const POST_NEGATORS = new Set(["absent", "missing", "gone"]);
+
+function polarity(text = "") {
+  const t = String(text);
+  for (const [rx, found, flipped] of [[FAIL_RX, "fail", "pass"], [PASS_RX, "pass", "fail"]]) {
+    const m = t.match(rx);
+    if (m) return NEGATION_BEFORE_RX.test(t.slice(0, m.index)) ? flipped : found;
+  }
+  return null;
+}
+
+// Crude stem so "leaks" / "leaking" / "leaked" and "holds" / "hold" meet
+function stem(word) {
+  const w = word.length > 5 ? word.replace(/(ing|ed)$/, "") : word;
+  return w.replace(/sses$/, "ss").replace(/([^s])s$/, "$1");
+}
+
+/*
+Content words of a condition or answer -> Map(stem -> negated).
+A negation covers the next content word ("no vacuum", "does not
+hold vacuum" -> hold); "absent" / "missing" cover the one before.
+*/
+function analyze(text = "") {
+  const tokens = String(text).toLowerCase().replace(/n't\b/g, " not").match(/[a-z0-9.]+/g) || [];
+  const found = new Map();
+  let negateNext = false;
+  let last = null;
+
+  for (const token of tokens) {
+    if (NEGATORS.has(token)) {
+      negateNext = true;
+      continue;
+    }
+    if (POST_NEGATORS.has(token)) {
+      if (last) found.set(last, true);
+      continue;
+    }
+    if (token.length < 3 || STOPWORDS.has(token)) continue;
+
+    const w = stem(token);
+    found.set(w, negateNext || found.get(w) === true);
+    negateNext = false;
+    last = w;
+  }
+
+  return found;
+}
+
+/*
+A branch matches clearly when more of the words it shares with the
+answer agree on negation than disagree, or — sharing none — when
+both carry the same pass/fail outcome. Opposite outcomes never match.
+*/
+function matchesCondition(answer, condition) {
+  const rp = polarity(answer);
+  const bp = polarity(condition);
+  if (rp && bp && rp !== bp) return false;
+
+  const a = analyze(answer);
+  const c = analyze(condition);
+  let agree = 0;
+  let disagree = 0;
+  for (const [w, negated] of a) {
+    if (!c.has(w)) continue;
+    if (c.get(w) === negated) agree++;
+    else disagree++;
+  }
+
+  if (agree || disagree) return agree > disagree;
+  return Boolean(rp && bp === rp);
+}
+
+export function findTestNode(tree, nodeId) {
+  return tree.tests.find((t) => t.id === nodeId) || null;
+}
+
+export function createTraversal(tree) {
+  return {
+    status: "in_progress",
+    currentNode: tree.tests[0]?.id || null,
+    log: []
+  };
+}
+
+/*
+Picks the branch out of `nodeId` that matches the reported result —
+only when exactly one branch's condition matches it clearly.
+Returns { branch } | { branch: null } (no branches) | { ambiguous: true, options }
+*/
+export function selectBranch(tree, nodeId, { result, branchId } = {}) {
+  const branches = tree.branching_logic.filter((b) => b.from === nodeId);
+
+  if (branchId) {
+    const branch = branches.find((b) => b.id === branchId);
+    return branch ? { branch } : { ambiguous: true, options: branches };
+  }
+  if (!branches.length) return { branch: null };
+
+  const matched = branches.filter((b) => matchesCondition(result, b.if));
+  if (matched.length === 1) return { branch: matched[0] };
+
+  return { ambiguous: true, options: matched.length ? matched : branches };
+}
+
+// No branch out of a node -> the next test in order
+function nextNodeId(tree, nodeId, branch) {
+  if (branch) return branch.next === TREE_END ? null : branch.next;
+
+  const idx = tree.tests.findIndex((t) => t.id === nodeId);
+  return tree.tests[idx + 1]?.id || null;
+}
+
+/*
+Records one result against a node. Returns a new traversal and
+{ branch, next, ambiguous, options } — an ambiguous result is not
+logged; the tech picks a branchId and reports again.
+*/
+export function applyNodeResult(tree, traversal, { nodeId, result, note, branchId }) {
+  const pick = selectBranch(tree, nodeId, { result, branchId });
+  if (pick.ambiguous) {
+    return { traversal, outcome: { ambiguous: true, options: pick.options, next: null } };
+  }
+
+  const next = nextNodeId(tree, nodeId, pick.branch);
+  const entry = {
+    node: nodeId,
+    result: String(result ?? "").trim(),
+    note: note ? String(note).trim() : null,
+    branch: pick.branch?.id || null,
+    condition: pick.branch?.if || null,
+    next: next || TREE_END,
+    at: new Date().toISOString()
+  };
+
+  return {
+    traversal: {
+      status: next ? "in_progress" : "completed",
+      currentNode: next,
+      log: [...traversal.log, entry]
+    },
+    outcome: { ambiguous: false, branch: pick.branch, next }
+  };
+}
+
+export function buildChecklist(tree, traversal) {
+  return tree.tests.map((t) => {
+    const last = [...traversal.log].reverse().find((e) => e.node === t.id);
+    return {
+      id: t.id,
+      test: t.test,
+      status: last
+        ? "done"
+        : t.id === traversal.currentNode
+          ? "current"
+          : traversal.status === "completed" ? "skipped" : "pending",
+      result: last?.result ?? null
+    };
+  });
+}
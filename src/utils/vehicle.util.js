@@ -1,6 +1,97 @@
+import { MAKE_ALIASES, YMM_ENGINES } from "../rules/vehicle.engines.js";
+
+export function normalizeMake(make = "") {
+  const m = String(make || "").trim().toLowerCase().replace(/\s+/g, " ");
+  return MAKE_ALIASES[m] || m;
+}
+
+export function normalizeModel(model = "", make = "") {
+  const m = String(model || "").trim().toLowerCase();
+  const withoutMake = make && m.startsWith(`${make} `) ? m.slice(make.length + 1) : m;
+  return withoutMake.replace(/[^a-z0-9]/g, "");
+}
+
+// All engines offered for this YMM (exact model first, then prefix:
+// "Silverado" matches "Silverado 1500").
+export function getEngineOptionsForYMM(vehicle = {}) {
+  const year = Number(vehicle.year);
+  const make = normalizeMake(vehicle.make);
+  const model = normalizeModel(vehicle.model, make);
+  if (!year || !make || !model) return [];
+
+  const forYear = YMM_ENGINES.filter(
+    (e) => e.make === make && year >= e.years[0] && year <= e.years[1]
+  );
+
+  const exact = forYear.filter((e) => e.model === model);
+  const entries = exact.length ? exact : forYear.filter((e) => e.model.startsWith(model));
+
+  const seen = new Set();
+  return entries
+    .flatMap((e) => e.engines)
+    .filter((engine) => {
+      if (seen.has(engine.label)) return false;
+      seen.add(engine.label);
+      return true;
+    });
+}
+
+/*
+status:
+  provided  — tech/VIN already gave an engine
+  inferred  — exactly one engine fits the YMM
+  ambiguous — several fit; `candidates` lists them
+  unknown   — YMM not in the dataset
+*/
+export function inferEngineFromYMM(vehicle = {}) {
+  if (vehicle.engine) {
+    return { status: "provided", engine: vehicle.engine, engineCode: null, candidates: [] };
+  }
+
+  const candidates = getEngineOptionsForYMM(vehicle);
+
+  if (candidates.length === 1) {
+    const [only] = candidates;
+    return { status: "inferred", engine: only.label, engineCode: only.code || null, candidates };
+  }
+
+  return {
+    status: candidates.length ? "ambiguous" : "unknown",
+    engine: "",
+    engineCode: null,
+    candidates
+  };
+}
+
 export function inferEngineStringFromYMM(vehicle) {
-  if (vehicle.engine) return vehicle.engine;
-  return "";
+  return inferEngineFromYMM(vehicle).engine;
+}
+
+// Matches a tech's answer ("2", "the 5.3", "6.2L") to one candidate.
+export function pickEngineCandidate(answer = "", candidates = []) {
+  const a = String(answer || "").trim().toLowerCase();
+
+  const index = a.match(/^#?(\d)\b(?![.\d])/);
+  if (index) return candidates[Number(index[1]) - 1] || null;
+
+  const byCode = candidates.filter((c) => c.code && a.includes(c.code.toLowerCase()));
+  if (byCode.length === 1) return byCode[0];
+
+  const byLabel = candidates.filter((c) => a.includes(c.label.toLowerCase()));
+  if (byLabel.length === 1) return byLabel[0];
+
+  const byDisp = candidates.filter((c) =>
+    new RegExp(`(^|[^\\d.])${c.displacement.replace(".", "\\.")}(l|\\b)`).test(a)
+  );
+  if (byDisp.length === 1) return byDisp[0];
+
+  // "3.5 ecoboost" — same displacement, told apart by a label word
+  const byWord = byDisp.filter((c) =>
+    c.label.toLowerCase().split(/\s+/).some((w) => /^[a-z]{3,}$/.test(w) && a.includes(w))
+  );
+  if (byWord.length === 1) return byWord[0];
+
+  return null;
 }
 
 export function mergeVehicleContexts(existing = {}, incoming = {}) {
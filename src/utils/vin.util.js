@@ -0,0 +1,185 @@
+// ------------------------------------------------------
+// VIN — validation + offline (local) decoding
+// Works without NHTSA: length, legal characters, check
+// digit, model year, WMI manufacturer, plant code.
+// ------------------------------------------------------
+
+export class VinValidationError extends Error {
+  constructor(errors = []) {
+    super(`Invalid VIN: ${errors.join("; ")}`);
+    this.name = "VinValidationError";
+    this.status = 400;
+    this.errors = errors;
+  }
+}
+
+const TRANSLITERATION = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9
+};
+
+const WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+export function normalizeVin(vinRaw = "") {
+  return String(vinRaw || "").trim().toUpperCase().replace(/[\s-]/g, "");
+}
+
+export function computeCheckDigit(vin) {
+  let sum = 0;
+
+  for (let i = 0; i < 17; i++) {
+    const ch = vin[i];
+    const value = /\d/.test(ch) ? Number(ch) : TRANSLITERATION[ch];
+    if (value === undefined) return null;
+    sum += value * WEIGHTS[i];
+  }
+
+  const remainder = sum % 11;
+  return remainder === 10 ? "X" : String(remainder);
+}
+
+// North American VINs (1–5) must carry a valid check digit;
+// elsewhere it is optional, so a mismatch is only a warning.
+function requiresCheckDigit(vin) {
+  return /^[1-5]/.test(vin);
+}
+
+export function validateVin(vinRaw) {
+  const vin = normalizeVin(vinRaw);
+  const errors = [];
+  const warnings = [];
+
+  if (!vin) {
+    errors.push("VIN is required");
+    return { vin, valid: false, errors, warnings };
+  }
+
+  if (vin.length !== 17) {
+    errors.push(`VIN must be 17 characters (got ${vin.length})`);
+  }
+
+  const illegal = [...new Set(vin.match(/[IOQ]/g) || [])];
+  if (illegal.length) {
+    errors.push(`VIN cannot contain ${illegal.join(", ")} (use 1 / 0 instead)`);
+  }
+
+  const invalidChars = [...new Set(vin.match(/[^A-HJ-NPR-Z0-9IOQ]/g) || [])];
+  if (invalidChars.length) {
+    errors.push(`VIN contains invalid characters: ${invalidChars.join(" ")}`);
+  }
+
+  if (!errors.length) {
+    const expected = computeCheckDigit(vin);
+    if (expected !== vin[8]) {
+      const msg = `Check digit mismatch (position 9 is ${vin[8]}, expected ${expected}) — likely a typo`;
+      if (requiresCheckDigit(vin)) errors.push(msg);
+      else warnings.push(msg);
+    }
+  }
+
+  return { vin, valid: errors.length === 0, errors, warnings };
+}
+
+/* ======================================================
+   LOCAL DECODE
+====================================================== */
+const YEAR_CODES = "ABCDEFGHJKLMNPRSTVWXY123456789";
+
+// Position 10 repeats every 30 years. For North American light
+// vehicles, a LETTER in position 7 means the 2010+ cycle.
+export function decodeModelYear(vin) {
+  const idx = YEAR_CODES.indexOf(vin[9]);
+  if (idx === -1) return null;
+
+  const year1980 = 1980 + idx;
+  const year2010 = year1980 + 30;
+
+  if (/^[1-5]/.test(vin)) {
+    return /[A-Z]/.test(vin[6]) ? year2010 : year1980;
+  }
+
+  // Outside North America position 7 is not standardized — pick the
+  // cycle that is not in the future.
+  return year2010 <= new Date().getFullYear() + 1 ? year2010 : year1980;
+}
+
+const REGIONS = [
+  { rx: /^[1-5]/, region: "North America", country: { 1: "United States", 2: "Canada", 3: "Mexico", 4: "United States", 5: "United States" } },
+  { rx: /^J/, region: "Asia", country: "Japan" },
+  { rx: /^K[L-R]/, region: "Asia", country: "South Korea" },
+  { rx: /^L/, region: "Asia", country: "China" },
+  { rx: /^W/, region: "Europe", country: "Germany" },
+  { rx: /^S[A-M]/, region: "Europe", country: "United Kingdom" },
+  { rx: /^Z/, region: "Europe", country: "Italy" },
+  { rx: /^Y[S-W]/, region: "Europe", country: "Sweden" },
+  { rx: /^V[F-R]/, region: "Europe", country: "France" },
+  { rx: /^V[S-W]/, region: "Europe", country: "Spain" }
+];
+
+// World Manufacturer Identifier (positions 1–3)
+export const WMI_MANUFACTURERS = {
+  "1G1": "Chevrolet", "1GC": "Chevrolet", "1GN": "Chevrolet", "1GB": "Chevrolet",
+  "2G1": "Chevrolet", "2GN": "Chevrolet", "3GC": "Chevrolet", "3GN": "Chevrolet", "KL7": "Chevrolet",
+  "1GT": "GMC", "1GK": "GMC", "2GT": "GMC", "3GT": "GMC", "3GK": "GMC",
+  "1GY": "Cadillac", "1G6": "Cadillac", "1G4": "Buick", "5GA": "Buick",
+  "1FA": "Ford", "1FB": "Ford", "1FC": "Ford", "1FD": "Ford", "1FM": "Ford", "1FT": "Ford",
+  "2FA": "Ford", "2FM": "Ford", "2FT": "Ford", "3FA": "Ford", "3FT": "Ford", "3FM": "Ford",
+  "5LM": "Lincoln", "2LM": "Lincoln", "1LN": "Lincoln",
+  "1C3": "Chrysler", "2C3": "Chrysler", "2C4": "Chrysler",
+  "1C4": "Jeep", "1J4": "Jeep", "1J8": "Jeep", "3C4": "Jeep",
+  "1B3": "Dodge", "2B3": "Dodge", "1D3": "Dodge", "2D3": "Dodge", "1D7": "Dodge",
+  "1C6": "Ram", "3C6": "Ram", "3C7": "Ram", "3D7": "Ram",
+  "1HG": "Honda", "2HG": "Honda", "5FN": "Honda", "5J6": "Honda", "JHM": "Honda", "19X": "Honda", "7FA": "Honda",
+  "19U": "Acura", "JH4": "Acura", "5J8": "Acura",
+  "4T1": "Toyota", "4T3": "Toyota", "5TD": "Toyota", "5TF": "Toyota", "5TE": "Toyota",
+  "2T1": "Toyota", "2T3": "Toyota", "3TM": "Toyota", "JTD": "Toyota", "JTE": "Toyota", "JTM": "Toyota", "JTN": "Toyota",
+  "2T2": "Lexus", "JTH": "Lexus", "JTJ": "Lexus",
+  "1N4": "Nissan", "1N6": "Nissan", "3N1": "Nissan", "5N1": "Nissan", "JN1": "Nissan", "JN8": "Nissan",
+  "KMH": "Hyundai", "5NP": "Hyundai", "5NM": "Hyundai", "KNA": "Kia", "KND": "Kia", "5XY": "Kia",
+  "JF1": "Subaru", "JF2": "Subaru", "4S3": "Subaru", "4S4": "Subaru",
+  "JM1": "Mazda", "JM3": "Mazda",
+  "WVW": "Volkswagen", "WVG": "Volkswagen", "3VW": "Volkswagen", "1VW": "Volkswagen",
+  "WAU": "Audi", "WA1": "Audi",
+  "WBA": "BMW", "WBS": "BMW", "WBX": "BMW", "5UX": "BMW", "5YM": "BMW", "WMW": "MINI",
+  "WDD": "Mercedes-Benz", "WDC": "Mercedes-Benz", "WDB": "Mercedes-Benz", "4JG": "Mercedes-Benz", "55S": "Mercedes-Benz", "W1K": "Mercedes-Benz", "W1N": "Mercedes-Benz",
+  "5YJ": "Tesla", "7SA": "Tesla"
+};
+
+// Position 11 — assembly plant (common plants only)
+export const PLANT_CODES = {
+  Chevrolet: { R: "Arlington, TX", G: "Silao, MX", Z: "Fort Wayne, IN", J: "Janesville, WI", "1": "Oshawa, ON", E: "Pontiac, MI", F: "Flint, MI" },
+  GMC: { R: "Arlington, TX", G: "Silao, MX", Z: "Fort Wayne, IN", "1": "Oshawa, ON", E: "Pontiac, MI", F: "Flint, MI" },
+  Ford: { F: "Dearborn, MI", K: "Kansas City, MO", E: "Louisville (Kentucky Truck), KY", L: "Wayne, MI", G: "Chicago, IL", D: "Ohio Assembly, OH" },
+  Ram: { S: "Sterling Heights, MI", G: "Saltillo, MX", N: "Warren, MI" },
+  Jeep: { W: "Toledo, OH", C: "Detroit (Jefferson), MI", D: "Belvidere, IL" },
+  Toyota: { U: "Georgetown, KY", S: "Princeton, IN", X: "San Antonio, TX", M: "Baja California, MX" },
+  Honda: { A: "Marysville, OH", L: "East Liberty, OH", B: "Lincoln, AL", H: "Alliston, ON", C: "Greensburg, IN" }
+};
+
+function lookupRegion(vin) {
+  const match = REGIONS.find((r) => r.rx.test(vin));
+  if (!match) return { region: null, country: null };
+
+  const country = typeof match.country === "string" ? match.country : match.country[vin[0]];
+  return { region: match.region, country };
+}
+
+export function decodeVinLocally(vinRaw) {
+  const vin = normalizeVin(vinRaw);
+  const wmi = vin.slice(0, 3);
+  const manufacturer = WMI_MANUFACTURERS[wmi] || null;
+  const plantCode = vin[10] || null;
+
+  return {
+    vin,
+    wmi,
+    manufacturer,
+    ...lookupRegion(vin),
+    modelYear: decodeModelYear(vin),
+    vds: vin.slice(3, 8),
+    plantCode,
+    plant: (manufacturer && PLANT_CODES[manufacturer]?.[plantCode]) || null,
+    serial: vin.slice(11)
+  };
+}